@@ -0,0 +1,81 @@
+'use strict';
+const {assert} = require('./assert');
+const {browserEnvironmentPrivate: PRIVATE} = require('./symbols');
+
+const isEventTarget = value => Boolean(value) &&
+    typeof value.addEventListener === 'function' &&
+    typeof value.removeEventListener === 'function';
+
+class BrowserEnvironment {
+    /**
+     * Informs `WebSocketClient` about the network connectivity and the visibility of the page, using the `online`/`offline` events of
+     * `window` and the `visibilitychange` event of `document`. Pass an instance as the `environment` option to suspend reconnect
+     * attempts while the browser is offline, and to reconnect immediately once the network is back or the page becomes visible again.
+     *
+     * @example
+     * const {WebSocketClient, BrowserEnvironment} = require('jsonbird-websocket');
+     * const rpc = new WebSocketClient({
+     *   url: 'wss://example.com/rpc',
+     *   environment: new BrowserEnvironment(),
+     * });
+     *
+     * @param {Object} [opts]
+     * @param {EventTarget} [opts.window=window] The object which emits "online" and "offline" and has a `navigator.onLine` property
+     * @param {EventTarget} [opts.document=document] The object which emits "visibilitychange" and has a `visibilityState` property
+     */
+    constructor(opts = {}) {
+        const win = opts.window || (typeof window === 'undefined' ? null : window);
+        const doc = opts.document || (typeof document === 'undefined' ? null : document);
+        assert(isEventTarget(win), 'BrowserEnvironment: A window object with addEventListener() is required');
+        assert(isEventTarget(doc), 'BrowserEnvironment: A document object with addEventListener() is required');
+
+        this[PRIVATE] = Object.seal({
+            window: win,
+            document: doc,
+        });
+    }
+
+    /**
+     * Is the browser connected to a network? Note that this does not guarantee that the server can be reached.
+     * @return {boolean}
+     */
+    isOnline() {
+        const {navigator} = this[PRIVATE].window;
+        return !navigator || navigator.onLine !== false;
+    }
+
+    /**
+     * Is the page visible to the user?
+     * @return {boolean}
+     */
+    isVisible() {
+        return this[PRIVATE].document.visibilityState !== 'hidden';
+    }
+
+    /**
+     * Start listening for changes of the environment. This method is called by `WebSocketClient#start()`.
+     *
+     * @param {{online: function, offline: function, visible: function}} callbacks
+     * @return {function} A function which stops listening, called by `WebSocketClient#stop()`
+     */
+    attach({online, offline, visible}) {
+        const {window: win, document: doc} = this[PRIVATE];
+        const handleVisibilityChange = () => {
+            if (this.isVisible()) {
+                visible();
+            }
+        };
+
+        win.addEventListener('online', online);
+        win.addEventListener('offline', offline);
+        doc.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return () => {
+            win.removeEventListener('online', online);
+            win.removeEventListener('offline', offline);
+            doc.removeEventListener('visibilitychange', handleVisibilityChange);
+        };
+    }
+}
+
+module.exports = BrowserEnvironment;
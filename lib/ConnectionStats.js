@@ -0,0 +1,176 @@
+'use strict';
+const {connectionStatsPrivate: PRIVATE} = require('./symbols');
+
+// the amount of ping results kept for the round trip time summary
+const RTT_SAMPLE_SIZE = 100;
+
+const percentile = (sortedValues, p) => sortedValues[Math.min(sortedValues.length - 1, Math.ceil(p * sortedValues.length) - 1)];
+
+/**
+ * Keeps the counters returned by `WebSocketClient#getStats()`.
+ *
+ * All methods which depend on the current time are given that time (in milliseconds) by the caller.
+ *
+ * @private
+ */
+class ConnectionStats {
+    /**
+     * @param {number} now
+     */
+    constructor(now) {
+        this[PRIVATE] = Object.seal({
+            since: 0,
+            connectAttempts: 0,
+            connectSuccesses: 0,
+            connectTimeouts: 0,
+            connectedTime: 0,
+            connectedAt: null,
+            reconnects: 0,
+            reconnectsByCloseCode: new Map(),
+            messagesSent: 0,
+            bytesSent: 0,
+            messagesReceived: 0,
+            bytesReceived: 0,
+            callTimeouts: 0,
+            pingFailures: 0,
+            rttSamples: [],
+        });
+        this.reset(now);
+    }
+
+    /**
+     * Set all counters back to 0. The current connection (if any) keeps counting towards `uptime` and `connectedTime`, starting now.
+     *
+     * @param {number} now
+     */
+    reset(now) {
+        const priv = this[PRIVATE];
+        priv.since = now;
+        priv.connectAttempts = 0;
+        priv.connectSuccesses = 0;
+        priv.connectTimeouts = 0;
+        priv.connectedTime = 0;
+        priv.connectedAt = priv.connectedAt === null ? null : now;
+        priv.reconnects = 0;
+        priv.reconnectsByCloseCode = new Map();
+        priv.messagesSent = 0;
+        priv.bytesSent = 0;
+        priv.messagesReceived = 0;
+        priv.bytesReceived = 0;
+        priv.callTimeouts = 0;
+        priv.pingFailures = 0;
+        priv.rttSamples = [];
+    }
+
+    connectAttempt() {
+        ++this[PRIVATE].connectAttempts;
+    }
+
+    connectTimeout() {
+        ++this[PRIVATE].connectTimeouts;
+    }
+
+    /**
+     * @param {number} now
+     */
+    connected(now) {
+        ++this[PRIVATE].connectSuccesses;
+        this[PRIVATE].connectedAt = now;
+    }
+
+    /**
+     * @param {number} now
+     */
+    disconnected(now) {
+        const priv = this[PRIVATE];
+        if (priv.connectedAt !== null) {
+            priv.connectedTime += now - priv.connectedAt;
+            priv.connectedAt = null;
+        }
+    }
+
+    /**
+     * @param {number} code The close code of the connection which is going to be replaced
+     */
+    reconnect(code) {
+        const {reconnectsByCloseCode} = this[PRIVATE];
+        ++this[PRIVATE].reconnects;
+        reconnectsByCloseCode.set(code, (reconnectsByCloseCode.get(code) || 0) + 1);
+    }
+
+    /**
+     * @param {number} byteLength
+     */
+    messageSent(byteLength) {
+        ++this[PRIVATE].messagesSent;
+        this[PRIVATE].bytesSent += byteLength;
+    }
+
+    /**
+     * @param {number} byteLength
+     */
+    messageReceived(byteLength) {
+        ++this[PRIVATE].messagesReceived;
+        this[PRIVATE].bytesReceived += byteLength;
+    }
+
+    callTimeout() {
+        ++this[PRIVATE].callTimeouts;
+    }
+
+    /**
+     * @param {number} delay The round trip time of a successful ping, in milliseconds
+     */
+    pingSuccess(delay) {
+        const {rttSamples} = this[PRIVATE];
+        rttSamples.push(delay);
+        if (rttSamples.length > RTT_SAMPLE_SIZE) {
+            rttSamples.shift();
+        }
+    }
+
+    pingFail() {
+        ++this[PRIVATE].pingFailures;
+    }
+
+    /**
+     * @param {number} now
+     * @param {number} callsInFlight
+     * @return {Object}
+     */
+    snapshot(now, callsInFlight) {
+        const priv = this[PRIVATE];
+        const uptime = priv.connectedAt === null ? 0 : now - priv.connectedAt;
+        const sortedRtt = priv.rttSamples.slice().sort((a, b) => a - b);
+        const reconnectsByCloseCode = {};
+        for (const [code, count] of priv.reconnectsByCloseCode) {
+            reconnectsByCloseCode[code] = count;
+        }
+
+        return {
+            since: priv.since,
+            connectAttempts: priv.connectAttempts,
+            connectSuccesses: priv.connectSuccesses,
+            connectTimeouts: priv.connectTimeouts,
+            connectedTime: priv.connectedTime + uptime,
+            uptime,
+            reconnects: priv.reconnects,
+            reconnectsByCloseCode,
+            messagesSent: priv.messagesSent,
+            bytesSent: priv.bytesSent,
+            messagesReceived: priv.messagesReceived,
+            bytesReceived: priv.bytesReceived,
+            callsInFlight,
+            callTimeouts: priv.callTimeouts,
+            pingFailures: priv.pingFailures,
+            rtt: {
+                samples: sortedRtt.length,
+                min: sortedRtt.length ? sortedRtt[0] : null,
+                avg: sortedRtt.length ? sortedRtt.reduce((sum, value) => sum + value, 0) / sortedRtt.length : null,
+                p95: sortedRtt.length ? percentile(sortedRtt, 0.95) : null,
+            },
+        };
+    }
+}
+
+module.exports = ConnectionStats;
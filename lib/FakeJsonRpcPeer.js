@@ -0,0 +1,369 @@
+'use strict';
+const {EventEmitter} = require('events');
+const {AssertionError, deepStrictEqual} = require('assert');
+
+const {assert} = require('./assert');
+const {systemClock} = require('./clock');
+const FakeWebSocket = require('./FakeWebSocket');
+const readyState = require('./readyState');
+const {fakeJsonRpcPeerPrivate: PRIVATE} = require('./symbols');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const errorToResponseError = error => {
+    const result = {
+        code: error && Number.isInteger(error.code) ? error.code : -32000,
+        message: String((error && error.message) || error),
+    };
+    if (error && error.data !== undefined) {
+        result.data = error.data;
+    }
+    return result;
+};
+
+const paramsToArguments = params => {
+    if (params === undefined) {
+        return [];
+    }
+    return Array.isArray(params) ? params : [params];
+};
+
+class FakeJsonRpcPeer extends EventEmitter {
+    /**
+     * A scripted JSON-RPC server for testing code that uses `WebSocketClient`, without a network connection. Pass the
+     * `createConnectionCallback` of this instance to the client under test: every connection is made to a new `FakeWebSocket`, which
+     * is opened after `openDelay`.
+     *
+     * Requests are answered by the responses queued using `reply()`, or otherwise by the handlers registered using `method()`.
+     * Requests for any other method receive a "Method not found" error, except for pings (`pingMethod`), which are answered
+     * automatically if `autoPing` is set. All received requests and notifications are kept, see `calls()`, `assertCalled()` and
+     * `waitForCall()`.
+     *
+     * @example
+     * const {FakeJsonRpcPeer} = require('jsonbird-websocket/testing');
+     * const peer = new FakeJsonRpcPeer();
+     * peer.method('sum', (a, b) => a + b);
+     * peer.reply('login', {token: 'abc'}, Object.assign(Error('Invalid password'), {code: 401}));
+     *
+     * const rpc = new WebSocketClient({url: 'ws://fake/', createConnectionCallback: peer.createConnectionCallback});
+     * rpc.start();
+     * await rpc.call('sum', 1, 2); // 3
+     * peer.assertCalled('sum', 1, 2);
+     * peer.notify('userChanged', {id: 123});
+     *
+     * @param {Object} [opts]
+     * @param {?number} [opts.openDelay=0] The delay before new connections are opened. `null` to leave this to the test, by
+     *        calling `simulateOpen()` on the `webSocket`.
+     * @param {string} [opts.protocol=''] The subprotocol which is picked when opening a connection
+     * @param {?number} [opts.responseDelay=null] The delay before responses are sent, `null` to respond synchronously
+     * @param {?number} [opts.closeDelay=0] Passed to every `FakeWebSocket`
+     * @param {string} [opts.pingMethod='jsonbird.ping']
+     * @param {boolean} [opts.autoPing=true] Respond to pings with `true`. Pings are not included in `calls()`.
+     * @param {{setTimeout: function}} [opts.clock] Used to schedule the delays, and passed to every `FakeWebSocket`
+     */
+    constructor({
+        openDelay = 0,
+        protocol = '',
+        responseDelay = null,
+        closeDelay = 0,
+        pingMethod = 'jsonbird.ping',
+        autoPing = true,
+        clock = systemClock,
+    } = {}) {
+        super();
+        this[PRIVATE] = Object.seal({
+            openDelay,
+            protocol,
+            responseDelay,
+            closeDelay,
+            pingMethod,
+            autoPing: Boolean(autoPing),
+            clock,
+            webSockets: [],
+            handlers: new Map(),
+            replies: new Map(),
+            calls: [],
+            pendingCalls: new Map(),
+            nextCallId: 0,
+            createConnectionCallback: ({url, protocols}) => this._createConnection(url, protocols),
+        });
+    }
+
+    /**
+     * Pass this function as the `createConnectionCallback` option of the `WebSocketClient` under test
+     * @return {function}
+     */
+    get createConnectionCallback() {
+        return this[PRIVATE].createConnectionCallback;
+    }
+
+    /**
+     * All the connections which have been made to this peer, oldest first
+     * @return {FakeWebSocket[]}
+     */
+    get webSockets() {
+        return this[PRIVATE].webSockets.slice();
+    }
+
+    /**
+     * The most recent connection
+     * @return {?FakeWebSocket}
+     */
+    get webSocket() {
+        const {webSockets} = this[PRIVATE];
+        return webSockets[webSockets.length - 1] || null;
+    }
+
+    _createConnection(url, protocols) {
+        const {openDelay, protocol, closeDelay, clock} = this[PRIVATE];
+        const webSocket = new FakeWebSocket(url, protocols, {closeDelay, clock});
+        this.attach(webSocket);
+        if (openDelay !== null) {
+            webSocket.simulateOpen(protocol, {delay: openDelay});
+        }
+        return webSocket;
+    }
+
+    /**
+     * Handle the frames sent to a `FakeWebSocket` which was not created by this peer
+     *
+     * @param {FakeWebSocket} webSocket
+     */
+    attach(webSocket) {
+        this[PRIVATE].webSockets.push(webSocket);
+        webSocket.remote.on('message', data => this._handleFrame(webSocket, data));
+        this.emit('connection', webSocket);
+    }
+
+    /**
+     * Register a handler for a method. The handler is called with the params of the request as arguments, its return value (or the
+     * resolved value of a returned Promise) is sent as the result. An error thrown by the handler is sent as an error response,
+     * using its `code`, `message` and `data`. A handler which is not a function is sent as the result of every request.
+     *
+     * @param {string} name
+     * @param {function|*} handler
+     */
+    method(name, handler) {
+        assert(typeof name === 'string', 'FakeJsonRpcPeer#method(): name must be a string');
+        this[PRIVATE].handlers.set(name, handler);
+    }
+
+    /**
+     * Queue responses for the next requests to a method, in order. These take precedence over a handler registered using `method()`.
+     * An `Error` is sent as an error response, anything else is sent as the result.
+     *
+     * @param {string} name
+     * @param {...*} responses
+     */
+    reply(name, ...responses) {
+        assert(typeof name === 'string', 'FakeJsonRpcPeer#reply(): name must be a string');
+        const {replies} = this[PRIVATE];
+        replies.set(name, (replies.get(name) || []).concat(responses));
+    }
+
+    /**
+     * All the requests and notifications received so far (except for pings answered by `autoPing`), optionally only those for
+     * the given method
+     *
+     * @param {string} [name]
+     * @return {Array<{method: string, params: Array, id: *, notification: boolean}>}
+     */
+    calls(name) {
+        const {calls} = this[PRIVATE];
+        return name === undefined ? calls.slice() : calls.filter(call => call.method === name);
+    }
+
+    /**
+     * Remove all the received calls, for example between the steps of a test
+     */
+    clearCalls() {
+        this[PRIVATE].calls = [];
+    }
+
+    /**
+     * Assert that the method has been called (or notified), optionally with exactly the given params
+     *
+     * @param {string} name
+     * @param {...*} params
+     * @return {Object} The most recent matching call
+     * @throws {AssertionError}
+     */
+    assertCalled(name, ...params) {
+        const calls = this.calls(name);
+        if (!calls.length) {
+            throw new AssertionError({
+                message: `Expected "${name}" to have been called`,
+                actual: this.calls().map(call => call.method),
+                expected: [name],
+                operator: 'assertCalled',
+            });
+        }
+        const lastCall = calls[calls.length - 1];
+        if (params.length) {
+            deepStrictEqual(lastCall.params, params, `Expected "${name}" to have been called with different params`);
+        }
+        return lastCall;
+    }
+
+    /**
+     * Assert that the method has not been called (or notified)
+     *
+     * @param {string} name
+     * @throws {AssertionError}
+     */
+    assertNotCalled(name) {
+        const calls = this.calls(name);
+        if (calls.length) {
+            throw new AssertionError({
+                message: `Expected "${name}" not to have been called, but it was called ${calls.length} time(s)`,
+                actual: calls.map(call => call.params),
+                expected: [],
+                operator: 'assertNotCalled',
+            });
+        }
+    }
+
+    /**
+     * Wait until the method has been called (or notified) at least `count` times in total
+     *
+     * @param {string} name
+     * @param {number} [count=1]
+     * @return {Promise<Object>} The most recent call
+     */
+    async waitForCall(name, count = 1) {
+        while (this.calls(name).length < count) {
+            await new Promise(resolve => this.once('call', resolve));
+        }
+        const calls = this.calls(name);
+        return calls[calls.length - 1];
+    }
+
+    _send(webSocket, message) {
+        const {responseDelay} = this[PRIVATE];
+        webSocket.simulateMessage(JSON.stringify(message), {delay: responseDelay});
+    }
+
+    _activeWebSocket() {
+        const {webSocket} = this;
+        assert(webSocket && webSocket.readyState === readyState.OPEN, 'FakeJsonRpcPeer: There is no open connection');
+        return webSocket;
+    }
+
+    /**
+     * Send a notification to the client, over the most recent connection
+     *
+     * @param {string} name
+     * @param {...*} params
+     */
+    notify(name, ...params) {
+        this._send(this._activeWebSocket(), {jsonrpc: '2.0', method: name, params});
+    }
+
+    /**
+     * Call a method of the client, over the most recent connection
+     *
+     * @param {string} name
+     * @param {...*} params
+     * @return {Promise} The result, or a rejection with the error sent by the client
+     */
+    call(name, ...params) {
+        const webSocket = this._activeWebSocket();
+        const id = `fake-peer-${++this[PRIVATE].nextCallId}`;
+        const promise = new Promise((resolve, reject) => this[PRIVATE].pendingCalls.set(id, {resolve, reject}));
+        this._send(webSocket, {jsonrpc: '2.0', id, method: name, params});
+        return promise;
+    }
+
+    _handleFrame(webSocket, data) {
+        let value;
+        try {
+            value = JSON.parse(typeof data === 'string' ? data : Buffer.from(data).toString('utf8'));
+        }
+        catch (err) {
+            this._send(webSocket, {jsonrpc: '2.0', id: null, error: {code: -32700, message: 'Parse error'}});
+            return;
+        }
+
+        const isBatch = Array.isArray(value);
+        Promise.all((isBatch ? value : [value]).map(message => this._handleMessage(message)))
+        .then(responses => {
+            const nonEmpty = responses.filter(response => response !== null);
+            if (nonEmpty.length) {
+                this._send(webSocket, isBatch ? nonEmpty : nonEmpty[0]);
+            }
+        })
+        .catch(err => this.emit('error', err));
+    }
+
+    async _handleMessage(message) {
+        if (!isPlainObject(message)) {
+            return {jsonrpc: '2.0', id: null, error: {code: -32600, message: 'Invalid Request'}};
+        }
+
+        if (typeof message.method !== 'string') {
+            this._handleResponse(message);
+            return null;
+        }
+
+        const {pingMethod, autoPing} = this[PRIVATE];
+        const notification = !('id' in message);
+        const {method, id} = message;
+        if (autoPing && method === pingMethod) {
+            return notification ? null : {jsonrpc: '2.0', id, result: true};
+        }
+
+        const call = Object.freeze({method, params: message.params, id, notification});
+        this[PRIVATE].calls.push(call);
+        this.emit('call', call);
+
+        if (notification) {
+            return null;
+        }
+
+        try {
+            const result = await this._invoke(method, paramsToArguments(message.params));
+            return {jsonrpc: '2.0', id, result: result === undefined ? null : result};
+        }
+        catch (error) {
+            return {jsonrpc: '2.0', id, error: errorToResponseError(error)};
+        }
+    }
+
+    async _invoke(method, args) {
+        const {replies, handlers} = this[PRIVATE];
+        const queue = replies.get(method);
+        if (queue && queue.length) {
+            const response = queue.shift();
+            if (response instanceof Error) {
+                throw response;
+            }
+            return response;
+        }
+
+        if (!handlers.has(method)) {
+            throw Object.assign(Error(`Method not found: ${method}`), {code: -32601});
+        }
+
+        const handler = handlers.get(method);
+        return typeof handler === 'function' ? await handler(...args) : handler;
+    }
+
+    _handleResponse(message) {
+        const {pendingCalls} = this[PRIVATE];
+        const pending = pendingCalls.get(message.id);
+        if (!pending) {
+            return;
+        }
+        pendingCalls.delete(message.id);
+
+        if (isPlainObject(message.error)) {
+            const {code, message: errorMessage, data} = message.error;
+            pending.reject(Object.assign(Error(errorMessage), {code, data}));
+        }
+        else {
+            pending.resolve(message.result);
+        }
+    }
+}
+
+module.exports = FakeJsonRpcPeer;
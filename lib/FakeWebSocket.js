@@ -0,0 +1,236 @@
+'use strict';
+const {EventEmitter} = require('events');
+
+const {assert} = require('./assert');
+const {systemClock} = require('./clock');
+const readyState = require('./readyState');
+const closeCodes = require('./closeCodes');
+const {fakeWebSocketPrivate: PRIVATE} = require('./symbols');
+
+const isBinary = data => ArrayBuffer.isView(data) || data instanceof ArrayBuffer;
+
+// a WebSocket only transmits strings and binary data, everything else is encoded as JSON for convenience
+const toFrame = data => (typeof data === 'string' || isBinary(data) ? data : JSON.stringify(data));
+
+class FakeWebSocket {
+    /**
+     * An in-memory implementation of the browser WebSocket API, for testing code that uses `WebSocketClient` without a network
+     * connection. Nothing happens on its own: the test decides when the connection opens, which frames the "server" sends, and when
+     * errors or closes occur, by calling the `simulate*()` methods. Every `simulate*()` method accepts a `delay` option (in
+     * milliseconds), without it the event is dispatched synchronously.
+     *
+     * The frames sent by the client are available as `sent`, and are also emitted as the "message" event of `remote`. A call to
+     * `close()` by the client is emitted as the "close" event of `remote`, and the socket is closed after `closeDelay`.
+     *
+     * @example
+     * const {FakeWebSocket} = require('jsonbird-websocket/testing');
+     * const sockets = [];
+     * const rpc = new WebSocketClient({
+     *   url: 'ws://fake/',
+     *   createConnectionCallback: ({url}) => {
+     *     const webSocket = new FakeWebSocket(url);
+     *     sockets.push(webSocket);
+     *     return webSocket;
+     *   },
+     * });
+     * rpc.start();
+     * sockets[0].simulateOpen();
+     * sockets[0].simulateMessage({jsonrpc: '2.0', method: 'hello', params: []});
+     *
+     * @param {string} url
+     * @param {Array<string>} [protocols=[]] The subprotocols requested by the client
+     * @param {Object} [opts]
+     * @param {?number} [opts.closeDelay=0] The delay before the close event is dispatched after the client calls `close()`. `null`
+     *        to leave this to the test, by calling `simulateClose()`.
+     * @param {{setTimeout: function}} [opts.clock] Used to schedule delayed events, such as a `VirtualClock`
+     */
+    constructor(url, protocols = [], {closeDelay = 0, clock = systemClock} = {}) {
+        assert(closeDelay === null || closeDelay >= 0, 'FakeWebSocket: closeDelay must be null or a number');
+
+        this.url = String(url);
+        this.protocols = Array.isArray(protocols) ? protocols.slice() : [protocols];
+        this.protocol = '';
+        this.extensions = '';
+        this.binaryType = 'blob';
+        this.readyState = readyState.CONNECTING;
+
+        /**
+         * May be modified by the test, to simulate a slow connection
+         * @type {number}
+         */
+        this.bufferedAmount = 0;
+
+        /**
+         * Set to an Error to make every `send()` call throw it
+         * @type {?Error}
+         */
+        this.sendError = null;
+
+        /**
+         * All the frames passed to `send()`
+         * @type {Array<string|ArrayBuffer|ArrayBufferView>}
+         */
+        this.sent = [];
+
+        /**
+         * The arguments of the first `close()` call by the client
+         * @type {?{code: number, reason: string}}
+         */
+        this.closeRequest = null;
+
+        /**
+         * Emits "message" for every frame sent by the client and "close" (`{code, reason}`) when the client calls `close()`
+         * @type {EventEmitter}
+         */
+        this.remote = new EventEmitter();
+
+        this[PRIVATE] = Object.seal({
+            closeDelay,
+            clock,
+            listeners: new EventEmitter(),
+        });
+    }
+
+    addEventListener(type, listener) {
+        this[PRIVATE].listeners.on(type, listener);
+    }
+
+    removeEventListener(type, listener) {
+        this[PRIVATE].listeners.removeListener(type, listener);
+    }
+
+    /**
+     * Dispatch an event to the listeners added using `addEventListener()`, regardless of the state of the connection. The
+     * `simulate*()` methods should be preferred, they also keep `readyState` up to date.
+     *
+     * @param {{type: string}} event
+     * @return {boolean}
+     */
+    dispatchEvent(event) {
+        this[PRIVATE].listeners.emit(event.type, event);
+        return true;
+    }
+
+    send(data) {
+        assert(this.readyState !== readyState.CONNECTING, 'FakeWebSocket: send() called while the connection is still connecting');
+        if (this.sendError) {
+            throw this.sendError;
+        }
+        if (this.readyState !== readyState.OPEN) {
+            return; // like browsers, frames sent while closing are discarded
+        }
+        this.sent.push(data);
+        this.remote.emit('message', data);
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.readyState === readyState.CLOSING || this.readyState === readyState.CLOSED) {
+            return;
+        }
+        this.readyState = readyState.CLOSING;
+        this.closeRequest = Object.freeze({code, reason});
+        this.remote.emit('close', this.closeRequest);
+
+        const {closeDelay} = this[PRIVATE];
+        if (closeDelay !== null) {
+            this.simulateClose(code, reason, {delay: closeDelay});
+        }
+    }
+
+    /**
+     * Wait until the client has sent at least `count` frames in total
+     *
+     * @param {number} [count=1]
+     * @return {Promise<Array>} All the frames sent so far
+     */
+    async waitForSend(count = 1) {
+        while (this.sent.length < count) {
+            await new Promise(resolve => this.remote.once('message', resolve));
+        }
+        return this.sent.slice();
+    }
+
+    _schedule(delay, func) {
+        if (delay === undefined || delay === null) {
+            func();
+        }
+        else {
+            this[PRIVATE].clock.setTimeout(func, delay);
+        }
+    }
+
+    /**
+     * The server accepts the connection
+     *
+     * @param {string} [protocol=''] The subprotocol picked by the server
+     * @param {Object} [opts]
+     * @param {number} [opts.delay]
+     */
+    simulateOpen(protocol = '', {delay} = {}) {
+        this._schedule(delay, () => {
+            if (this.readyState !== readyState.CONNECTING) {
+                return; // closed by the client in the mean time
+            }
+            this.protocol = protocol;
+            this.readyState = readyState.OPEN;
+            this[PRIVATE].listeners.emit('open', {type: 'open'});
+        });
+    }
+
+    /**
+     * The server sends a frame. Values other than strings and binary data are encoded as JSON. Frames received while the
+     * connection is not open are discarded.
+     *
+     * @param {*} data
+     * @param {Object} [opts]
+     * @param {number} [opts.delay]
+     */
+    simulateMessage(data, {delay} = {}) {
+        const frame = toFrame(data);
+        this._schedule(delay, () => {
+            if (this.readyState === readyState.OPEN) {
+                this[PRIVATE].listeners.emit('message', {type: 'message', data: frame});
+            }
+        });
+    }
+
+    /**
+     * Dispatch an error event, followed by a close event with code 1006 (like browsers do)
+     *
+     * @param {Error} [error]
+     * @param {Object} [opts]
+     * @param {number} [opts.delay]
+     */
+    simulateError(error = Error('FakeWebSocket: Simulated error'), {delay} = {}) {
+        this._schedule(delay, () => {
+            if (this.readyState === readyState.CLOSED) {
+                return;
+            }
+            this.readyState = readyState.CLOSING;
+            this[PRIVATE].listeners.emit('error', {type: 'error', error, message: error.message});
+            this.simulateClose(closeCodes.ABNORMAL_CLOSURE, '', {wasClean: false});
+        });
+    }
+
+    /**
+     * The connection is closed, either by the server or as the result of a `close()` call by the client. Ignored if the
+     * connection is already closed.
+     *
+     * @param {number} [code=1000]
+     * @param {string} [reason='']
+     * @param {Object} [opts]
+     * @param {number} [opts.delay]
+     * @param {boolean} [opts.wasClean=true]
+     */
+    simulateClose(code = 1000, reason = '', {delay, wasClean = true} = {}) {
+        this._schedule(delay, () => {
+            if (this.readyState === readyState.CLOSED) {
+                return;
+            }
+            this.readyState = readyState.CLOSED;
+            this[PRIVATE].listeners.emit('close', {type: 'close', wasClean, code, reason});
+        });
+    }
+}
+
+module.exports = FakeWebSocket;
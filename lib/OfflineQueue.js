@@ -0,0 +1,142 @@
+'use strict';
+const {offlineQueuePrivate: PRIVATE} = require('./symbols');
+
+/**
+ * Holds outgoing JSON-RPC messages while there is no open WebSocket connection.
+ *
+ * Each item is an object with at least the properties `frame` (the encoded JSON-RPC object as it will be sent), `byteLength`, `time`
+ * (the moment it was queued, in milliseconds) and `call` (the pending call of a request).
+ *
+ * @private
+ */
+class OfflineQueue {
+    constructor() {
+        this[PRIVATE] = Object.seal({
+            items: [],
+            byteLength: 0,
+        });
+    }
+
+    /**
+     * @return {number} The amount of queued items
+     */
+    get length() {
+        return this[PRIVATE].items.length;
+    }
+
+    /**
+     * @return {number} The sum of the `byteLength` of all queued items
+     */
+    get byteLength() {
+        return this[PRIVATE].byteLength;
+    }
+
+    /**
+     * @return {?Object} The item with the lowest `time`
+     */
+    get oldest() {
+        return this[PRIVATE].items.reduce((oldest, item) => (oldest && oldest.time <= item.time ? oldest : item), null);
+    }
+
+    /**
+     * Add an item to the end of the queue, unless that would exceed one of the given limits.
+     *
+     * @param {Object} item
+     * @param {{maxCount: number, maxBytes: number}} limits
+     * @return {?string} `null` if the item has been queued, otherwise the name of the limit that would have been exceeded
+     */
+    push(item, {maxCount, maxBytes}) {
+        const priv = this[PRIVATE];
+        if (priv.items.length + 1 > maxCount) {
+            return 'maxCount';
+        }
+
+        if (priv.byteLength + item.byteLength > maxBytes) {
+            return 'maxBytes';
+        }
+
+        priv.items.push(item);
+        priv.byteLength += item.byteLength;
+        return null;
+    }
+
+    /**
+     * Add items to the front of the queue, regardless of any limits. This is used for items which had already been accepted before.
+     *
+     * @param {Object[]} items
+     */
+    unshift(items) {
+        const priv = this[PRIVATE];
+        priv.items.unshift(...items);
+        for (const item of items) {
+            priv.byteLength += item.byteLength;
+        }
+    }
+
+    /**
+     * Remove the first item, together with the items directly after it which belong to the same `batch` (if any)
+     *
+     * @return {Object[]} The removed items, in the order they were queued
+     */
+    shiftGroup() {
+        const priv = this[PRIVATE];
+        const {items} = priv;
+        let count = Math.min(items.length, 1);
+        while (count && items[0].batch && count < items.length && items[count].batch === items[0].batch) {
+            ++count;
+        }
+
+        const removed = items.splice(0, count);
+        for (const item of removed) {
+            priv.byteLength -= item.byteLength;
+        }
+        return removed;
+    }
+
+    /**
+     * Remove all items which have been queued for longer than `maxAge`
+     *
+     * @param {number} now The current time in milliseconds
+     * @param {number} maxAge Milliseconds
+     * @return {Object[]} The removed items
+     */
+    removeExpired(now, maxAge) {
+        return this._removeWhere(item => now - item.time >= maxAge);
+    }
+
+    /**
+     * Remove the given item, if it is still queued
+     *
+     * @param {Object} item
+     * @return {boolean} `true` if the item was queued
+     */
+    remove(item) {
+        return this._removeWhere(queued => queued === item).length > 0;
+    }
+
+    /**
+     * Remove the request (method call) belonging to the given pending call
+     *
+     * @param {Object} call
+     * @return {Object[]} The removed items
+     */
+    removeCall(call) {
+        return this._removeWhere(item => item.call === call);
+    }
+
+    _removeWhere(predicate) {
+        const priv = this[PRIVATE];
+        const removed = [];
+        priv.items = priv.items.filter(item => {
+            if (predicate(item)) {
+                removed.push(item);
+                priv.byteLength -= item.byteLength;
+                return false;
+            }
+            return true;
+        });
+        return removed;
+    }
+}
+
+module.exports = OfflineQueue;
@@ -0,0 +1,268 @@
+'use strict';
+const {EventEmitter} = require('events');
+
+const {assert} = require('./assert');
+const {systemClock} = require('./clock');
+const {assertValidCodec, decodeMessage} = require('./codec');
+const FakeWebSocket = require('./FakeWebSocket');
+const {replayServerPrivate: PRIVATE} = require('./symbols');
+const TrafficRecorder = require('./TrafficRecorder');
+
+const ORDERINGS = Object.freeze(['strict', 'loose']);
+
+const toMessages = value => (Array.isArray(value) ? value : [value]);
+
+// requests and notifications are matched by method name, responses (to calls made by the server) by their id
+const messageKey = message => {
+    if (message && typeof message === 'object' && typeof message.method === 'string') {
+        return `method:${message.method}`;
+    }
+    return `response:${message && message.id}`;
+};
+
+const frameKeys = data => toMessages(data).map(messageKey).join(',');
+
+const parseFrame = (data, codec) => {
+    try {
+        return decodeMessage(data, codec);
+    }
+    catch (err) {
+        return undefined;
+    }
+};
+
+const entryFrame = entry => (entry.binary ? Buffer.from(entry.data, 'base64') : entry.data);
+
+const toArrayBuffer = data => new Uint8Array(Buffer.from(data)).buffer;
+
+/**
+ * Split a recording into the scripts of separate connections
+ * @param {Object[]} entries
+ * @return {Array<{protocol: string, script: Object[]}>}
+ * @private
+ */
+const splitConnections = entries => {
+    const connections = [];
+    let current = null;
+    for (const entry of entries) {
+        if (entry.type === 'connecting') {
+            current = null;
+        }
+        else if (entry.type === 'open') {
+            current = {protocol: String(entry.protocol || ''), script: []};
+            connections.push(current);
+        }
+        else if (current && (entry.type === 'send' || entry.type === 'receive' || entry.type === 'close')) {
+            current.script.push(entry);
+        }
+    }
+    return connections;
+};
+
+class ReplayServer extends EventEmitter {
+    /**
+     * Plays a recording made by `TrafficRecorder` back against a `WebSocketClient`, without a network connection. Pass the
+     * `createConnectionCallback` of this instance to the client under test.
+     *
+     * Every connection of the recording is played back on its own connection: the frames that were received by the client are sent
+     * to the client again, as soon as the frames the client sent before them (in the recording) have been received again. Requests
+     * are matched by method name, and the ids of the recorded responses are replaced with the ids of the actual requests. Responses
+     * to calls made by the server are matched by id. With "strict" ordering the client must send its frames in the recorded order,
+     * with "loose" ordering any recorded frame of the same connection which has not been matched yet may match.
+     *
+     * A frame sent by the client which does not match is reported using the `mismatch` event. Connections which are made after the
+     * recording has been exhausted are closed with code 1011.
+     *
+     * Binary frames are decoded using the codec of the recorded subprotocol, which must be present in `codecs` if the recorded client
+     * negotiated a codec.
+     *
+     * @example
+     * const {ReplayServer} = require('jsonbird-websocket/testing');
+     * const replay = new ReplayServer(fs.readFileSync('traffic.jsonl', 'utf8'));
+     * const rpc = new WebSocketClient({url: 'ws://replay/', createConnectionCallback: replay.createConnectionCallback});
+     * replay.on('mismatch', ({expected, actual}) => console.error('Unexpected frame', actual, 'expected', expected));
+     *
+     * @param {string|Object[]} recording The entries of a `TrafficRecorder`, or a JSONL string
+     * @param {Object} [opts]
+     * @param {string} [opts.ordering='strict'] "strict" or "loose"
+     * @param {Object[]} [opts.codecs=[]] The codecs which were used by the recorded connections
+     * @param {{setTimeout: function}} [opts.clock] Used to schedule the opening and closing of connections, such as a `VirtualClock`
+     */
+    constructor(recording, {ordering = 'strict', codecs = [], clock = systemClock} = {}) {
+        super();
+        assert(ORDERINGS.includes(ordering), `ReplayServer: ordering must be one of: ${ORDERINGS.join(', ')}`);
+        assert(Array.isArray(codecs), 'ReplayServer: codecs must be an array');
+        codecs.forEach(codec => assertValidCodec(codec, 'ReplayServer: Invalid value for codecs:'));
+        const entries = typeof recording === 'string' ? TrafficRecorder.parse(recording) : recording;
+        assert(Array.isArray(entries), 'ReplayServer: recording must be an array of entries or a JSONL string');
+
+        this[PRIVATE] = Object.seal({
+            ordering,
+            codecs: Object.freeze(codecs.slice()),
+            clock,
+            connections: splitConnections(entries),
+            states: [],
+            mismatches: [],
+            createConnectionCallback: ({url, protocols}) => this._createConnection(url, protocols),
+        });
+    }
+
+    /**
+     * Pass this function as the `createConnectionCallback` option of the `WebSocketClient` under test
+     * @return {function}
+     */
+    get createConnectionCallback() {
+        return this[PRIVATE].createConnectionCallback;
+    }
+
+    /**
+     * "strict" or "loose"
+     * @return {string}
+     */
+    get ordering() {
+        return this[PRIVATE].ordering;
+    }
+
+    /**
+     * All the frames which did not match the recording so far
+     * @return {Array<{connection: number, expected: ?string, actual: string}>}
+     */
+    get mismatches() {
+        return this[PRIVATE].mismatches.slice();
+    }
+
+    /**
+     * `true` if every recorded connection has been made, and all of their recorded frames have been played back and matched
+     * @return {boolean}
+     */
+    get finished() {
+        const {connections, states} = this[PRIVATE];
+        return states.length >= connections.length &&
+            states.every(({connection, cursor}) => !connection || cursor >= connection.script.length);
+    }
+
+    _createConnection(url, protocols) {
+        const {connections, codecs, states, clock} = this[PRIVATE];
+        const connection = connections[states.length] || null;
+        const state = {
+            index: states.length,
+            connection,
+            codec: (connection && codecs.find(codec => codec.protocol === connection.protocol)) || null,
+            webSocket: null,
+            cursor: 0,
+            closed: false,
+            matched: new Set(),
+            idMap: new Map(),
+        };
+        states.push(state);
+
+        const webSocket = state.webSocket = new FakeWebSocket(url, protocols, {clock});
+        webSocket.remote.on('message', data => this._handleClientFrame(state, data));
+        webSocket.remote.on('close', () => { state.closed = true; });
+
+        clock.setTimeout(() => {
+            if (!state.connection) {
+                webSocket.simulateClose(1011, 'ReplayServer: The recording does not contain any more connections');
+                return;
+            }
+            webSocket.simulateOpen(state.connection.protocol);
+            this._advance(state);
+        }, 0);
+
+        return webSocket;
+    }
+
+    _advance(state) {
+        const {connection: {script}, webSocket, matched} = state;
+
+        while (!state.closed && state.cursor < script.length) {
+            const index = state.cursor;
+            const entry = script[index];
+
+            if (entry.type === 'send') {
+                if (!matched.has(index)) {
+                    return; // wait for the client
+                }
+            }
+            else if (entry.type === 'receive') {
+                webSocket.simulateMessage(this._rewriteIds(state, entry));
+            }
+            else if (entry.type === 'close' && entry.closedByRemote) {
+                state.cursor = script.length;
+                state.closed = true;
+                webSocket.simulateClose(entry.code, entry.reason, {delay: 0});
+                return;
+            }
+            ++state.cursor;
+        }
+    }
+
+    _rewriteIds(state, entry) {
+        const frame = entryFrame(entry);
+        const value = parseFrame(frame, state.codec);
+        if (value === undefined) {
+            return entry.binary ? toArrayBuffer(frame) : frame;
+        }
+
+        const rewrite = message => {
+            const isResponse = message && typeof message === 'object' && typeof message.method !== 'string';
+            if (isResponse && state.idMap.has(message.id)) {
+                return Object.assign({}, message, {id: state.idMap.get(message.id)});
+            }
+            return message;
+        };
+        const rewritten = Array.isArray(value) ? value.map(rewrite) : rewrite(value);
+        if (!entry.binary) {
+            return JSON.stringify(rewritten);
+        }
+        return toArrayBuffer(state.codec ? state.codec.encode(rewritten) : JSON.stringify(rewritten));
+    }
+
+    _handleClientFrame(state, data) {
+        const {connection, codec, matched, idMap} = state;
+        const actualValue = parseFrame(data, codec);
+        // binary frames are reported as JSON, so that frames encoded by a codec are readable
+        const actual = typeof data === 'string' || actualValue === undefined ? String(data) : JSON.stringify(actualValue);
+        const candidates = [];
+
+        if (connection) {
+            const {script} = connection;
+            for (let index = state.cursor; index < script.length; ++index) {
+                const entry = script[index];
+                if (entry.type === 'send' && !matched.has(index)) {
+                    candidates.push(index);
+                    if (this.ordering === 'strict') {
+                        break;
+                    }
+                }
+            }
+        }
+
+        const actualKeys = actualValue === undefined ? null : frameKeys(actualValue);
+        const matchIndex = candidates.find(index => {
+            const recorded = parseFrame(entryFrame(connection.script[index]), codec);
+            return recorded !== undefined && frameKeys(recorded) === actualKeys;
+        });
+
+        if (matchIndex === undefined) {
+            const expected = candidates.length ? connection.script[candidates[0]].data : null;
+            const mismatch = Object.freeze({connection: state.index, expected, actual});
+            this[PRIVATE].mismatches.push(mismatch);
+            this.emit('mismatch', mismatch);
+            return;
+        }
+
+        matched.add(matchIndex);
+        const recordedMessages = toMessages(parseFrame(entryFrame(connection.script[matchIndex]), codec));
+        const actualMessages = toMessages(actualValue);
+        recordedMessages.forEach((recordedMessage, i) => {
+            const actualMessage = actualMessages[i];
+            if (typeof recordedMessage.method === 'string' && 'id' in recordedMessage && actualMessage && 'id' in actualMessage) {
+                idMap.set(recordedMessage.id, actualMessage.id);
+            }
+        });
+        this._advance(state);
+    }
+}
+
+module.exports = ReplayServer;
@@ -0,0 +1,164 @@
+'use strict';
+const {assert} = require('./assert');
+const {systemClock} = require('./clock');
+const {trafficRecorderPrivate: PRIVATE} = require('./symbols');
+
+const LIFECYCLE_EVENTS = Object.freeze([
+    ['webSocketConnecting', ({url}) => ({type: 'connecting', url})],
+    ['webSocketOpen', ({url, protocol}) => ({type: 'open', url, protocol})],
+    ['webSocketError', error => ({type: 'error', message: String(error && error.message)})],
+    ['webSocketClose', ({code, reason, closedByRemote}) => ({type: 'close', code, reason, closedByRemote})],
+]);
+
+const frameEntry = (type, data) => (
+    typeof data === 'string'
+        ? {type, data}
+        : {type, binary: true, data: Buffer.from(data).toString('base64')}
+);
+
+// replace a method of a single instance, returns a function which restores the previous situation
+const hookMethod = (object, name, createHook) => {
+    const hadOwnProperty = Object.prototype.hasOwnProperty.call(object, name);
+    const original = object[name];
+    const hook = createHook(original);
+    object[name] = hook;
+
+    return () => {
+        if (object[name] !== hook) {
+            return; // hooked again by someone else, leave it alone
+        }
+        if (hadOwnProperty) {
+            object[name] = original;
+        }
+        else {
+            delete object[name];
+        }
+    };
+};
+
+class TrafficRecorder {
+    /**
+     * Records the WebSocket frames sent and received by a `WebSocketClient`, and the opening and closing of its connections. Every entry
+     * has a `time` (milliseconds since the epoch) and a `type`:
+     *
+     * * "connecting" - `{url}`
+     * * "open" - `{url, protocol}`
+     * * "error" - `{message}`
+     * * "close" - `{code, reason, closedByRemote}`
+     * * "send" - `{data}` A frame sent by the client
+     * * "receive" - `{data}` A frame received by the client
+     *
+     * Frames are recorded exactly as they are sent over the connection, so if a `codec` has been negotiated the frames are the
+     * encoded binary data. If a frame is binary, `binary` is `true` and `data` is base64.
+     *
+     * The entries are kept in memory, and if a `stream` is given they are also written to it as JSON lines (JSONL). A recording can be
+     * played back using `ReplayServer`.
+     *
+     * @example
+     * const {TrafficRecorder} = require('jsonbird-websocket/testing');
+     * const recorder = new TrafficRecorder({stream: fs.createWriteStream('traffic.jsonl')});
+     * const detach = recorder.attach(rpc);
+     *
+     * @param {Object} [opts]
+     * @param {?{write: function}} [opts.stream=null] Receives every entry as a line of JSON, for example a file stream
+     * @param {number} [opts.maxEntries=Infinity] The maximum amount of entries kept in memory, the oldest entries are removed first
+     * @param {{now: function}} [opts.clock] Provides the `time` of every entry, by default `Date.now()` is used
+     */
+    constructor({stream = null, maxEntries = Infinity, clock = systemClock} = {}) {
+        assert(stream === null || typeof stream.write === 'function', 'TrafficRecorder: stream must be null or have a write() function');
+        this[PRIVATE] = Object.seal({
+            stream,
+            maxEntries: Number(maxEntries),
+            clock,
+            entries: [],
+        });
+    }
+
+    /**
+     * Parse a recording which was written as JSON lines
+     *
+     * @param {string} jsonl
+     * @return {Object[]} entries
+     */
+    static parse(jsonl) {
+        return String(jsonl)
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line));
+    }
+
+    /**
+     * A copy of the entries recorded so far
+     * @return {Object[]}
+     */
+    get entries() {
+        return this[PRIVATE].entries.slice();
+    }
+
+    /**
+     * The entries recorded so far, as JSON lines
+     * @return {string}
+     */
+    toJSONL() {
+        return this[PRIVATE].entries.map(entry => `${JSON.stringify(entry)}\n`).join('');
+    }
+
+    /**
+     * Remove all entries kept in memory
+     */
+    clear() {
+        this[PRIVATE].entries = [];
+    }
+
+    /**
+     * Add an entry to the recording. This is used by `attach()`, but may also be used to add custom entries (such as markers).
+     *
+     * @param {{type: string}} entry
+     * @return {Object} The entry, including its `time`
+     */
+    record(entry) {
+        const {stream, maxEntries, entries, clock} = this[PRIVATE];
+        const timedEntry = Object.freeze(Object.assign({time: clock.now()}, entry));
+        entries.push(timedEntry);
+        if (entries.length > maxEntries) {
+            entries.shift();
+        }
+        if (stream) {
+            stream.write(`${JSON.stringify(timedEntry)}\n`);
+        }
+        return timedEntry;
+    }
+
+    /**
+     * Start recording the traffic of the given client
+     *
+     * @param {WebSocketClient} client
+     * @return {function} A function which stops recording
+     */
+    attach(client) {
+        // both hooks see the frames as they are on the wire, after encoding by the codec of the connection (if any)
+        const restoreSend = hookMethod(client, '_sendFrame', original => frame => {
+            this.record(frameEntry('send', frame));
+            return original.call(client, frame);
+        });
+        const restoreMessage = hookMethod(client, '_handleWebSocketMessage', original => data => {
+            this.record(frameEntry('receive', data));
+            return original.call(client, data);
+        });
+        const listeners = LIFECYCLE_EVENTS.map(([eventName, toEntry]) => {
+            const listener = info => this.record(toEntry(info));
+            client.on(eventName, listener);
+            return [eventName, listener];
+        });
+
+        return () => {
+            restoreSend();
+            restoreMessage();
+            for (const [eventName, listener] of listeners) {
+                client.removeListener(eventName, listener);
+            }
+        };
+    }
+}
+
+module.exports = TrafficRecorder;
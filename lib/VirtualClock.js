@@ -0,0 +1,161 @@
+'use strict';
+const {assert} = require('./assert');
+const {createSeededRandom} = require('./clock');
+const {virtualClockPrivate: PRIVATE} = require('./symbols');
+
+class VirtualClock {
+    /**
+     * A clock which only advances when asked to, for deterministic tests of time-based behaviour such as reconnect delays, connect
+     * timeouts, pings and call timeouts. Pass it as the `clock` option of `WebSocketClient` (and of `FakeJsonRpcPeer`, `FakeWebSocket`
+     * or `ReplayServer` to control their delays too). Its `random()` function returns a reproducible sequence based on `seed`, which
+     * makes the jitter of the default reconnect delays predictable.
+     *
+     * Timers are run synchronously by `tick()`, `next()` and `runAll()`. Work which the client schedules using Promises is performed
+     * after those functions return, so await something (e.g. `await Promise.resolve()`) before advancing the clock again if the next
+     * timer depends on it.
+     *
+     * @example
+     * const {VirtualClock} = require('jsonbird-websocket/testing');
+     * const clock = new VirtualClock({seed: 42});
+     * const rpc = new WebSocketClient({url: 'ws://localhost/', clock});
+     * rpc.start();
+     * clock.tick(10000); // the connect timeout is reached
+     *
+     * @param {Object} [opts]
+     * @param {number} [opts.now=0] The initial time, in milliseconds since the epoch
+     * @param {number} [opts.seed=1] The seed for `random()`
+     */
+    constructor({now = 0, seed = 1} = {}) {
+        assert(Number.isFinite(now), 'VirtualClock: now must be a finite number');
+        assert(Number.isInteger(seed), 'VirtualClock: seed must be an integer');
+
+        this[PRIVATE] = Object.seal({
+            now,
+            random: createSeededRandom(seed),
+            timers: new Map(),
+            nextTimerId: 1,
+        });
+
+        // allow these functions to be passed around without binding them
+        this.now = this.now.bind(this);
+        this.setTimeout = this.setTimeout.bind(this);
+        this.clearTimeout = this.clearTimeout.bind(this);
+        this.random = this.random.bind(this);
+    }
+
+    /**
+     * The current virtual time
+     * @return {number}
+     */
+    now() {
+        return this[PRIVATE].now;
+    }
+
+    /**
+     * @param {function} func
+     * @param {number} [delay=0]
+     * @return {number} The timer id
+     */
+    setTimeout(func, delay = 0) {
+        assert(typeof func === 'function', 'VirtualClock#setTimeout(): func must be a function');
+        const id = this[PRIVATE].nextTimerId++;
+        const at = this[PRIVATE].now + Math.max(0, Number(delay) || 0);
+        this[PRIVATE].timers.set(id, {id, at, func});
+        return id;
+    }
+
+    /**
+     * @param {number} id
+     */
+    clearTimeout(id) {
+        this[PRIVATE].timers.delete(id);
+    }
+
+    /**
+     * @return {number} A number between 0 (inclusive) and 1 (exclusive)
+     */
+    random() {
+        return this[PRIVATE].random();
+    }
+
+    /**
+     * The amount of timers which have not fired and have not been cleared
+     * @return {number}
+     */
+    get pendingTimers() {
+        return this[PRIVATE].timers.size;
+    }
+
+    /**
+     * The time at which the next timer fires, or `null` if there are no pending timers
+     * @return {?number}
+     */
+    get nextTimerAt() {
+        const timer = this._nextTimer();
+        return timer ? timer.at : null;
+    }
+
+    _nextTimer() {
+        let next = null;
+        for (const timer of this[PRIVATE].timers.values()) {
+            if (!next || timer.at < next.at) { // a Map iterates in insertion order, so timers with the same time fire in order
+                next = timer;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Advance the clock to the next pending timer and fire it
+     *
+     * @return {boolean} `false` if there were no pending timers
+     */
+    next() {
+        const timer = this._nextTimer();
+        if (!timer) {
+            return false;
+        }
+        this[PRIVATE].timers.delete(timer.id);
+        this[PRIVATE].now = Math.max(this[PRIVATE].now, timer.at);
+        timer.func();
+        return true;
+    }
+
+    /**
+     * Advance the clock by `duration` milliseconds, firing all the timers which are due in order. This includes timers which are
+     * created by those timers.
+     *
+     * @param {number} duration
+     * @return {number} The amount of timers which have fired
+     */
+    tick(duration) {
+        assert(duration >= 0, 'VirtualClock#tick(): duration must be a positive number');
+        const end = this[PRIVATE].now + duration;
+        let fired = 0;
+        for (let timer = this._nextTimer(); timer && timer.at <= end; timer = this._nextTimer()) {
+            this.next();
+            ++fired;
+        }
+        this[PRIVATE].now = end;
+        return fired;
+    }
+
+    /**
+     * Fire timers until there are none left. Note that some timers always create a new timer (such as pings), use `tick()` instead in
+     * that situation.
+     *
+     * @param {number} [limit=1000] The maximum amount of timers to fire, an Error is thrown if there are more
+     * @return {number} The amount of timers which have fired
+     */
+    runAll(limit = 1000) {
+        let fired = 0;
+        while (this.pendingTimers) {
+            assert(fired < limit, `VirtualClock#runAll(): Aborted after firing ${limit} timers`);
+            this.next();
+            ++fired;
+        }
+        return fired;
+    }
+}
+
+module.exports = VirtualClock;
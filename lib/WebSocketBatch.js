@@ -0,0 +1,89 @@
+'use strict';
+const {assert} = require('./assert');
+const {webSocketBatchPrivate: PRIVATE} = require('./symbols');
+
+class WebSocketBatch {
+    /**
+     * Collects method calls and notifications which are sent together as a single JSON-RPC 2.0 batch (one WebSocket message).
+     * Instances are created by `WebSocketClient#batch()`, you should not have to construct this class yourself.
+     *
+     * @example
+     * const batch = rpc.batch();
+     * const user = batch.call('getUser', 123);
+     * const settings = batch.call('getSettings');
+     * batch.notify('pageView', '/home');
+     * batch.send();
+     * console.log(await user, await settings);
+     *
+     * @param {function} sendCallback Called by `send()` with the array of collected entries
+     */
+    constructor(sendCallback) {
+        this[PRIVATE] = Object.seal({
+            sendCallback,
+            entries: [],
+            sent: false,
+        });
+    }
+
+    /**
+     * The amount of method calls and notifications in this batch
+     * @return {number}
+     */
+    get length() {
+        return this[PRIVATE].entries.length;
+    }
+
+    /**
+     * Has `send()` been called?
+     * @return {boolean}
+     */
+    get sent() {
+        return this[PRIVATE].sent;
+    }
+
+    /**
+     * Add a method call to this batch. The arguments are the same as those of `WebSocketClient#call()`.
+     *
+     * @param {string|Object} nameOrOptions The method name or an options object
+     * @param {...*} args
+     * @return {Promise} A Promise which will resolve with the return value of the remote method, after `send()` has been called
+     */
+    call(nameOrOptions, ...args) {
+        return this._add('call', nameOrOptions, args);
+    }
+
+    /**
+     * Add a notification to this batch. The arguments are the same as those of `WebSocketClient#notify()`.
+     *
+     * @param {string|Object} nameOrOptions The method name or an options object
+     * @param {...*} args
+     * @return {Promise} A Promise which will resolve as soon as the batch has been buffered, after `send()` has been called
+     */
+    notify(nameOrOptions, ...args) {
+        return this._add('notify', nameOrOptions, args);
+    }
+
+    /**
+     * Send all method calls and notifications of this batch as a single message. If there is no open connection, the
+     * `offlinePolicy` of the client is applied to each entry.
+     *
+     * A batch can only be sent once.
+     */
+    send() {
+        assert(!this.sent, 'send(): This batch has already been sent');
+        this[PRIVATE].sent = true;
+        const {entries, sendCallback} = this[PRIVATE];
+        if (entries.length) {
+            sendCallback(entries);
+        }
+    }
+
+    _add(type, nameOrOptions, args) {
+        assert(!this.sent, `${type}(): This batch has already been sent`);
+        return new Promise((resolve, reject) => {
+            this[PRIVATE].entries.push({type, nameOrOptions, args, resolve, reject});
+        });
+    }
+}
+
+module.exports = WebSocketBatch;
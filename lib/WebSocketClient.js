@@ -3,42 +3,107 @@ const WebSocket = require('isomorphic-ws');
 const JSONBird = require('jsonbird');
 const {EventEmitter} = require('events');
 
+const {systemClock, assertValidClock} = require('./clock');
 const closeCodes = require('./closeCodes');
+const {parseCloseCodePolicy, resolveCloseCodeAction} = require('./closeCodePolicy');
+const ConnectionStats = require('./ConnectionStats');
+const connectionState = require('./connectionState');
+const {assert, assertValidOutgoingCloseCode} = require('./assert');
+const {
+    assertValidCodec,
+    decodeMessage,
+    encodeMessage,
+    joinMessages,
+    messageByteLength,
+    sendParseError,
+    toRpcObject,
+    readBatch,
+    collectBatchResponse,
+} = require('./codec');
+const {NotConnectedError, ConnectionLostError} = require('./errors');
+const {compileSchemas, assertValidSchema} = require('./schemas');
+const {createContext, contextToNameOrOptions, runMiddleware} = require('./middleware');
+const OfflineQueue = require('./OfflineQueue');
 const readyState = require('./readyState');
+const createRpcProxy = require('./rpcProxy');
+const WebSocketBatch = require('./WebSocketBatch');
 const {
     connectTimeoutTimerId,
     reconnectTimerId,
+    offlineQueueTimerId,
+    failbackTimerId,
+    waitTimerId,
+    heartbeatTimerId,
+    drainTimerId,
     webSocketClientPrivate: PRIVATE,
 } = require('./symbols');
 
-const defaultCreateConnectionCallback = ({WebSocket, url}) => new WebSocket(url);
-const defaultReconnectDelayCallback = x => 2 ** x * 100 * (Math.random() + 0.5);
+const defaultCreateConnectionCallback = ({WebSocket, url, protocols}) => new WebSocket(url, protocols);
+const defaultReconnectDelayCallback = (x, {random = Math.random} = {}) => 2 ** x * 100 * (random() + 0.5);
 
 const DEFAULT_OPTIONS = Object.freeze({
     jsonbird: {},
     url: '',
+    urlCallback: null,
     createConnectionCallback: defaultCreateConnectionCallback,
     reconnect: true,
     reconnectDelayCallback: defaultReconnectDelayCallback,
     reconnectCounterMax: 8, // 2 ** 8 * 100 = 25600
+    maxReconnectAttempts: Infinity,
+    maxReconnectDuration: Infinity,
+    closeCodePolicy: Object.freeze({
+        [closeCodes.UNSUPPORTED_DATA]: 'stop',
+        [closeCodes.POLICY_VIOLATION]: 'stop',
+    }),
     connectTimeout: 10000,
     consecutivePingFailClose: 4,
     timeoutCloseCode: 4100,
     internalErrorCloseCode: 4101,
+    onOpen: null,
+    onOpenFailCloseCode: 4102,
+    offlinePolicy: 'queue',
+    failoverAttempts: 2,
+    failbackDelay: 300000,
+    subscribeMethod: 'subscribe',
+    unsubscribeMethod: 'unsubscribe',
+    cancelNotification: null,
+    codec: null,
+    protocols: [],
+    heartbeat: 'rpc',
+    sendHighWaterMark: Infinity,
+    sendLowWaterMark: 0,
+    drainCheckInterval: 50,
+    backpressure: 'buffer',
+    environment: null,
+    compileSchema: null,
+    callSchemas: Object.freeze({}),
+    clock: systemClock,
 });
 
-const assert = (condition, message) => {
-    if (!condition) {
-        throw Error(message);
+const OFFLINE_MODES = Object.freeze(['queue', 'reject', 'drop-notifications']);
+const HEARTBEAT_MODES = Object.freeze(['rpc', 'websocket', 'passive']);
+const BACKPRESSURE_MODES = Object.freeze(['buffer', 'wait']);
+
+// the message of the error jsonbird rejects a call with, if no response has been received within its timeout
+const CALL_TIMEOUT_MESSAGE = /^JSONBird: Remote Call ".*" timed out after \d+ms$/;
+
+// ping/pong control frames are only available with the "ws" library, not in browsers
+const supportsControlFrames = webSocket => typeof webSocket.ping === 'function' && typeof webSocket.on === 'function';
+
+const isThenable = value => Boolean(value) && typeof value.then === 'function';
+
+const createAbortError = signal => {
+    if (signal.reason !== undefined) {
+        return signal.reason;
     }
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
 };
 
-// The browser API only accepts these numbers for webSocket.close() (see HTML whatwg spec)
-// The ws library for node.js supports more close codes, however we void those to ensure compatability
-const assertValidOutgoingCloseCode = (number, message) => assert(
-    Number.isInteger(number) && (number === 1000 || (number >= 3000 && number <= 4999)),
-    `${message} Invalid close code (${number}). It must be 1000 or in the range 3000 and 4999 inclusive`
-);
+const getNameOption = nameOrOptions => (nameOrOptions !== null && typeof nameOrOptions === 'object' ? nameOrOptions.name : nameOrOptions);
+
+const getSignalOption = nameOrOptions => (nameOrOptions !== null && typeof nameOrOptions === 'object' && nameOrOptions.signal) || null;
 
 class WebSocketClient extends EventEmitter {
     /**
@@ -79,21 +144,61 @@ class WebSocketClient extends EventEmitter {
      * The WebSocket connection is being established but is not yet open.
      *
      * @event WebSocketClient#webSocketConnecting
+     * @param {{url: string}} info The endpoint to which the connection is being made
      */
 
     /**
-     * The WebSocket connection is now open and all pending RPC calls will be flushed to the server
+     * The WebSocket connection is now open. If an `onOpen` hook has been set, it is called after this event. Otherwise the `ready`
+     * event follows immediately.
      *
      * @event WebSocketClient#webSocketOpen
+     * @param {{url: string, protocol: string}} info The endpoint to which the connection has been made, and the subprotocol the
+     *        server agreed on (an empty string if none)
+     */
+
+    /**
+     * The WebSocket connection is open, the `onOpen` hook (if any) has completed and all pending RPC calls will be flushed to the server
+     *
+     * @event WebSocketClient#ready
+     * @param {{url: string}} info The endpoint to which the connection has been made
+     */
+
+    /**
+     * The value of the `state` property has changed.
+     *
+     * @example
+     * rpc.on('stateChange', ({previous, state, cause}) => console.log(`${previous} -> ${state} (${cause})`));
+     *
+     * @event WebSocketClient#stateChange
+     * @param {{previous: string, state: string, cause: string}} info `cause` is one of: "start", "reconnect", "open", "ready",
+     *        "closeConnection", "close" or "stop". If the connection is being closed or has been closed, `code` and `reason` are
+     *        also present, and `closedByRemote` once it has been closed. The "waiting-to-reconnect" state also has `reconnectDelay`.
+     */
+
+    /**
+     * A `subscribe` call made on behalf of `subscribe()` (either the first one, or a replay after a reconnect) has been rejected by
+     * the server. Calls that failed because the connection was lost are not reported, they are replayed on the next connection.
+     *
+     * @event WebSocketClient#subscriptionError
+     * @param {Error} error
+     * @param {{topic: string, params: *}} subscription
+     */
+
+    /**
+     * The `onOpen` hook threw or returned a rejected Promise. The connection is closed using `onOpenFailCloseCode`.
+     *
+     * @event WebSocketClient#onOpenFail
+     * @param {Error} error
      */
 
     /**
      * The WebSocket API raised an error.
      *
      * @event WebSocketClient#webSocketError
-     * @param {window.Event|ws.ErrorEvent} error When running in node.js this contains an ErrorEvent from the "ws" library, interesting
-     *        properties include `message` (string) and `error` (Error)
+     * @param {window.Event|ws.ErrorEvent|Error} error When running in node.js this contains an ErrorEvent from the "ws" library,
+     *        interesting properties include `message` (string) and `error` (Error)
      *        However when run in a browser, this will contain a plain `Event` without any useful error information.
+     *        If `urlCallback` or `createConnectionCallback` returned a rejected Promise, this contains the rejection reason.
      */
 
     /**
@@ -109,27 +214,76 @@ class WebSocketClient extends EventEmitter {
      *
      * @example
      * rpc = new WebSocketClient(...);
-     * rpc.on('webSocketClose', ({code, reason}) => {
-     *   if (reason === closeCodes.POLICY_VIOLATION) {
-     *     rpc.stop(); // stop reconnecting
-     *   }
+     * rpc.on('webSocketClose', ({code, reason, reconnect}) => {
+     *   console.log('Connection closed:', code, closeCodes.describe(code), reason, reconnect ? 'reconnecting...' : '');
      * });
      *
      * @event WebSocketClient#webSocketClose
      * @param {{code: number, reason: string, closedByRemote: boolean}} info
      */
 
+    /**
+     * An outgoing message has been dropped because there is no open connection. If the message was a method call, the promise
+     * returned by `call()` is rejected with a `NotConnectedError`.
+     *
+     * @event WebSocketClient#offlineMessageDropped
+     * @param {{reason: string, method: ?string, id: ?(string|number)}} info `reason` is one of: "offline" (the `offlinePolicy`
+     *        does not allow this message to be queued), "maxCount", "maxBytes" or "maxAge" (an `offlinePolicy` limit has been exceeded)
+     */
+
+    /**
+     * The client has given up reconnecting because `maxReconnectAttempts` or `maxReconnectDuration` has been exceeded. The client
+     * has been stopped, call `start()` to try again.
+     *
+     * @event WebSocketClient#reconnectFailed
+     * @param {{reason: string, attempts: number, duration: number, history: Object[]}} info `reason` is "maxReconnectAttempts" or
+     *        "maxReconnectDuration". `history` contains an object `{url, code, reason, time}` for the lost connection and every failed
+     *        connection attempt since the last time the client was ready
+     */
+
+    /**
+     * Sending has resumed after it was paused because the `bufferedAmount` of the WebSocket exceeded `sendHighWaterMark`. Either
+     * because the `bufferedAmount` has dropped to `sendLowWaterMark` or because the connection has been closed.
+     *
+     * @event WebSocketClient#drain
+     * @param {{bufferedAmount: number}} info The `bufferedAmount` of the connection, or 0 if the connection has been closed
+     */
+
     /**
      * @param {object} [opts] The effect of these options are documented at the getter/setter with the same name
-     * @param {string} opts.url
-     * @param {function} [opts.createConnectionCallback=({WebSocket, url}) => new (require('isomorphic-ws'))(url)]
+     * @param {string|string[]|{getUrls: function}} opts.url
+     * @param {?function} [opts.urlCallback=null]
+     * @param {function} [opts.createConnectionCallback=({WebSocket, url, protocols}) => new (require('isomorphic-ws'))(url, protocols)]
      * @param {boolean} [opts.reconnect=true]
-     * @param {function} [opts.reconnectDelayCallback=x => 2**x * 100 * (Math.random() + 0.5)]
+     * @param {function} [opts.reconnectDelayCallback=(x, {random}) => 2**x * 100 * (random() + 0.5)]
      * @param {number} [opts.reconnectCounterMax=8]
+     * @param {number} [opts.maxReconnectAttempts=Infinity]
+     * @param {number} [opts.maxReconnectDuration=Infinity]
+     * @param {Object} [opts.closeCodePolicy={1003: 'stop', 1008: 'stop'}]
      * @param {number} [opts.connectTimeout=10000]
      * @param {number} [opts.consecutivePingFailClose=4]
      * @param {number} [opts.timeoutCloseCode=4100]
      * @param {number} [opts.internalErrorCloseCode=4101]
+     * @param {?function} [opts.onOpen=null]
+     * @param {number} [opts.onOpenFailCloseCode=4102]
+     * @param {string|object} [opts.offlinePolicy='queue']
+     * @param {number} [opts.failoverAttempts=2]
+     * @param {number} [opts.failbackDelay=300000]
+     * @param {string} [opts.subscribeMethod='subscribe']
+     * @param {string} [opts.unsubscribeMethod='unsubscribe']
+     * @param {?string} [opts.cancelNotification=null]
+     * @param {?{protocol: string, encode: function, decode: function}} [opts.codec=null]
+     * @param {string|string[]} [opts.protocols=[]]
+     * @param {string} [opts.heartbeat='rpc']
+     * @param {number} [opts.sendHighWaterMark=Infinity]
+     * @param {number} [opts.sendLowWaterMark=0]
+     * @param {number} [opts.drainCheckInterval=50]
+     * @param {string} [opts.backpressure='buffer']
+     * @param {?{isOnline: function, attach: function}} [opts.environment=null]
+     * @param {?function} [opts.compileSchema=null]
+     * @param {Object} [opts.callSchemas={}]
+     * @param {{now: function, setTimeout: function, clearTimeout: function, random: function}} [opts.clock] This option can not be
+     *        changed after construction. By default `Date.now()`, the global timer functions and `Math.random()` are used
      * @param {object} [opts.jsonbird] Options passed to the [JSONBird constructor](https://www.npmjs.com/package/jsonbird#new_JSONBird_new)
      * @param {boolean} [opts.jsonbird.receiveErrorStack=false]
      * @param {boolean} [opts.jsonbird.sendErrorStack=false]
@@ -142,25 +296,52 @@ class WebSocketClient extends EventEmitter {
      * @param {string} [opts.jsonbird.pingMethod='jsonbird.ping']
      * @param {number} [opts.jsonbird.pingInterval=2000]
      * @param {number} [opts.jsonbird.pingTimeout=1000]
-     * @param {number} [opts.jsonbird.pingNow=Date.now] Timer function used to figure out ping delays
-     * @param {Function} [opts.jsonbird.setTimeout=global.setTimeout]
-     * @param {Function} [opts.jsonbird.clearTimeout=global.clearTimeout]
+     * @param {number} [opts.jsonbird.pingNow=clock.now] Timer function used to figure out ping delays
+     * @param {Function} [opts.jsonbird.setTimeout=clock.setTimeout]
+     * @param {Function} [opts.jsonbird.clearTimeout=clock.clearTimeout]
      */
     constructor(opts = {}) {
         super();
         const options = Object.assign({}, DEFAULT_OPTIONS, opts);
+        const {clock} = options;
+        assertValidClock(clock, 'WebSocketClient:');
 
         this[PRIVATE] = Object.seal({
             // settings
             url: '',
+            urlCallback: null,
             createConnectionCallback: null,
             reconnect: false,
             reconnectDelayCallback: null,
             reconnectCounterMax: 0,
+            closeCodePolicy: null,
+            closeCodeRules: null,
+            maxReconnectAttempts: 0,
+            maxReconnectDuration: 0,
             connectTimeout: 0,
             consecutivePingFailClose: 0,
             timeoutCloseCode: 0,
             internalErrorCloseCode: 0,
+            onOpen: null,
+            onOpenFailCloseCode: 0,
+            offlinePolicy: null,
+            failoverAttempts: 0,
+            failbackDelay: 0,
+            subscribeMethod: '',
+            unsubscribeMethod: '',
+            cancelNotification: null,
+            codec: null,
+            protocols: [],
+            heartbeat: '',
+            sendHighWaterMark: 0,
+            sendLowWaterMark: 0,
+            drainCheckInterval: 0,
+            backpressure: '',
+            environment: null,
+            compileSchema: null,
+            callSchemas: null,
+            callValidators: new Map(),
+            clock,
 
             // state
             started: false,
@@ -169,22 +350,81 @@ class WebSocketClient extends EventEmitter {
             hasHandledWebSocketClose: false,
             reconnectTimer: null,
             connectTimeoutTimer: null,
+            offlineQueue: new OfflineQueue(),
+            offlineQueueTimer: null,
+            pendingCalls: new Set(),
+            urlIndex: 0,
+            currentUrl: null,
+            hasOpened: false,
+            connectFailures: 0,
+            failbackTimer: null,
+            connectAttempt: null,
+            state: connectionState.STOPPED,
+            reconnectAt: 0,
+            reconnectHistory: [],
+            middleware: [],
+            detachEnvironment: null,
+            subscriptions: new Set(),
+            subscriptionTopics: new Set(),
+            outgoingTags: [],
+            stats: new ConnectionStats(clock.now()),
+            incomingBatches: [],
+            connectionCodec: null,
+            protocol: null,
+            activeHeartbeat: null,
+            heartbeatTimer: null,
+            heartbeatFails: 0,
+            heartbeatPingSentAt: null,
+            lastMessageAt: 0,
+            sendingPaused: false,
+            pausedMessages: [],
+            drainTimer: null,
         });
 
         this.url = options.url;
+        this.urlCallback = options.urlCallback;
         this.createConnectionCallback = options.createConnectionCallback;
         this.reconnect = options.reconnect;
         this.reconnectDelayCallback = options.reconnectDelayCallback;
         this.reconnectCounterMax = options.reconnectCounterMax;
+        this.maxReconnectAttempts = options.maxReconnectAttempts;
+        this.maxReconnectDuration = options.maxReconnectDuration;
+        this.closeCodePolicy = options.closeCodePolicy;
         this.connectTimeout = options.connectTimeout;
         this.consecutivePingFailClose = options.consecutivePingFailClose;
         this.timeoutCloseCode = options.timeoutCloseCode;
         this.internalErrorCloseCode = options.internalErrorCloseCode;
+        this.onOpen = options.onOpen;
+        this.onOpenFailCloseCode = options.onOpenFailCloseCode;
+        this.offlinePolicy = options.offlinePolicy;
+        this.failoverAttempts = options.failoverAttempts;
+        this.failbackDelay = options.failbackDelay;
+        this.subscribeMethod = options.subscribeMethod;
+        this.unsubscribeMethod = options.unsubscribeMethod;
+        this.cancelNotification = options.cancelNotification;
+        this.codec = options.codec;
+        this.protocols = options.protocols;
+        this.heartbeat = options.heartbeat;
+        this.sendHighWaterMark = options.sendHighWaterMark;
+        this.sendLowWaterMark = options.sendLowWaterMark;
+        this.drainCheckInterval = options.drainCheckInterval;
+        this.backpressure = options.backpressure;
+        this.environment = options.environment;
+        this.compileSchema = options.compileSchema;
+        this.callSchemas = options.callSchemas;
+
+        // the timers of JSONBird (call timeouts, pings) and our own timers (which use rpc.setTimeout) all go through the clock
+        const clockOptions = {
+            pingNow: () => clock.now(),
+            setTimeout: (func, delay) => clock.setTimeout(func, delay),
+            clearTimeout: id => clock.clearTimeout(id),
+        };
+        const jsonbirdOptions = Object.assign(clockOptions, options.jsonbird, {
+            writableMode: 'object', // incoming messages are decoded by _handleWebSocketMessage()
+            readableMode: 'object', // outgoing messages are encoded by _handleRpcData()
+        });
 
-        const rpc = new JSONBird(Object.assign({}, options.jsonbird, {
-            writableMode: 'json-stream',
-            readableMode: 'json-message',
-        }));
+        const rpc = new JSONBird(jsonbirdOptions);
 
         Object.defineProperty(this, 'rpc', {enumerable: true, value: rpc});
 
@@ -199,25 +439,132 @@ class WebSocketClient extends EventEmitter {
         this.rpc.on('protocolError', err => this.emit('protocolError', err));
         this.rpc.on('pingSuccess', delay => this.emit('pingSuccess', delay));
         this.rpc.on('pingFail', (consecutiveFails, err) => this.emit('pingFail', consecutiveFails, err));
-        this.rpc.pause();
     }
 
     /**
      * The URL to which to connect; this should be the URL to which the WebSocket server will respond.
-     * @param {string} value
+     *
+     * Instead of a single URL, an ordered list of URLs may be given, the first URL being the preferred endpoint. After
+     * `failoverAttempts` consecutive failed connection attempts, the next URL in the list is used. It is also possible to pass a
+     * provider object with a `getUrls()` method, which is called before each connection attempt and must return such a list. If
+     * `getUrls()` throws or returns an empty list, the connection attempt fails and a reconnect is scheduled as usual.
+     *
+     * @param {string|string[]|{getUrls: function}} value
      */
     set url(value) {
-        this[PRIVATE].url = String(value);
+        if (Array.isArray(value)) {
+            assert(value.length > 0, 'url must not be an empty list');
+            this[PRIVATE].url = Object.freeze(value.map(String));
+        }
+        else if (value && typeof value.getUrls === 'function') {
+            this[PRIVATE].url = value;
+        }
+        else {
+            this[PRIVATE].url = String(value);
+        }
+        this[PRIVATE].urlIndex = 0;
+        this[PRIVATE].connectFailures = 0;
     }
 
     /**
      * The URL to which to connect; this should be the URL to which the WebSocket server will respond.
-     * @return {string}
+     *
+     * Instead of a single URL, an ordered list of URLs may be given, the first URL being the preferred endpoint. After
+     * `failoverAttempts` consecutive failed connection attempts, the next URL in the list is used. It is also possible to pass a
+     * provider object with a `getUrls()` method, which is called before each connection attempt and must return such a list. If
+     * `getUrls()` throws or returns an empty list, the connection attempt fails and a reconnect is scheduled as usual.
+     *
+     * @return {string|string[]|{getUrls: function}}
      */
     get url() {
         return this[PRIVATE].url;
     }
 
+    /**
+     * The URL of the active connection, or of the most recent connection attempt
+     * @return {?string}
+     */
+    get currentUrl() {
+        return this[PRIVATE].currentUrl;
+    }
+
+    /**
+     * The WebSocket subprotocols to request from the server (`Sec-WebSocket-Protocol`), in order of preference. These are passed to
+     * `createConnectionCallback`, after the `protocol` of the `codec` (if any).
+     *
+     * If this list is not empty, the subprotocol the server agreed on must be one of these (or the `protocol` of the `codec`).
+     * Otherwise the connection is closed with the close code `PROTOCOL_ERROR` (1002) and the client stops reconnecting, because
+     * the server does not speak any of the protocols that we do.
+     *
+     * @param {string|string[]} value
+     */
+    set protocols(value) {
+        const protocols = Object.freeze([].concat(value).map(String));
+        assert(protocols.every(protocol => protocol.length > 0), 'Invalid value for protocols: Must not contain empty strings');
+        this[PRIVATE].protocols = protocols;
+    }
+
+    /**
+     * The WebSocket subprotocols to request from the server (`Sec-WebSocket-Protocol`), in order of preference. These are passed to
+     * `createConnectionCallback`, after the `protocol` of the `codec` (if any).
+     *
+     * If this list is not empty, the subprotocol the server agreed on must be one of these (or the `protocol` of the `codec`).
+     * Otherwise the connection is closed with the close code `PROTOCOL_ERROR` (1002) and the client stops reconnecting, because
+     * the server does not speak any of the protocols that we do.
+     *
+     * @return {string[]}
+     */
+    get protocols() {
+        return this[PRIVATE].protocols;
+    }
+
+    /**
+     * The WebSocket subprotocol the server agreed on for the active connection (an empty string if none), or `null` if there is no
+     * open connection
+     * @return {?string}
+     */
+    get protocol() {
+        return this[PRIVATE].protocol;
+    }
+
+    /**
+     * The amount of consecutive failed connection attempts (a timeout or a close before the connection was open) after which the
+     * next URL of the `url` list is used.
+     * @param {number} value
+     */
+    set failoverAttempts(value) {
+        this[PRIVATE].failoverAttempts = Number(value);
+    }
+
+    /**
+     * The amount of consecutive failed connection attempts (a timeout or a close before the connection was open) after which the
+     * next URL of the `url` list is used.
+     * @return {number}
+     */
+    get failoverAttempts() {
+        return this[PRIVATE].failoverAttempts;
+    }
+
+    /**
+     * If a connection has been made to an URL other than the first one of the `url` list, that connection is closed after this
+     * amount of milliseconds, so that the next connection attempt uses the preferred URL again. In-flight calls are handled in the
+     * same way as any other lost connection. Set to `Infinity` to stay connected to the fallback URL.
+     * @param {number} value
+     */
+    set failbackDelay(value) {
+        this[PRIVATE].failbackDelay = Number(value);
+    }
+
+    /**
+     * If a connection has been made to an URL other than the first one of the `url` list, that connection is closed after this
+     * amount of milliseconds, so that the next connection attempt uses the preferred URL again. In-flight calls are handled in the
+     * same way as any other lost connection. Set to `Infinity` to stay connected to the fallback URL.
+     * @return {number}
+     */
+    get failbackDelay() {
+        return this[PRIVATE].failbackDelay;
+    }
+
     /**
      * If true, a new connection will be made (after a delay) if the connection closes for any reason (error, timeouts, explicit close)
      * @param {boolean} value
@@ -234,6 +581,95 @@ class WebSocketClient extends EventEmitter {
         return this[PRIVATE].reconnect;
     }
 
+    /**
+     * The name of the remote method which is called by `subscribe()`, with the arguments `topic` and `params`
+     * @param {string} value
+     */
+    set subscribeMethod(value) {
+        this[PRIVATE].subscribeMethod = String(value);
+    }
+
+    /**
+     * The name of the remote method which is called by `subscribe()`, with the arguments `topic` and `params`
+     * @return {string}
+     */
+    get subscribeMethod() {
+        return this[PRIVATE].subscribeMethod;
+    }
+
+    /**
+     * The name of the remote method which is called by the function returned from `subscribe()`, with the arguments `topic` and `params`
+     * @param {string} value
+     */
+    set unsubscribeMethod(value) {
+        this[PRIVATE].unsubscribeMethod = String(value);
+    }
+
+    /**
+     * The name of the remote method which is called by the function returned from `subscribe()`, with the arguments `topic` and `params`
+     * @return {string}
+     */
+    get unsubscribeMethod() {
+        return this[PRIVATE].unsubscribeMethod;
+    }
+
+    /**
+     * The name of the remote notification which is sent when a call that has already been sent is aborted using its `signal`, so that
+     * the server is able to stop working on it. The notification is sent with a single argument: `{id}`. `null` to disable.
+     * @param {?string} value For example `'$/cancelRequest'`
+     */
+    set cancelNotification(value) {
+        this[PRIVATE].cancelNotification = value === null ? null : String(value);
+    }
+
+    /**
+     * The name of the remote notification which is sent when a call that has already been sent is aborted using its `signal`, so that
+     * the server is able to stop working on it. The notification is sent with a single argument: `{id}`. `null` to disable.
+     * @return {?string}
+     */
+    get cancelNotification() {
+        return this[PRIVATE].cancelNotification;
+    }
+
+    /**
+     * An encoder/decoder pair (such as MessagePack or CBOR) which is used instead of JSON text, or `null` to always use JSON text.
+     *
+     * The codec is offered to the server as a WebSocket subprotocol (`protocol`) when a connection is made. If the server agrees
+     * on that subprotocol, all outgoing messages of that connection are sent as binary frames created by `encode(object)` and
+     * incoming binary frames are passed to `decode(buffer)`. Otherwise JSON text is used, as usual. Incoming text frames are
+     * always parsed as JSON.
+     *
+     * A change to this value is applied to the next connection.
+     *
+     * @example
+     * const msgpack = require('@msgpack/msgpack');
+     * rpc.codec = {protocol: 'jsonrpc.msgpack', encode: msgpack.encode, decode: msgpack.decode};
+     *
+     * @param {?{protocol: string, encode: function, decode: function}} value
+     */
+    set codec(value) {
+        if (value !== null) {
+            assertValidCodec(value, 'Invalid value for codec:');
+        }
+        this[PRIVATE].codec = value;
+    }
+
+    /**
+     * An encoder/decoder pair (such as MessagePack or CBOR) which is used instead of JSON text, or `null` to always use JSON text.
+     *
+     * The codec is offered to the server as a WebSocket subprotocol (`protocol`) when a connection is made. If the server agrees
+     * on that subprotocol, all outgoing messages of that connection are sent as binary frames created by `encode(object)` and
+     * incoming binary frames are passed to `decode(buffer)`. Otherwise JSON text is used, as usual. Incoming text frames are
+     * always parsed as JSON.
+     *
+     * A change to this value is applied to the next connection.
+     *
+     * @return {?{protocol: string, encode: function, decode: function}}
+     */
+    get codec() {
+        return this[PRIVATE].codec;
+    }
+
     /**
      * If this amount of pings fail consecutively, the connection will be automatically closed. If `reconnect` is `true` a new connection
      * will be established.
@@ -308,15 +744,156 @@ class WebSocketClient extends EventEmitter {
         return this[PRIVATE].internalErrorCloseCode;
     }
 
+    /**
+     * An optional hook which is called every time a new connection has been opened, before any other outgoing messages are released.
+     * This can be used to authenticate, negotiate a protocol version or restore session state. All calls and notifications made
+     * using `this.call()` and `this.notify()` are held until the Promise returned by the hook resolves.
+     *
+     * The hook is called with a single argument, an object containing the following properties:
+     *
+     * * "url" - The endpoint to which the connection has been made
+     * * "call" - A function with the same signature as `this.call()`, which sends the call over the fresh connection immediately
+     * * "notify" - A function with the same signature as `this.notify()`, which sends the notification over the fresh connection
+     *   immediately
+     *
+     * If the hook throws or rejects, the connection is closed using `onOpenFailCloseCode`. The connection is also closed if the hook
+     * does not complete within `connectTimeout`.
+     *
+     * @example
+     * rpc.onOpen = async ({call}) => {
+     *   await call('login', await fetchAccessToken());
+     * };
+     * @param {?function} value
+     */
+    set onOpen(value) {
+        assert(value === null || typeof value === 'function', 'onOpen must be a function or null');
+        this[PRIVATE].onOpen = value;
+    }
+
+    /**
+     * An optional hook which is called every time a new connection has been opened, before any other outgoing messages are released.
+     * This can be used to authenticate, negotiate a protocol version or restore session state. All calls and notifications made
+     * using `this.call()` and `this.notify()` are held until the Promise returned by the hook resolves.
+     *
+     * @return {?function}
+     */
+    get onOpen() {
+        return this[PRIVATE].onOpen;
+    }
+
+    /**
+     * The close code to send to the server when the connection is going to be closed because the `onOpen` hook failed.
+     * @param {number} value `1000` or in the range `3000` and `4999` inclusive
+     */
+    set onOpenFailCloseCode(value) {
+        const number = Number(value);
+        assertValidOutgoingCloseCode(number, 'Invalid value for onOpenFailCloseCode:');
+        this[PRIVATE].onOpenFailCloseCode = number;
+    }
+
+    /**
+     * The close code to send to the server when the connection is going to be closed because the `onOpen` hook failed.
+     * @return {number} `1000` or in the range `3000` and `4999` inclusive
+     */
+    get onOpenFailCloseCode() {
+        return this[PRIVATE].onOpenFailCloseCode;
+    }
+
+    /**
+     * Determines what happens to outgoing messages (calls, notifications and responses) while there is no open connection.
+     *
+     * The value is either a mode string, or an object containing a `mode` and optional limits:
+     *
+     * * "mode" - One of:
+     *   * "queue" - Queue all messages until a connection is available
+     *   * "reject" - `call()` and `notify()` immediately reject with a `NotConnectedError`, other messages are dropped
+     *   * "drop-notifications" - Queue method calls and responses, but `notify()` immediately rejects with a `NotConnectedError`
+     * * "maxCount" - The maximum amount of queued messages
+     * * "maxBytes" - The maximum total size of all queued messages
+     * * "maxAge" - The maximum amount of milliseconds a message may be queued
+     *
+     * A message that does not fit within these limits is dropped (see the `offlineMessageDropped` event), a method call for such a
+     * message rejects with a `NotConnectedError`.
+     *
+     * @example
+     * rpc.offlinePolicy = {mode: 'drop-notifications', maxCount: 100, maxAge: 30000};
+     *
+     * @param {string|{mode: string, maxCount: number, maxBytes: number, maxAge: number}} value
+     */
+    set offlinePolicy(value) {
+        const policy = typeof value === 'string' ? {mode: value} : Object(value);
+        const mode = policy.mode === undefined ? 'queue' : String(policy.mode);
+        assert(OFFLINE_MODES.includes(mode), `offlinePolicy.mode must be one of: ${OFFLINE_MODES.join(', ')}`);
+
+        const limit = name => {
+            const number = policy[name] === undefined ? Infinity : Number(policy[name]);
+            assert(number >= 0, `offlinePolicy.${name} must be a positive number`);
+            return number;
+        };
+
+        this[PRIVATE].offlinePolicy = Object.freeze({
+            mode,
+            maxCount: limit('maxCount'),
+            maxBytes: limit('maxBytes'),
+            maxAge: limit('maxAge'),
+        });
+    }
+
+    /**
+     * Determines what happens to outgoing messages (calls, notifications and responses) while there is no open connection.
+     *
+     * @return {{mode: string, maxCount: number, maxBytes: number, maxAge: number}}
+     */
+    get offlinePolicy() {
+        return this[PRIVATE].offlinePolicy;
+    }
+
+    /**
+     * An optional callback which is called before each connection attempt, to determine the final URL to connect to. For example to
+     * add a short-lived authentication token. The callback is called with a single argument, an object containing the property
+     * "url" (the URL picked from `this.url`) and must return the URL to connect to, or a Promise for it.
+     *
+     * A rejected Promise (or an exception thrown by the callback) is treated as a failed connection attempt, which means that a
+     * reconnect will be scheduled if `reconnect` is enabled. The `webSocketConnecting` and `webSocketOpen` events report the URL
+     * picked from `this.url` instead of the final URL.
+     *
+     * @example
+     * rpc.urlCallback = async ({url}) => `${url}?token=${encodeURIComponent(await fetchAccessToken())}`;
+     * @param {?function} value
+     */
+    set urlCallback(value) {
+        assert(value === null || typeof value === 'function', 'urlCallback must be a function or null');
+        this[PRIVATE].urlCallback = value;
+    }
+
+    /**
+     * An optional callback which is called before each connection attempt, to determine the final URL to connect to. For example to
+     * add a short-lived authentication token. The callback is called with a single argument, an object containing the property
+     * "url" (the URL picked from `this.url`) and must return the URL to connect to, or a Promise for it.
+     *
+     * A rejected Promise (or an exception thrown by the callback) is treated as a failed connection attempt, which means that a
+     * reconnect will be scheduled if `reconnect` is enabled. The `webSocketConnecting` and `webSocketOpen` events report the URL
+     * picked from `this.url` instead of the final URL.
+     *
+     * @return {?function}
+     */
+    get urlCallback() {
+        return this[PRIVATE].urlCallback;
+    }
+
     /**
      * A callback which is called whenever this library wants to establish a new WebSocket connection.
      * The callback is called with a single argument, an object containing the following properties:
      *
-     * * "url" - The same value as `this.url`
+     * * "url" - The URL to connect to, picked from `this.url` (and passed through `this.urlCallback`)
+     * * "protocols" - The WebSocket subprotocols to offer to the server (for example the `protocol` of the `codec`)
      * * "WebSocket" - The WebSocket class provided by the NPM package "isomorphic-ws"... If this library
      *   is used with browserify/webpack this will be equal to `window.WebSocket`. Otherwise this value
      *   will be equal to the NPM "ws" package.
      *
+     * The callback may also return a Promise for the WebSocket. The connection attempt fails if the callback throws, if this Promise
+     * rejects, or if it does not settle within `connectTimeout`.
+     *
      * @param {function} value
      */
     set createConnectionCallback(value) {
@@ -328,11 +905,15 @@ class WebSocketClient extends EventEmitter {
      * A callback which is called whenever this library wants to establish a new WebSocket connection.
      * The callback is called with a single argument, an object containing the following properties:
      *
-     * * "url" - The same value as `this.url`
+     * * "url" - The URL to connect to, picked from `this.url` (and passed through `this.urlCallback`)
+     * * "protocols" - The WebSocket subprotocols to offer to the server (for example the `protocol` of the `codec`)
      * * "WebSocket" - The WebSocket class provided by the NPM package "isomorphic-ws"... If this library
      *   is used with browserify/webpack this will be equal to `window.WebSocket`. Otherwise this value
      *   will be equal to the NPM "ws" package.
      *
+     * The callback may also return a Promise for the WebSocket. The connection attempt fails if the callback throws, if this Promise
+     * rejects, or if it does not settle within `connectTimeout`.
+     *
      * @return {function}
      */
     get createConnectionCallback() {
@@ -341,8 +922,9 @@ class WebSocketClient extends EventEmitter {
 
     /**
      * A callback which is called after a failed connection to determine the delay before the next connection attempt.
-     * The callback is called with a single argument, a number specifying the current `reconnectCounter`. This counter
-     * is increased by `1` whenever a connection attempt fails, and it is slowly decreased while the connection is healthy
+     * The callback is called with a number specifying the current `reconnectCounter`. This counter
+     * is increased by `1` whenever a connection attempt fails, and it is slowly decreased while the connection is healthy.
+     * The second argument is an object with a `random` function, which returns random numbers using the `clock` of this instance.
      *
      * The reconnectCounter is always a value between `0` and `this.reconnectCounterMax` inclusive.
      * The callback must return the reconnect delay as a number in milliseconds.
@@ -356,8 +938,9 @@ class WebSocketClient extends EventEmitter {
 
     /**
      * A callback which is called after a failed connection to determine the delay before the next connection attempt.
-     * The callback is called with a single argument, a number specifying the current `reconnectCounter`. This counter
-     * is increased by `1` whenever a connection attempt fails, and it is slowly decreased while the connection is healthy
+     * The callback is called with a number specifying the current `reconnectCounter`. This counter
+     * is increased by `1` whenever a connection attempt fails, and it is slowly decreased while the connection is healthy.
+     * The second argument is an object with a `random` function, which returns random numbers using the `clock` of this instance.
      *
      * The reconnectCounter is always a value between `0` and `this.reconnectCounterMax` inclusive.
      * The callback must return the reconnect delay as a number in milliseconds.
@@ -390,6 +973,102 @@ class WebSocketClient extends EventEmitter {
         return this[PRIVATE].reconnectCounterMax;
     }
 
+    /**
+     * The maximum amount of consecutive reconnect attempts which did not result in a ready connection. If this amount is exceeded the
+     * client is stopped and the `reconnectFailed` event is emitted.
+     *
+     * @param {number} value
+     */
+    set maxReconnectAttempts(value) {
+        this[PRIVATE].maxReconnectAttempts = Number(value);
+    }
+
+    /**
+     * The maximum amount of consecutive reconnect attempts which did not result in a ready connection. If this amount is exceeded the
+     * client is stopped and the `reconnectFailed` event is emitted.
+     *
+     * @return {number}
+     */
+    get maxReconnectAttempts() {
+        return this[PRIVATE].maxReconnectAttempts;
+    }
+
+    /**
+     * The maximum amount of milliseconds the client keeps reconnecting, counted from the moment the last ready connection was lost (or
+     * from the first failed connection attempt). If this duration is exceeded the client is stopped and the `reconnectFailed` event is
+     * emitted.
+     *
+     * @param {number} value milliseconds
+     */
+    set maxReconnectDuration(value) {
+        this[PRIVATE].maxReconnectDuration = Number(value);
+    }
+
+    /**
+     * The maximum amount of milliseconds the client keeps reconnecting, counted from the moment the last ready connection was lost (or
+     * from the first failed connection attempt). If this duration is exceeded the client is stopped and the `reconnectFailed` event is
+     * emitted.
+     *
+     * @return {number} milliseconds
+     */
+    get maxReconnectDuration() {
+        return this[PRIVATE].maxReconnectDuration;
+    }
+
+    /**
+     * Determines if a new connection is made after the server has closed the connection, based on the close code it sent. This policy
+     * is an object which maps close codes (e.g. `1008`) or inclusive ranges of close codes (e.g. `"4000-4099"`) to one of:
+     *
+     * * "stop" - Stop the client, as if `stop()` had been called
+     * * "reconnect" - Reconnect after the delay returned by `reconnectDelayCallback`
+     * * "reconnect-after <ms>" - Reconnect after the given amount of milliseconds, e.g. "reconnect-after 30000"
+     * * A function which is called with `{code, reason}` and returns one of the above strings
+     *
+     * A single close code takes precedence over a range. Close codes which are not present in the policy result in a reconnect. The
+     * policy is not used if the `reconnect` option is false, or if the connection has been closed by this client (e.g. a ping timeout).
+     * Assigning a new policy replaces the default policy, which stops for UNSUPPORTED_DATA (1003) and POLICY_VIOLATION (1008).
+     *
+     * @example
+     * rpc.closeCodePolicy = {
+     *   1008: 'stop',
+     *   1013: 'reconnect-after 60000',
+     *   '4000-4099': ({reason}) => reason === 'Banned' ? 'stop' : 'reconnect',
+     * };
+     *
+     * @param {Object} value
+     */
+    set closeCodePolicy(value) {
+        const rules = parseCloseCodePolicy(value);
+        this[PRIVATE].closeCodePolicy = Object.freeze(Object.assign({}, value));
+        this[PRIVATE].closeCodeRules = rules;
+    }
+
+    /**
+     * Determines if a new connection is made after the server has closed the connection, based on the close code it sent. This policy
+     * is an object which maps close codes (e.g. `1008`) or inclusive ranges of close codes (e.g. `"4000-4099"`) to one of:
+     *
+     * * "stop" - Stop the client, as if `stop()` had been called
+     * * "reconnect" - Reconnect after the delay returned by `reconnectDelayCallback`
+     * * "reconnect-after <ms>" - Reconnect after the given amount of milliseconds, e.g. "reconnect-after 30000"
+     * * A function which is called with `{code, reason}` and returns one of the above strings
+     *
+     * A single close code takes precedence over a range. Close codes which are not present in the policy result in a reconnect. The
+     * policy is not used if the `reconnect` option is false, or if the connection has been closed by this client (e.g. a ping timeout).
+     * Assigning a new policy replaces the default policy, which stops for UNSUPPORTED_DATA (1003) and POLICY_VIOLATION (1008).
+     *
+     * @example
+     * rpc.closeCodePolicy = {
+     *   1008: 'stop',
+     *   1013: 'reconnect-after 60000',
+     *   '4000-4099': ({reason}) => reason === 'Banned' ? 'stop' : 'reconnect',
+     * };
+     *
+     * @return {Object}
+     */
+    get closeCodePolicy() {
+        return this[PRIVATE].closeCodePolicy;
+    }
+
     /**
      * If true and a remote method throws, attempt to read stack trace information from the JSON-RPC `error.data` property. This stack
      * trace information is then used to set the `fileName`, `lineNumber`, `columnNumber` and `stack` properties of our local `Error`
@@ -451,28 +1130,200 @@ class WebSocketClient extends EventEmitter {
     }
 
     /**
-     * The time (in milliseconds) between each ping if `isSendingPings` is true.
-     * This time is in addition to the time spent waiting for the previous ping to settle.
+     * An adapter which informs this client about the network connectivity and the visibility of the page, such as an instance of
+     * `BrowserEnvironment`. While the adapter reports that the network is offline, no reconnect attempts are made (the reconnect delay
+     * is reported as `Infinity`). When the network comes back online or the page becomes visible again, the reconnect delay is skipped.
+     * Set to `null` to always reconnect after the delay returned by `reconnectDelayCallback`.
      *
-     * @return {number} milliseconds
+     * Any object with the following functions may be used, for example to test this behaviour using fake events:
+     *
+     * * "isOnline()" - Returns `false` if reconnect attempts should be suspended
+     * * "attach({online, offline, visible})" - Starts calling the given callbacks when the environment changes, and returns a function
+     *   which stops doing so
+     *
+     * A change to this value is applied the next time the client is started.
+     *
+     * @param {?{isOnline: function, attach: function}} value
      */
-    get pingInterval() {
-        return this.rpc.pingInterval;
+    set environment(value) {
+        assert(
+            value === null || (typeof value === 'object' && typeof value.isOnline === 'function' && typeof value.attach === 'function'),
+            'environment must be null or an object with the functions isOnline() and attach()',
+        );
+        this[PRIVATE].environment = value;
     }
 
     /**
-     * The time (in milliseconds) between each ping if `isSendingPings` is true.
-     * This time is in addition to the time spent waiting for the previous ping to settle.
+     * An adapter which informs this client about the network connectivity and the visibility of the page, such as an instance of
+     * `BrowserEnvironment`. While the adapter reports that the network is offline, no reconnect attempts are made (the reconnect delay
+     * is reported as `Infinity`). When the network comes back online or the page becomes visible again, the reconnect delay is skipped.
+     * Set to `null` to always reconnect after the delay returned by `reconnectDelayCallback`.
      *
-     * @param {number} value milliseconds
+     * Any object with the following functions may be used, for example to test this behaviour using fake events:
+     *
+     * * "isOnline()" - Returns `false` if reconnect attempts should be suspended
+     * * "attach({online, offline, visible})" - Starts calling the given callbacks when the environment changes, and returns a function
+     *   which stops doing so
+     *
+     * A change to this value is applied the next time the client is started.
+     *
+     * @return {?{isOnline: function, attach: function}}
      */
-    set pingInterval(value) {
-        this.rpc.pingInterval = Number(value);
+    get environment() {
+        return this[PRIVATE].environment;
     }
 
     /**
-     * The maximum amount of time (in milliseconds) to wait for a ping method call to resolve.
-     * @return {number} milliseconds
+     * Converts a JSON Schema to a validate function. This function is required to use the `callSchemas` option, or the `schemas`
+     * argument of `method()`. The validate function must return `true` if the given value is valid. Otherwise it must return `false`
+     * and set its `errors` property to an array of errors, which is the same interface as the functions returned by `ajv.compile()`.
+     * Schemas are compiled as soon as they are registered, so this option must be set first.
+     *
+     * @example
+     * const Ajv = require('ajv');
+     * const ajv = new Ajv();
+     * const rpc = new WebSocketClient({
+     *   url: 'ws://localhost:1234/',
+     *   compileSchema: schema => ajv.compile(schema),
+     * });
+     *
+     * @param {?function} value
+     */
+    set compileSchema(value) {
+        assert(value === null || typeof value === 'function', 'compileSchema must be null or a function');
+        this[PRIVATE].compileSchema = value;
+    }
+
+    /**
+     * Converts a JSON Schema to a validate function. This function is required to use the `callSchemas` option, or the `schemas`
+     * argument of `method()`. The validate function must return `true` if the given value is valid. Otherwise it must return `false`
+     * and set its `errors` property to an array of errors, which is the same interface as the functions returned by `ajv.compile()`.
+     * Schemas are compiled as soon as they are registered, so this option must be set first.
+     *
+     * @example
+     * const Ajv = require('ajv');
+     * const ajv = new Ajv();
+     * const rpc = new WebSocketClient({
+     *   url: 'ws://localhost:1234/',
+     *   compileSchema: schema => ajv.compile(schema),
+     * });
+     *
+     * @return {?function}
+     */
+    get compileSchema() {
+        return this[PRIVATE].compileSchema;
+    }
+
+    /**
+     * JSON Schemas for the method calls made by this client, as an object which maps method names to `{paramsSchema, resultSchema}`.
+     * The `paramsSchema` is used to validate the array of arguments before the call is sent. The `resultSchema` is used to validate the
+     * result received from the server, before the Promise returned by `call()` resolves. If validation fails, `call()` rejects with a
+     * `SchemaValidationError`. The `compileSchema` option must be set to use this option.
+     *
+     * @example
+     * rpc.callSchemas = {
+     *   'users.get': {
+     *     paramsSchema: {type: 'array', items: [{type: 'integer'}], minItems: 1},
+     *     resultSchema: {type: 'object', required: ['id', 'name']},
+     *   },
+     * };
+     *
+     * @param {Object} value
+     */
+    set callSchemas(value) {
+        assert(value !== null && typeof value === 'object', 'callSchemas must be an object');
+        const callValidators = new Map();
+        for (const name of Object.keys(value)) {
+            callValidators.set(name, compileSchemas(this.compileSchema, Object(value[name]), `Invalid callSchemas for "${name}":`));
+        }
+        this[PRIVATE].callSchemas = Object.freeze(Object.assign({}, value));
+        this[PRIVATE].callValidators = callValidators;
+    }
+
+    /**
+     * JSON Schemas for the method calls made by this client, as an object which maps method names to `{paramsSchema, resultSchema}`.
+     * The `paramsSchema` is used to validate the array of arguments before the call is sent. The `resultSchema` is used to validate the
+     * result received from the server, before the Promise returned by `call()` resolves. If validation fails, `call()` rejects with a
+     * `SchemaValidationError`. The `compileSchema` option must be set to use this option.
+     *
+     * @example
+     * rpc.callSchemas = {
+     *   'users.get': {
+     *     paramsSchema: {type: 'array', items: [{type: 'integer'}], minItems: 1},
+     *     resultSchema: {type: 'object', required: ['id', 'name']},
+     *   },
+     * };
+     *
+     * @return {Object}
+     */
+    get callSchemas() {
+        return this[PRIVATE].callSchemas;
+    }
+
+    /**
+     * How the liveness of the connection is verified:
+     *
+     * * "rpc" - Call the remote method `pingMethod` (by default "jsonbird.ping") every `pingInterval`. The server must implement
+     *   this method, which `WebSocketServer` does.
+     * * "websocket" - Send a WebSocket ping control frame every `pingInterval`, a pong must be received within `pingTimeout`. Every
+     *   server answers these, but they are only available if the WebSocket is from the "ws" library (node.js). In browsers this
+     *   mode falls back to "rpc".
+     * * "passive" - Do not send anything, but expect to receive at least one message every `pingInterval`. Useful if the server
+     *   sends its own heartbeats or a constant stream of notifications.
+     *
+     * In all modes the `pingSuccess` and `pingFail` events are emitted and the connection is closed after `consecutivePingFailClose`
+     * failures. A change to this value is applied to the next connection.
+     *
+     * @param {string} value "rpc", "websocket" or "passive"
+     */
+    set heartbeat(value) {
+        assert(HEARTBEAT_MODES.includes(value), `Invalid value for heartbeat: Must be one of ${HEARTBEAT_MODES.join(', ')}`);
+        this[PRIVATE].heartbeat = value;
+    }
+
+    /**
+     * How the liveness of the connection is verified:
+     *
+     * * "rpc" - Call the remote method `pingMethod` (by default "jsonbird.ping") every `pingInterval`. The server must implement
+     *   this method, which `WebSocketServer` does.
+     * * "websocket" - Send a WebSocket ping control frame every `pingInterval`, a pong must be received within `pingTimeout`. Every
+     *   server answers these, but they are only available if the WebSocket is from the "ws" library (node.js). In browsers this
+     *   mode falls back to "rpc".
+     * * "passive" - Do not send anything, but expect to receive at least one message every `pingInterval`. Useful if the server
+     *   sends its own heartbeats or a constant stream of notifications.
+     *
+     * In all modes the `pingSuccess` and `pingFail` events are emitted and the connection is closed after `consecutivePingFailClose`
+     * failures. A change to this value is applied to the next connection.
+     *
+     * @return {string} "rpc", "websocket" or "passive"
+     */
+    get heartbeat() {
+        return this[PRIVATE].heartbeat;
+    }
+
+    /**
+     * The time (in milliseconds) between each ping if `isSendingPings` is true.
+     * This time is in addition to the time spent waiting for the previous ping to settle.
+     *
+     * @return {number} milliseconds
+     */
+    get pingInterval() {
+        return this.rpc.pingInterval;
+    }
+
+    /**
+     * The time (in milliseconds) between each ping if `isSendingPings` is true.
+     * This time is in addition to the time spent waiting for the previous ping to settle.
+     *
+     * @param {number} value milliseconds
+     */
+    set pingInterval(value) {
+        this.rpc.pingInterval = Number(value);
+    }
+
+    /**
+     * The maximum amount of time (in milliseconds) to wait for a ping method call to resolve.
+     * @return {number} milliseconds
      */
     get pingTimeout() {
         return this.rpc.pingTimeout;
@@ -486,6 +1337,121 @@ class WebSocketClient extends EventEmitter {
         this.rpc.pingTimeout = Number(value);
     }
 
+    /**
+     * If the `bufferedAmount` of the WebSocket (the amount of bytes which have been sent, but not yet transmitted to the network) exceeds
+     * this value, sending is paused: outgoing messages are held back until the `bufferedAmount` has dropped to
+     * `sendLowWaterMark`. This avoids unbounded memory use when a lot of data is sent over a slow connection. `Infinity` disables this.
+     * The same applies to the messages from the offline queue which are sent as soon as a connection is available.
+     *
+     * @param {number} value bytes
+     */
+    set sendHighWaterMark(value) {
+        const number = Number(value);
+        assert(number >= 0, 'sendHighWaterMark must be a positive number');
+        this[PRIVATE].sendHighWaterMark = number;
+    }
+
+    /**
+     * If the `bufferedAmount` of the WebSocket (the amount of bytes which have been sent, but not yet transmitted to the network) exceeds
+     * this value, sending is paused: outgoing messages are held back until the `bufferedAmount` has dropped to
+     * `sendLowWaterMark`. This avoids unbounded memory use when a lot of data is sent over a slow connection. `Infinity` disables this.
+     * The same applies to the messages from the offline queue which are sent as soon as a connection is available.
+     *
+     * @return {number} bytes
+     */
+    get sendHighWaterMark() {
+        return this[PRIVATE].sendHighWaterMark;
+    }
+
+    /**
+     * After sending has been paused (see `sendHighWaterMark`), it is resumed as soon as the `bufferedAmount` of the WebSocket has
+     * dropped to this value (or below).
+     *
+     * @param {number} value bytes
+     */
+    set sendLowWaterMark(value) {
+        const number = Number(value);
+        assert(number >= 0, 'sendLowWaterMark must be a positive number');
+        this[PRIVATE].sendLowWaterMark = number;
+    }
+
+    /**
+     * After sending has been paused (see `sendHighWaterMark`), it is resumed as soon as the `bufferedAmount` of the WebSocket has
+     * dropped to this value (or below).
+     *
+     * @return {number} bytes
+     */
+    get sendLowWaterMark() {
+        return this[PRIVATE].sendLowWaterMark;
+    }
+
+    /**
+     * WebSockets do not notify us when their `bufferedAmount` decreases, so while sending is paused the `bufferedAmount` is checked
+     * using this interval.
+     *
+     * @param {number} value milliseconds
+     */
+    set drainCheckInterval(value) {
+        const number = Number(value);
+        assert(number > 0 && number < Infinity, 'drainCheckInterval must be a positive finite number');
+        this[PRIVATE].drainCheckInterval = number;
+    }
+
+    /**
+     * WebSockets do not notify us when their `bufferedAmount` decreases, so while sending is paused the `bufferedAmount` is checked
+     * using this interval.
+     *
+     * @return {number} milliseconds
+     */
+    get drainCheckInterval() {
+        return this[PRIVATE].drainCheckInterval;
+    }
+
+    /**
+     * Determines what happens to `call()` and `notify()` while sending is paused (see `sendHighWaterMark`):
+     *
+     * * "buffer" - The request is accepted right away, and sent after the `drain` event
+     * * "wait" - `call()` and `notify()` wait for the `drain` event before the request is accepted. Because `notify()` resolves
+     *   after the request has been accepted, a caller which awaits `notify()` automatically slows down to the speed of the connection
+     *
+     * @param {string} value "buffer" or "wait"
+     */
+    set backpressure(value) {
+        assert(BACKPRESSURE_MODES.includes(value), `Invalid value for backpressure: Must be one of ${BACKPRESSURE_MODES.join(', ')}`);
+        this[PRIVATE].backpressure = value;
+    }
+
+    /**
+     * Determines what happens to `call()` and `notify()` while sending is paused (see `sendHighWaterMark`):
+     *
+     * * "buffer" - The request is accepted right away, and sent after the `drain` event
+     * * "wait" - `call()` and `notify()` wait for the `drain` event before the request is accepted. Because `notify()` resolves
+     *   after the request has been accepted, a caller which awaits `notify()` automatically slows down to the speed of the connection
+     *
+     * @return {string} "buffer" or "wait"
+     */
+    get backpressure() {
+        return this[PRIVATE].backpressure;
+    }
+
+    /**
+     * `true` while sending is paused because the `bufferedAmount` of the WebSocket exceeded `sendHighWaterMark`
+     * @return {boolean}
+     */
+    get sendingPaused() {
+        return this[PRIVATE].sendingPaused;
+    }
+
+    /**
+     * The source of the current time, timers and random numbers used by this instance (and its JSONBird instance). See the `clock`
+     * constructor option.
+     *
+     * @return {{now: function, setTimeout: function, clearTimeout: function, random: function}}
+     */
+    get clock() {
+        return this[PRIVATE].clock;
+    }
+
     /**
      * Returns `true` if this instance has been started. Which means that we are either setting up a connection, connected or waiting for a
      * reconnect.
@@ -499,16 +1465,86 @@ class WebSocketClient extends EventEmitter {
         return this[PRIVATE].reconnectCounter;
     }
 
+    /**
+     * The current state of the connection, one of the values of `connectionState`:
+     *
+     * * "stopped" - `start()` has not been called, or `stop()` has been called, or the connection has been closed while `reconnect`
+     *   is disabled
+     * * "connecting" - A new connection is being established
+     * * "open" - The WebSocket connection is open, but the `onOpen` hook has not completed yet
+     * * "ready" - The WebSocket connection is open and RPC messages are flowing (`hasActiveConnection` is `true`)
+     * * "closing" - The connection is being closed by `closeConnection()` or `stop()`
+     * * "waiting-to-reconnect" - The connection has been closed, a new connection will be made after `reconnectDelayRemaining`
+     *
+     * @return {string}
+     */
+    get state() {
+        return this[PRIVATE].state;
+    }
+
+    /**
+     * The amount of milliseconds until the next connection attempt, if the `state` is "waiting-to-reconnect". Otherwise `0`.
+     * @return {number}
+     */
+    get reconnectDelayRemaining() {
+        if (this[PRIVATE].state !== connectionState.WAITING_TO_RECONNECT) {
+            return 0;
+        }
+        return Math.max(0, this[PRIVATE].reconnectAt - this[PRIVATE].clock.now());
+    }
+
+    /**
+     * The amount of outgoing messages which are waiting for a connection to become available
+     * @return {number}
+     */
+    get offlineQueueLength() {
+        return this[PRIVATE].offlineQueue.length;
+    }
+
+    /**
+     * All subscriptions made using `subscribe()` which have not been unsubscribed yet
+     * @return {Array<{topic: string, params: *}>}
+     */
+    get subscriptions() {
+        return [...this[PRIVATE].subscriptions].map(({topic, params}) => ({topic, params}));
+    }
+
     /**
      * Registers a new method with the given name.
      *
      * If the same method name is registered multiple times, earlier definitions will be overridden
      *
+     * If a `paramsSchema` is given, the array of arguments is validated before `func` is called. If they are not valid, the remote
+     * instance receives an "Invalid params" error (code -32602) and `func` is not called. If a `resultSchema` is given, the value
+     * returned by `func` is validated before it is sent. If it is not valid, the remote instance receives an "Internal error" (code
+     * -32603). The `compileSchema` option must be set to use these schemas.
+     *
+     * @example
+     * rpc.method('sum', (a, b) => a + b, {
+     *   paramsSchema: {type: 'array', items: {type: 'number'}, minItems: 2, maxItems: 2},
+     *   resultSchema: {type: 'number'},
+     * });
+     *
      * @param {string} name The method name
      * @param {Function} func
+     * @param {Object} [schemas]
+     * @param {*} [schemas.paramsSchema] A JSON Schema for the array of arguments
+     * @param {*} [schemas.resultSchema] A JSON Schema for the return value
      */
-    method(name, func) {
-        this.rpc.method(name, func);
+    method(name, func, schemas = {}) {
+        const message = `method(): Invalid schema for "${name}":`;
+        const {validateParams, validateResult} = compileSchemas(this.compileSchema, Object(schemas), message);
+        if (!validateParams && !validateResult) {
+            this.rpc.method(name, this._wrapIncoming('call', name, func));
+            return;
+        }
+
+        this.rpc.method(name, this._wrapIncoming('call', name, async (...args) => {
+            assertValidSchema(validateParams, args, name, 'params');
+            const result = await func(...args);
+            assertValidSchema(validateResult, result, name, 'result');
+            return result;
+        }));
     }
 
     /**
@@ -523,7 +1559,7 @@ class WebSocketClient extends EventEmitter {
      * @param {Object|Map} objectOrMap
      */
     methods(objectOrMap) {
-        this.rpc.methods(objectOrMap);
+        this.rpc.methods(this._wrapIncomingObject('call', objectOrMap));
     }
 
     /**
@@ -538,7 +1574,7 @@ class WebSocketClient extends EventEmitter {
      * @param {Function} func
      */
     notification(name, func) {
-        this.rpc.notification(name, func);
+        this.rpc.notification(name, this._wrapIncoming('notification', name, func));
     }
 
     /**
@@ -558,25 +1594,227 @@ class WebSocketClient extends EventEmitter {
      * @param {Object|Map} objectOrMap
      */
     notifications(objectOrMap) {
-        this.rpc.notifications(objectOrMap);
+        this.rpc.notifications(this._wrapIncomingObject('notification', objectOrMap));
+    }
+
+    /**
+     * Wrap a method or notification before it is registered, so that incoming requests pass through the middleware added using
+     * `use()` before `func` is called. The middleware is looked up for every request, so middleware which is added later also applies.
+     *
+     * @param {string} type "call" or "notification"
+     * @param {string} name
+     * @param {Function} func
+     * @param {*} [thisObject]
+     * @return {Function}
+     * @private
+     */
+    _wrapIncoming(type, name, func, thisObject = undefined) {
+        if (typeof func !== 'function') {
+            return func; // let jsonbird complain about it
+        }
+
+        if (type === 'call') {
+            return (...args) => runMiddleware(
+                this[PRIVATE].middleware,
+                createContext('incoming', type, name, args),
+                ({params}) => func.apply(thisObject, params),
+            );
+        }
+
+        return (...args) => {
+            let handlerFailure = null;
+            const fail = error => {
+                handlerFailure = {error};
+                throw error;
+            };
+            return runMiddleware(
+                this[PRIVATE].middleware,
+                createContext('incoming', type, name, args),
+                ({params}) => {
+                    try {
+                        return Promise.resolve(func.apply(thisObject, params)).catch(fail);
+                    }
+                    catch (error) {
+                        return fail(error);
+                    }
+                },
+            )
+            .catch(error => {
+                if (handlerFailure && handlerFailure.error === error) {
+                    throw error; // handled by jsonbird, the same as if there was no middleware
+                }
+                this.emit('error', error); // not rpc.emit(), which would close the connection
+            });
+        };
+    }
+
+    /**
+     * Wrap every function of an object or Map passed to `methods()` or `notifications()` using `_wrapIncoming()`. The functions
+     * are looked up when a request is received, the same as jsonbird does for the original object or Map.
+     *
+     * @param {string} type "call" or "notification"
+     * @param {Object|Map} objectOrMap
+     * @return {Object|Map}
+     * @private
+     */
+    _wrapIncomingObject(type, objectOrMap) {
+        if (!objectOrMap || typeof objectOrMap !== 'object') {
+            return objectOrMap; // let jsonbird complain about it
+        }
+
+        if (Object.prototype.toString.call(objectOrMap) === '[object Map]') {
+            const map = new Map();
+            map.get = name => {
+                const value = objectOrMap.get(name);
+                return Array.isArray(value) // the notifications of a Map may be an array of functions
+                    ? value.map(func => this._wrapIncoming(type, name, func))
+                    : this._wrapIncoming(type, name, value);
+            };
+            return map;
+        }
+
+        return new Proxy(objectOrMap, {
+            get: (target, name) => {
+                const value = Reflect.get(target, name);
+                if (typeof name !== 'string' || JSONBird.isObjectBuiltinFunction(target, name)) {
+                    return value; // jsonbird refuses to call these
+                }
+                return this._wrapIncoming(type, name, value, target);
+            },
+        });
+    }
+
+    /**
+     * Add a middleware function which intercepts outgoing method calls and notifications (`call()`, `notify()` and batches), and
+     * incoming requests before they reach the methods and notifications registered on this client. Middleware is run in the order
+     * in which it has been added.
+     *
+     * The middleware function is called with a `context` and a `next` function. The context contains:
+     *
+     * * "direction" - "outgoing" or "incoming"
+     * * "type" - "call" or "notification"
+     * * "method" - The method name
+     * * "params" - The array of parameters
+     * * "options" - For outgoing requests, a copy of the options object passed to `call()` or `notify()` (`null` if a method name was
+     *   passed)
+     *
+     * The middleware may modify `method`, `params` and `options` before calling `next()`, which returns a Promise for the result of
+     * the request. The value the middleware returns (or resolves with) is used as the result, so it may also modify the result, or
+     * short-circuit the request by not calling `next()` at all. If the middleware throws (or rejects), the outgoing call rejects with
+     * the same error, or the JSON-RPC error response for an incoming call uses the `message`, `code` and `data` of the error. An error
+     * for an incoming notification is emitted as an `error` event.
+     *
+     * Incoming requests pass through the middleware when they reach a method or notification registered on this client, requests
+     * for unknown methods are answered by jsonbird directly. The registered function has already been chosen at that point, so
+     * modifying the `method` of an incoming request has no effect. If multiple functions are registered for the same notification,
+     * the middleware runs for each of them.
+     *
+     * Within a batch, a middleware must call `next()` before it awaits anything, otherwise the request is sent on its own.
+     *
+     * @example
+     * rpc.use(async (context, next) => {
+     *   if (context.direction === 'outgoing') {
+     *     context.params = [{token: await getAccessToken()}, ...context.params];
+     *   }
+     *   const start = Date.now();
+     *   try {
+     *     return await next();
+     *   }
+     *   finally {
+     *     console.log(context.direction, context.method, 'took', Date.now() - start, 'ms');
+     *   }
+     * });
+     * rpc.use(async (context, next) => {
+     *   if (context.direction === 'incoming' && context.method.startsWith('admin.')) {
+     *     throw Object.assign(Error('Forbidden'), {code: 4003});
+     *   }
+     *   return next();
+     * });
+     *
+     * @param {function(Object, function): *} middleware
+     */
+    use(middleware) {
+        assert(typeof middleware === 'function', 'use(): The middleware must be a function');
+        this[PRIVATE].middleware.push(middleware);
     }
 
     /**
-     * Call a method on the remote instance, by sending a JSON-RPC request object to our write stream.
+     * Call a method on the remote instance, by sending a JSON-RPC request object over the WebSocket connection.
+     *
+     * If there is no open connection, the `offlinePolicy` determines if the method call is queued until a connection is available, or
+     * if it is rejected with a `NotConnectedError`.
+     *
+     * If the connection is lost after the request has been sent, the call is rejected with a `ConnectionLostError` right away.
+     * Unless `retryOnReconnect` is set (and the `offlinePolicy` mode is not "reject"), in which case the same request is sent again as
+     * soon as a new connection is available. Only use this option for methods which are safe to execute more than once.
+     *
+     * If a `signal` is given and it is aborted before a response has been received, the call is rejected with an `AbortError` (or the
+     * `reason` of the signal). If the request was still waiting in the offline queue, it is removed from the queue. If the request
+     * had already been sent and the `cancelNotification` option is set, that notification is sent so that the server can stop
+     * working on it.
+     *
+     * If `backpressure` is set to "wait" and sending has been paused (see `sendHighWaterMark`), the request is not sent until the
+     * `drain` event.
      *
-     * If no write stream has been set, the method call will be buffered until a write stream is set (setWriteStream).
-     * Note: if a read stream is never set, any call() will also never resolve.
+     * The request is encoded right away, so changing `args` afterwards has no effect. If they can not be encoded (for example because
+     * of a circular reference), the call is rejected with the error of the encoder.
      *
      * @param {string|Object} nameOrOptions The method name or an options object
      * @param {string} nameOrOptions.name The method name
      * @param {number} nameOrOptions.timeout A maximum time (in milliseconds) to wait for a response. The returned promise will reject
      * after this time.
+     * @param {boolean} [nameOrOptions.retryOnReconnect=false] Send the request again after a reconnect, instead of rejecting it
+     * @param {AbortSignal} [nameOrOptions.signal] Aborts the call
      * @param {...*} args
      *
      * @return {Promise} A Promise which will resole with the return value of the remote method
      */
     async call(nameOrOptions, ...args) {
-        return await this.rpc.call(nameOrOptions, ...args);
+        return await this._callWithMiddleware(nameOrOptions, args);
+    }
+
+    /**
+     * @param {string|Object} nameOrOptions
+     * @param {Array} args
+     * @param {?Object} [batchSlot=null] The place of this call within a batch, see _sendBatch()
+     * @return {Promise}
+     * @private
+     */
+    async _callWithMiddleware(nameOrOptions, args, batchSlot = null) {
+        return await runMiddleware(
+            this[PRIVATE].middleware,
+            createContext('outgoing', 'call', nameOrOptions, args),
+            context => this._callWithSchemas(context, batchSlot),
+        );
+    }
+
+    async _callWithSchemas(context, batchSlot) {
+        const {method, params} = context;
+        const validators = this[PRIVATE].callValidators.get(method);
+        if (!validators) {
+            return await this._call(contextToNameOrOptions(context), params, batchSlot);
+        }
+
+        assertValidSchema(validators.validateParams, params, method, 'params');
+        const result = await this._call(contextToNameOrOptions(context), params, batchSlot);
+        assertValidSchema(validators.validateResult, result, method, 'result');
+        return result;
+    }
+
+    async _call(nameOrOptions, args, batchSlot) {
+        const signal = getSignalOption(nameOrOptions);
+        if (signal && signal.aborted) {
+            throw createAbortError(signal);
+        }
+
+        if (!this.hasActiveConnection && this.offlinePolicy.mode === 'reject') {
+            throw new NotConnectedError('call(): There is no open connection', 'offline');
+        }
+
+        if (this.backpressure === 'wait' && this.sendingPaused) {
+            await this.waitForDrain({signal});
+        }
+        return await this._trackCall(nameOrOptions, args, {batchSlot});
     }
 
     /**
@@ -597,25 +1835,86 @@ class WebSocketClient extends EventEmitter {
      * @return {Function}
      */
     bindCall(nameOrOptions) {
-        return this.rpc.bindCall(nameOrOptions);
+        return this.call.bind(this, nameOrOptions);
     }
 
     /**
-     * Execute a notification on the remote instance, by sending a JSON-RPC request object to our write stream.
+     * Execute a notification on the remote instance, by sending a JSON-RPC request object over the WebSocket connection.
      *
-     * If no write stream has been set, the method call will be buffered until a write stream is set (setWriteStream).
+     * If there is no open connection, the `offlinePolicy` determines if the notification is queued until a connection is available, or
+     * if it is rejected with a `NotConnectedError`.
      *
      * This function resolves as soon as the request object has been buffered, but does not wait for the remote instance to have
      * actually received the request object.
      *
+     * If a `signal` is given and it is aborted while the notification is still waiting in the offline queue, the notification is
+     * removed from the queue. If the signal has already been aborted, this function rejects with an `AbortError` (or the `reason` of
+     * the signal).
+     *
+     * If `backpressure` is set to "wait" and sending has been paused (see `sendHighWaterMark`), this function does not resolve until
+     * the `drain` event.
+     *
+     * The request object is encoded right away, so changing `args` afterwards has no effect. If they can not be encoded, this function
+     * rejects with the error of the encoder.
+     *
      * @param {string|Object} nameOrOptions The method name or an options object
      * @param {string} nameOrOptions.name The method name
+     * @param {AbortSignal} [nameOrOptions.signal] Removes the notification from the offline queue
      * @param {...*} args
      *
      * @return {Promise}
      */
     async notify(nameOrOptions, ...args) {
-        return await this.rpc.notify(nameOrOptions, ...args);
+        await this._notifyWithMiddleware(nameOrOptions, args);
+    }
+
+    /**
+     * @param {string|Object} nameOrOptions
+     * @param {Array} args
+     * @param {?Object} [batchSlot=null] The place of this notification within a batch, see _sendBatch()
+     * @return {Promise}
+     * @private
+     */
+    async _notifyWithMiddleware(nameOrOptions, args, batchSlot = null) {
+        await runMiddleware(
+            this[PRIVATE].middleware,
+            createContext('outgoing', 'notification', nameOrOptions, args),
+            context => this._notify(contextToNameOrOptions(context), context.params, batchSlot),
+        );
+    }
+
+    async _notify(nameOrOptions, args, batchSlot) {
+        const signal = getSignalOption(nameOrOptions);
+        if (signal && signal.aborted) {
+            throw createAbortError(signal);
+        }
+
+        const {mode} = this.offlinePolicy;
+        if (!this.hasActiveConnection && (mode === 'reject' || mode === 'drop-notifications')) {
+            throw new NotConnectedError('notify(): There is no open connection', 'offline');
+        }
+
+        if (this.backpressure === 'wait' && this.sendingPaused) {
+            await this.waitForDrain({signal});
+        }
+
+        return await this._rpcNotify(nameOrOptions, args, {signal, batchSlot});
+    }
+
+    _rpcNotify(nameOrOptions, args, {signal = null, batchSlot = null} = {}) {
+        const method = getNameOption(nameOrOptions);
+        if (typeof method !== 'string') {
+            return this.rpc.notify(nameOrOptions, ...args); // rejects
+        }
+
+        // resolved by _handleRpcData() as soon as the notification has been encoded
+        return new Promise((resolve, reject) => {
+            const tag = this._tagOutgoing({method, args, call: null, signal, batchSlot, resolve, reject});
+            this.rpc.notify(nameOrOptions, ...args).catch(error => {
+                this._removeOutgoingTag(tag);
+                reject(error);
+            });
+        });
     }
 
     /**
@@ -636,44 +1935,294 @@ class WebSocketClient extends EventEmitter {
      * @return {Function}
      */
     bindNotify(nameOrOptions) {
-        return this.rpc.bindNotify(nameOrOptions);
+        return this.notify.bind(this, nameOrOptions);
     }
 
     /**
-     * Establish the WebSocket connection, and automatically reconnect after an network error or timeout.
+     * Returns a Proxy which maps property access to method names, so that remote methods can be called as if they were local
+     * functions. Accessing `$notify` sends notifications instead of method calls. Options for `call()` or `notify()` (such as
+     * `timeout`) can be given using `$options()`, which is available at any level.
+     *
+     * If a list of `methods` (or `notifications`) is given, using a name which is not in this list rejects with a "Method not found"
+     * error (code -32601) without sending anything.
+     *
+     * @example
+     * const api = rpc.proxy();
+     * await api.users.get(123); // rpc.call('users.get', 123)
+     * await api.$notify.log('Hello!'); // rpc.notify('log', 'Hello!')
+     * await api.$options({timeout: 5000}).reports.generate(); // rpc.call({name: 'reports.generate', timeout: 5000})
+     *
+     * const users = rpc.proxy('users', {methods: ['users.get', 'users.list']});
+     * await users.get(123); // rpc.call('users.get', 123)
+     * await users.remove(123); // rejects
+     *
+     * @param {string} [namespace=''] A prefix for all method names, separated by a dot
+     * @param {Object} [opts]
+     * @param {?Array<string>} [opts.methods=null] The full names of the methods which may be called
+     * @param {?Array<string>} [opts.notifications=null] The full names of the notifications which may be sent
+     * @return {Proxy}
      */
-    start() {
-        assert(!this.started, 'start(): Already started');
-        this[PRIVATE].started = true;
-        this._connect();
+    proxy(namespace = '', {methods = null, notifications = null} = {}) {
+        assert(typeof namespace === 'string', 'proxy(): namespace must be a string');
+        assert(methods === null || Array.isArray(methods), 'proxy(): methods must be an array');
+        assert(notifications === null || Array.isArray(notifications), 'proxy(): notifications must be an array');
+
+        return createRpcProxy(this, {
+            path: namespace,
+            type: 'call',
+            options: null,
+            methods: methods && Object.freeze(methods.slice()),
+            notifications: notifications && Object.freeze(notifications.slice()),
+        });
     }
 
     /**
-     * Close the active WebSocket connection, and stop reconnecting.
-     * If there is no active connection the `code` and `reason` params are ignored.
+     * Create a new batch, which sends multiple method calls and notifications as a single JSON-RPC 2.0 batch (one WebSocket message)
+     * when its `send()` function is called. Each method call and notification still gets its own Promise, which behaves the same as
+     * if `call()` or `notify()` had been used.
      *
-     * @param {number} code Must be equal to 1000 or in the range 3000 to 4999 inclusive
-     * @param {string} reason Must be 123 bytes or less (utf8)
+     * @example
+     * const batch = rpc.batch();
+     * const sum = batch.call('sum', 1, 2);
+     * const product = batch.call('product', 3, 4);
+     * batch.notify('log', 'Hello!');
+     * batch.send();
+     * console.log(await sum, await product); // 3 12
+     *
+     * Entries which are delayed by the `use()` middleware, or by `backpressure` mode "wait", are still sent within the same batch: the
+     * batch is sent as soon as all of its entries are ready. Entries which fail before that (for example because they have been
+     * aborted or rejected by the middleware) are left out.
+     *
+     * @return {WebSocketBatch}
+     */
+    batch() {
+        return new WebSocketBatch(entries => this._sendBatch(entries));
+    }
+
+    /**
+     * Subscribe to a topic on the server, by calling the remote method `subscribeMethod` with the arguments `topic` and `params`.
+     * The server is expected to send updates as notifications with the topic as the method name, these are passed to `handler`.
+     *
+     * The subscription is remembered until it is unsubscribed, and the subscribe call is made again every time a new connection
+     * is ready. If there is no connection at the moment, the first subscribe call is made as soon as there is one. Failed subscribe
+     * calls are reported using the `subscriptionError` event.
+     *
+     * The notifications are received by a handler which is registered using `notification()` the first time a topic is subscribed to,
+     * so the `use()` middleware applies to them. This handler stays registered after unsubscribing, but it only passes notifications
+     * to the subscriptions which are still active. Other handlers registered for the same name are called as well.
+     *
+     * @example
+     * const unsubscribe = rpc.subscribe('prices', {symbol: 'ACME'}, price => console.log('New price', price));
+     * // later:
+     * await unsubscribe();
+     *
+     * @param {string} topic
+     * @param {*} params Passed as the second argument of the subscribe call
+     * @param {Function} handler Called with the params of each notification for this topic
+     * @return {function(): Promise} A function which removes this subscription. If there is an active connection, the remote
+     *         method `unsubscribeMethod` is called with the arguments `topic` and `params`. The returned Promise settles with the
+     *         result of that call.
+     */
+    subscribe(topic, params, handler) {
+        assert(typeof topic === 'string', 'subscribe(): topic must be a string');
+        assert(typeof handler === 'function', 'subscribe(): handler must be a function');
+        const {subscriptions, subscriptionTopics} = this[PRIVATE];
+        const subscription = {topic, params, handler};
+
+        if (!subscriptionTopics.has(topic)) {
+            subscriptionTopics.add(topic);
+            this.notification(topic, (...args) => this._dispatchSubscriptionNotification(topic, args));
+        }
+
+        subscriptions.add(subscription);
+        if (this.hasActiveConnection) {
+            this._sendSubscribe(subscription);
+        }
+
+        return async () => {
+            if (!subscriptions.delete(subscription)) {
+                return;
+            }
+
+            if (this.hasActiveConnection) {
+                await this.call(this.unsubscribeMethod, topic, params);
+            }
+        };
+    }
+
+    /**
+     * Wait until there is an active connection (see `hasActiveConnection`). The returned Promise resolves immediately if there
+     * already is one.
+     *
+     * The Promise is rejected with a `NotConnectedError` if the client is stopped, either because `stop()` has been called or because
+     * the connection has been closed while `reconnect` is disabled. This also happens right away if `start()` has not been called.
+     *
+     * @example
+     * rpc.start();
+     * await rpc.waitForConnection({timeout: 5000});
+     *
+     * @param {object} [options]
+     * @param {number} [options.timeout=Infinity] Reject with a `NotConnectedError` after this amount of milliseconds
+     * @param {AbortSignal} [options.signal] Reject with the abort reason as soon as this signal is aborted
+     * @return {Promise<{url: string}>} Resolves with the URL of the connection
+     */
+    async waitForConnection({timeout = Infinity, signal = null} = {}) {
+        if (this.hasActiveConnection) {
+            return {url: this.currentUrl};
+        }
+
+        if (!this.started) {
+            throw new NotConnectedError('waitForConnection(): The client has not been started', 'stopped');
+        }
+
+        return await this._waitForEvent('ready', {timeout, signal, description: 'waitForConnection()', rejectOnStop: true});
+    }
+
+    /**
+     * Wait until there is an active connection. This is the same as `waitForConnection()` without any options.
+     *
+     * @return {Promise<{url: string}>}
+     */
+    async connected() {
+        return await this.waitForConnection();
+    }
+
+    /**
+     * Wait for the next `webSocketClose` event.
+     *
+     * @param {object} [options]
+     * @param {number} [options.timeout=Infinity] Reject with a `NotConnectedError` after this amount of milliseconds
+     * @param {AbortSignal} [options.signal] Reject with the abort reason as soon as this signal is aborted
+     * @return {Promise<{code: number, reason: string, closedByRemote: boolean, reconnect: boolean}>} Resolves with the same value
+     *         as the `webSocketClose` event
+     */
+    async waitForClose({timeout = Infinity, signal = null} = {}) {
+        return await this._waitForEvent('webSocketClose', {timeout, signal, description: 'waitForClose()', rejectOnStop: false});
+    }
+
+    /**
+     * Wait until sending is no longer paused (see `sendHighWaterMark`). Resolves right away if sending is not paused.
+     *
+     * @example
+     * for (const item of hugeList) {
+     *   await rpc.waitForDrain();
+     *   rpc.notify('item', item);
+     * }
+     *
+     * @param {object} [options]
+     * @param {number} [options.timeout=Infinity] Reject with a `NotConnectedError` after this amount of milliseconds
+     * @param {AbortSignal} [options.signal] Reject with the abort reason as soon as this signal is aborted
+     * @return {Promise}
+     */
+    async waitForDrain({timeout = Infinity, signal = null} = {}) {
+        if (!this.sendingPaused) {
+            return;
+        }
+        await this._waitForEvent('drain', {timeout, signal, description: 'waitForDrain()', rejectOnStop: false});
+    }
+
+    /**
+     * Statistics about the connections and traffic of this client, counted since it was constructed or since the last call to
+     * `resetStats()`.
+     *
+     * @example
+     * const {uptime, reconnectsByCloseCode, rtt} = rpc.getStats();
+     * console.log(`Connected for ${uptime}ms, round trip time p95: ${rtt.p95}ms`, reconnectsByCloseCode);
+     *
+     * @return {{
+     *     since: number,
+     *     connectAttempts: number,
+     *     connectSuccesses: number,
+     *     connectTimeouts: number,
+     *     connectedTime: number,
+     *     uptime: number,
+     *     reconnects: number,
+     *     reconnectsByCloseCode: Object<string, number>,
+     *     messagesSent: number,
+     *     bytesSent: number,
+     *     messagesReceived: number,
+     *     bytesReceived: number,
+     *     callsInFlight: number,
+     *     callTimeouts: number,
+     *     pingFailures: number,
+     *     rtt: {samples: number, min: ?number, avg: ?number, p95: ?number}
+     * }} `since` is the moment the counters were (re)set, in milliseconds since the epoch. `connectedTime` is the total amount of
+     *    milliseconds that a connection was open (including the current one) and `uptime` the amount of milliseconds the current
+     *    connection has been open. `reconnectsByCloseCode` counts the close codes of the connections which were followed by a
+     *    reconnect. `callsInFlight` is the amount of calls which have been sent, but not yet answered. `rtt` summarizes the delays of
+     *    the most recent (at most 100) successful pings, the values are `null` if there were none.
+     */
+    getStats() {
+        let callsInFlight = 0;
+        for (const {sentMessage} of this[PRIVATE].pendingCalls) {
+            callsInFlight += sentMessage ? 1 : 0;
+        }
+        return this[PRIVATE].stats.snapshot(this[PRIVATE].clock.now(), callsInFlight);
+    }
+
+    /**
+     * Set all counters returned by `getStats()` back to 0.
+     */
+    resetStats() {
+        this[PRIVATE].stats.reset(this[PRIVATE].clock.now());
+    }
+
+    /**
+     * Establish the WebSocket connection, and automatically reconnect after an network error or timeout.
+     */
+    start() {
+        assert(!this.started, 'start(): Already started');
+        this[PRIVATE].started = true;
+        this[PRIVATE].reconnectHistory = [];
+        this._attachEnvironment();
+        this._connect('start');
+    }
+
+    /**
+     * Skip the remaining reconnect delay and make a new connection attempt immediately, for example when the user clicks a "retry"
+     * button. This method does nothing unless the `state` is "waiting-to-reconnect". Reconnect attempts which have been suspended
+     * because the `environment` is offline are also resumed.
+     *
+     * @return {boolean} `true` if a new connection attempt has been made
+     */
+    reconnectNow() {
+        if (this[PRIVATE].state !== connectionState.WAITING_TO_RECONNECT) {
+            return false;
+        }
+
+        this._clearReconnectTimer();
+        this._connect('reconnect');
+        return true;
+    }
+
+    /**
+     * Close the active WebSocket connection, and stop reconnecting.
+     * If there is no active connection the `code` and `reason` params are ignored.
+     *
+     * @param {number} code Must be equal to 1000 or in the range 3000 to 4999 inclusive
+     * @param {string} reason Must be 123 bytes or less (utf8)
      */
     stop(code = closeCodes.NORMAL, reason = 'Normal Closure') {
         this[PRIVATE].started = false;
+        this._detachEnvironment();
         this._clearReconnectTimer();
-        this.rpc.stopPinging();
+        this._stopHeartbeat();
         this.closeConnection(code, reason);
+        this._setState(connectionState.STOPPED, 'stop');
     }
 
     /**
-     * Returns `true` if there is an active WebSocket connection, in which case all RPC calls will be flushed out immediately and at which
-     * point we might receive RPC calls directed to us.
-     * If this property returns `false`, all outgoing RPC calls will be queued until we have a connection again
+     * Returns `true` if there is an active WebSocket connection (and the `onOpen` hook has completed), in which case all RPC calls will be
+     * flushed out immediately and at which point we might receive RPC calls directed to us.
+     * If this property returns `false`, outgoing RPC calls are handled according to the `offlinePolicy`
      * @return {boolean}
      */
     get hasActiveConnection() {
         return Boolean(
             this.started &&
+            this[PRIVATE].state === connectionState.READY &&
             this[PRIVATE].activeWebSocket &&
-            this[PRIVATE].activeWebSocket.readyState === readyState.OPEN &&
-            !this.rpc.isPaused()
+            this[PRIVATE].activeWebSocket.readyState === readyState.OPEN
         );
     }
 
@@ -687,15 +2236,82 @@ class WebSocketClient extends EventEmitter {
      */
     closeConnection(code, reason) {
         assertValidOutgoingCloseCode(code, 'closeConnection(): ');
-        const {activeWebSocket} = this[PRIVATE];
-        const hadConnection = Boolean(activeWebSocket);
+        const {activeWebSocket, connectAttempt} = this[PRIVATE];
+        const hadConnection = Boolean(connectAttempt);
         if (hadConnection) {
+            this._setState(connectionState.CLOSING, 'closeConnection', {code, reason});
+        }
+        if (activeWebSocket) {
             activeWebSocket.close(code, reason);
+        }
+        if (hadConnection) {
             this._webSocketClosed({code, reason, closedByRemote: false});
         }
         return hadConnection;
     }
 
+    _waitForEvent(eventName, {timeout, signal, description, rejectOnStop}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(createAbortError(signal));
+                return;
+            }
+
+            let timer = null;
+            const cleanup = () => {
+                this.removeListener(eventName, onEvent);
+                this.removeListener('stateChange', onStateChange);
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                if (timer) {
+                    this.rpc.clearTimeout(timer);
+                }
+            };
+            const onEvent = value => {
+                cleanup();
+                resolve(value);
+            };
+            const onStateChange = ({state}) => {
+                if (rejectOnStop && state === connectionState.STOPPED) {
+                    cleanup();
+                    reject(new NotConnectedError(`${description}: The client has been stopped`, 'stopped'));
+                }
+            };
+            const onAbort = () => {
+                cleanup();
+                reject(createAbortError(signal));
+            };
+
+            this.on(eventName, onEvent);
+            this.on('stateChange', onStateChange);
+            if (signal) {
+                signal.addEventListener('abort', onAbort);
+            }
+            if (timeout !== Infinity) {
+                timer = this.rpc.setTimeout(
+                    () => {
+                        timer = null;
+                        cleanup();
+                        reject(new NotConnectedError(`${description}: Timed out after ${timeout}ms`, 'timeout'));
+                    },
+                    timeout,
+                    waitTimerId,
+                );
+            }
+        });
+    }
+
+    _setState(state, cause, details = {}) {
+        const previous = this[PRIVATE].state;
+        if (previous === state) {
+            return;
+        }
+
+        this[PRIVATE].state = state;
+        this.emit('stateChange', Object.assign({previous, state, cause}, details));
+    }
+
     _wrapListener(func) {
         return (...args) => {
             try {
@@ -707,14 +2323,74 @@ class WebSocketClient extends EventEmitter {
         };
     }
 
-    _connect() {
+    _connect(cause) {
         assert(this.started, '_connect(): Should be started');
         assert(!this[PRIVATE].activeWebSocket, '_connect(): There already is an active connection');
 
-        const {url, connectTimeout} = this;
+        assert(!this[PRIVATE].connectAttempt, '_connect(): There already is a connection attempt in progress');
+
+        const {connectTimeout, urlCallback} = this;
         this._clearReconnectTimer();
         this[PRIVATE].hasHandledWebSocketClose = false;
-        const webSocket = this[PRIVATE].createConnectionCallback({WebSocket, url});
+        this[PRIVATE].hasOpened = false;
+        this._setState(connectionState.CONNECTING, cause);
+        this[PRIVATE].stats.connectAttempt();
+
+        let url;
+        try {
+            url = this._pickUrl();
+        }
+        catch (error) { // thrown by the url provider
+            this._handleConnectionCreateError(error);
+            return;
+        }
+
+        const {codec} = this;
+        const protocols = [...new Set([...(codec ? [codec.protocol] : []), ...this.protocols])];
+        const createConnection = connectionUrl => this[PRIVATE].createConnectionCallback({
+            WebSocket,
+            url: String(connectionUrl),
+            protocols,
+        });
+        let webSocket;
+        try {
+            const connectionUrl = urlCallback ? urlCallback({url}) : url;
+            webSocket = isThenable(connectionUrl) ? connectionUrl.then(createConnection) : createConnection(connectionUrl);
+        }
+        catch (error) { // handled the same way as a rejected promise returned by the callbacks
+            webSocket = Promise.reject(error);
+        }
+
+        const attempt = {};
+        this[PRIVATE].connectAttempt = attempt;
+        const isActive = () => this[PRIVATE].connectAttempt === attempt;
+
+        if (isThenable(webSocket)) {
+            webSocket.then(
+                this._wrapListener(webSocket => this._handleConnectionCreated(attempt, webSocket)),
+                this._wrapListener(error => isActive() && this._handleConnectionCreateError(error)),
+            );
+        }
+        else {
+            this._handleConnectionCreated(attempt, webSocket);
+        }
+
+        this[PRIVATE].connectTimeoutTimer = this.rpc.setTimeout(
+            () => isActive() && this._handleConnectionTimeout(connectTimeout),
+            connectTimeout,
+            connectTimeoutTimerId
+        );
+
+        this.emit('webSocketConnecting', {url});
+    }
+
+    _handleConnectionCreated(attempt, webSocket) {
+        if (this[PRIVATE].connectAttempt !== attempt) {
+            // the attempt has been aborted by stop(), closeConnection() or the connect timeout while we were waiting for the callbacks
+            webSocket.close(closeCodes.NORMAL, 'Connection attempt aborted');
+            return;
+        }
+
         this[PRIVATE].activeWebSocket = webSocket;
         const isActive = () => this[PRIVATE].activeWebSocket === webSocket;
         webSocket.binaryType = 'arraybuffer';
@@ -723,17 +2399,44 @@ class WebSocketClient extends EventEmitter {
         webSocket.addEventListener('error', this._wrapListener(errorOrEvent => isActive() && this._handleWebSocketError(errorOrEvent)));
         webSocket.addEventListener('close', this._wrapListener(e => isActive() && this._handleWebSocketClose(e.code, e.reason)));
         webSocket.addEventListener('message', this._wrapListener(e => isActive() && this._handleWebSocketMessage(e.data)));
+        if (supportsControlFrames(webSocket)) {
+            webSocket.on('pong', this._wrapListener(() => isActive() && this._handleWebSocketPong()));
+        }
+    }
 
-        this[PRIVATE].connectTimeoutTimer = this.rpc.setTimeout(
-            () => isActive() && this._handleConnectionTimeout(connectTimeout),
-            connectTimeout,
-            connectTimeoutTimerId
-        );
+    _handleConnectionCreateError(error) {
+        this.emit('webSocketError', error);
+        this._webSocketClosed({code: closeCodes.ABNORMAL_CLOSURE, reason: String(error && error.message), closedByRemote: false});
+    }
 
-        this.emit('webSocketConnecting');
+    _pickUrl() {
+        const {url} = this[PRIVATE];
+        const urls = typeof url.getUrls === 'function' ? [].concat(url.getUrls()).map(String) : [].concat(url);
+        assert(urls.length > 0, 'url.getUrls() must return at least one URL');
+
+        const urlIndex = this[PRIVATE].urlIndex % urls.length;
+        this[PRIVATE].urlIndex = urlIndex;
+        this[PRIVATE].currentUrl = urls[urlIndex];
+        return urls[urlIndex];
+    }
+
+    _handleConnectFailure() {
+        ++this[PRIVATE].connectFailures;
+        if (this[PRIVATE].connectFailures >= this.failoverAttempts) {
+            this[PRIVATE].connectFailures = 0;
+            ++this[PRIVATE].urlIndex; // wraps around in _pickUrl()
+        }
+    }
+
+    _handleFailbackTimer() {
+        this[PRIVATE].failbackTimer = null;
+        this[PRIVATE].urlIndex = 0;
+        this[PRIVATE].connectFailures = 0;
+        this.closeConnection(closeCodes.NORMAL, 'Reconnecting to the preferred endpoint');
     }
 
     _handleConnectionTimeout(connectTimeout) {
+        this[PRIVATE].stats.connectTimeout();
         this.closeConnection(this.timeoutCloseCode, `Timeout: Opening WebSocket took longer than ${connectTimeout}ms`);
     }
 
@@ -742,37 +2445,773 @@ class WebSocketClient extends EventEmitter {
     }
 
     _handleRpcPingSuccess(delay) {
+        this[PRIVATE].stats.pingSuccess(delay);
         // slowly decrease the reconnect delay when pings succeed
         this[PRIVATE].reconnectCounter = Math.max(0, this[PRIVATE].reconnectCounter - 1);
     }
 
     _handleRpcPingFail(consecutiveFails, err) {
+        this[PRIVATE].stats.pingFail();
         if (consecutiveFails >= this.consecutivePingFailClose) {
             this.closeConnection(this.timeoutCloseCode, 'Timeout: No responses received to ping calls');
         }
     }
 
-    _handleRpcData(data) {
+    _startHeartbeat() {
+        const {activeWebSocket} = this[PRIVATE];
+        const {heartbeat} = this;
+        const mode = heartbeat === 'websocket' && !supportsControlFrames(activeWebSocket) ? 'rpc' : heartbeat;
+        this[PRIVATE].activeHeartbeat = mode;
+        this[PRIVATE].heartbeatFails = 0;
+        this[PRIVATE].heartbeatPingSentAt = null;
+        this[PRIVATE].lastMessageAt = this[PRIVATE].clock.now();
+
+        if (mode === 'rpc') {
+            const {pingInterval} = this.rpc;
+            try {
+                this.rpc.pingInterval = 1; // first ping as soon as possible
+                this.rpc.resetPingStatistics();
+                this.rpc.startPinging();
+            }
+            finally {
+                this.rpc.pingInterval = pingInterval;
+            }
+        }
+        else {
+            this._scheduleHeartbeatTimer(mode === 'websocket' ? 1 : this.pingInterval);
+        }
+    }
+
+    _stopHeartbeat() {
+        this.rpc.stopPinging();
+        this._clearHeartbeatTimer();
+        this[PRIVATE].activeHeartbeat = null;
+        this[PRIVATE].heartbeatPingSentAt = null;
+    }
+
+    _scheduleHeartbeatTimer(delay) {
+        this._clearHeartbeatTimer();
+        this[PRIVATE].heartbeatTimer = this.rpc.setTimeout(
+            this._wrapListener(() => this._handleHeartbeatTimer()),
+            delay,
+            heartbeatTimerId,
+        );
+    }
+
+    _clearHeartbeatTimer() {
+        if (this[PRIVATE].heartbeatTimer) {
+            this.rpc.clearTimeout(this[PRIVATE].heartbeatTimer);
+        }
+        this[PRIVATE].heartbeatTimer = null;
+    }
+
+    _handleHeartbeatTimer() {
+        this[PRIVATE].heartbeatTimer = null;
+        const {activeHeartbeat, activeWebSocket, heartbeatPingSentAt, lastMessageAt} = this[PRIVATE];
+        const {pingInterval, pingTimeout} = this;
+
+        if (activeHeartbeat === 'passive') {
+            const idle = this[PRIVATE].clock.now() - lastMessageAt;
+            this._scheduleHeartbeatTimer(pingInterval);
+            if (idle < pingInterval) {
+                this._handleHeartbeatSuccess(idle);
+            }
+            else {
+                this._handleHeartbeatFail(new Error(`Heartbeat: No messages received within ${pingInterval}ms`));
+            }
+            return;
+        }
+
+        if (heartbeatPingSentAt === null) {
+            this[PRIVATE].heartbeatPingSentAt = this[PRIVATE].clock.now();
+            this._scheduleHeartbeatTimer(pingTimeout);
+            activeWebSocket.ping();
+            return;
+        }
+
+        this[PRIVATE].heartbeatPingSentAt = null;
+        this._scheduleHeartbeatTimer(pingInterval);
+        this._handleHeartbeatFail(new Error(`Heartbeat: No pong received within ${pingTimeout}ms`));
+    }
+
+    _handleWebSocketPong() {
+        const {activeHeartbeat, heartbeatPingSentAt} = this[PRIVATE];
+        this[PRIVATE].lastMessageAt = this[PRIVATE].clock.now();
+        if (activeHeartbeat !== 'websocket' || heartbeatPingSentAt === null) {
+            return;
+        }
+
+        this[PRIVATE].heartbeatPingSentAt = null;
+        this._scheduleHeartbeatTimer(this.pingInterval);
+        this._handleHeartbeatSuccess(this[PRIVATE].clock.now() - heartbeatPingSentAt);
+    }
+
+    // these mimic the events of the jsonbird pings, so that all heartbeat modes behave the same
+
+    _handleHeartbeatSuccess(delay) {
+        this[PRIVATE].heartbeatFails = 0;
+        this._handleRpcPingSuccess(delay);
+        this.emit('pingSuccess', delay);
+    }
+
+    _handleHeartbeatFail(error) {
+        const consecutiveFails = ++this[PRIVATE].heartbeatFails;
+        this._handleRpcPingFail(consecutiveFails, error);
+        this.emit('pingFail', consecutiveFails, error);
+    }
+
+    _handleRpcData(object) {
+        // messages created using this.rpc directly (such as the pings of jsonbird and the responses to our methods) are not tagged
+        const tag = typeof object.method === 'string' ? this._takeOutgoingTag(object) : null;
+        const {call = null, signal = null, batchSlot = null} = tag || {};
+        let message = null;
+
+        if (call) {
+            call.id = object.id;
+            if (!this[PRIVATE].pendingCalls.has(call)) { // rejected before jsonbird got to emit it
+                this._releaseRpcCall(call);
+            }
+        }
+
+        if (!tag) {
+            message = this._encodeOutgoing(object);
+        }
+        else if (!this._isAborted({call, signal})) {
+            try {
+                message = Object.assign(this._encodeOutgoing(object), {call, signal: call ? null : signal});
+            }
+            catch (error) { // most likely params which can not be serialized, this is reported to the caller instead of emitted
+                if (call) {
+                    this._rejectPendingCall(call, error);
+                }
+                else {
+                    tag.reject(error);
+                }
+            }
+        }
+
+        if (tag && !call) {
+            tag.resolve(); // does nothing if the notification has been rejected above
+        }
+
+        if (batchSlot) {
+            this._fillBatchSlot(batchSlot, message);
+            return;
+        }
+
+        if (message && !this._collectIncomingBatchResponse(object, message)) {
+            this._handleOutgoingMessage(message);
+        }
+    }
+
+    /**
+     * Encode an outgoing JSON-RPC object right away, so that changes made to the params after the call are not sent
+     *
+     * @param {Object} object A JSON-RPC object emitted by jsonbird
+     * @return {{
+     *     id: *,
+     *     method: *,
+     *     isRequest: boolean,
+     *     isNotification: boolean,
+     *     frame: (string|Buffer|Uint8Array),
+     *     codec: ?Object,
+     *     byteLength: number,
+     *     call: ?Object,
+     *     signal: ?AbortSignal
+     * }}
+     *         `call` is the entry in pendingCalls of a request and `signal` the AbortSignal of a notification
+     * @private
+     */
+    _encodeOutgoing(object) {
+        const {activeWebSocket, connectionCodec} = this[PRIVATE];
+        // while offline, the codec is used which is most likely to be negotiated for the next connection. joinMessages() converts
+        // the message if the codec turns out to be different
+        const codec = activeWebSocket && activeWebSocket.readyState === readyState.OPEN ? connectionCodec : this.codec;
+        const frame = encodeMessage(object, codec);
+        return {
+            id: object.id,
+            method: object.method,
+            isRequest: typeof object.method === 'string' && object.id !== undefined,
+            isNotification: typeof object.method === 'string' && object.id === undefined,
+            frame,
+            codec,
+            byteLength: messageByteLength(frame),
+            call: null,
+            signal: null,
+        };
+    }
+
+    _isAborted({call, signal}) {
+        // a call is no longer pending once it has been aborted (or rejected otherwise)
+        return call ? !this[PRIVATE].pendingCalls.has(call) : Boolean(signal && signal.aborted);
+    }
+
+    _handleOutgoingMessage(message) {
+        if (this[PRIVATE].sendingPaused) {
+            this[PRIVATE].pausedMessages.push(message);
+        }
+        else if (this.hasActiveConnection) {
+            this._send(message);
+        }
+        else if (!this._handleHandshakeData(message)) {
+            this._handleOfflineData(message);
+        }
+    }
+
+    /**
+     * @param {Object[]} messages Messages created by _encodeOutgoing(), which are sent as a batch
+     * @private
+     */
+    _handleRpcBatchData(messages) {
+        if (!messages.length) {
+            return;
+        }
+
+        if (this[PRIVATE].sendingPaused) {
+            this[PRIVATE].pausedMessages.push(messages);
+            return;
+        }
+
+        if (this.hasActiveConnection) {
+            this._send(messages);
+            return;
+        }
+
+        // queued as separate items so that the offline policy applies to each of them, _flushOfflineQueue() joins them again
+        const batch = {};
+        for (const message of messages) {
+            this._handleOfflineData(message, {batch});
+        }
+    }
+
+    _tagOutgoing(tag) {
+        // jsonbird emits its messages in the order in which they were created, _takeOutgoingTag() finds this tag again when it does
+        this[PRIVATE].outgoingTags.push(tag);
+        return tag;
+    }
+
+    _takeOutgoingTag({id, method, params}) {
+        const {outgoingTags} = this[PRIVATE];
+        const isRequest = id !== undefined;
+        // the arguments are compared too, in case a message with the same method has been created using this.rpc directly
+        const index = outgoingTags.findIndex(tag =>
+            tag.method === method &&
+            Boolean(tag.call) === isRequest &&
+            tag.args.length === params.length &&
+            tag.args.every((arg, i) => arg === params[i]),
+        );
+        return index < 0 ? null : outgoingTags.splice(index, 1)[0];
+    }
+
+    _removeOutgoingTag(tag) {
+        const {outgoingTags} = this[PRIVATE];
+        const index = outgoingTags.indexOf(tag);
+        if (index >= 0) {
+            outgoingTags.splice(index, 1);
+        }
+    }
+
+    _handleHandshakeData(message) {
+        const {call} = message;
+        if (!call || !call.webSocket) {
+            return false;
+        }
+
+        const {activeWebSocket} = this[PRIVATE];
+        if (call.webSocket === activeWebSocket && activeWebSocket.readyState === readyState.OPEN) {
+            this._send(message);
+        }
+        else { // the connection this call was meant for has been closed in the meantime
+            this._dropOfflineItem(message, 'offline');
+        }
+        return true;
+    }
+
+    /**
+     * @param {Object|Object[]} messages A message created by _encodeOutgoing(), or an array of them which is sent as a batch
+     * @private
+     */
+    _send(messages) {
+        for (const message of Array.isArray(messages) ? messages : [messages]) {
+            if (message.call) {
+                message.call.sentMessage = message;
+            }
+        }
+
+        const frame = joinMessages(messages, this[PRIVATE].connectionCodec);
+        this._sendFrame(frame);
+        this[PRIVATE].stats.messageSent(messageByteLength(frame));
+        this._checkBufferedAmount();
+    }
+
+    _sendFrame(frame) {
+        this[PRIVATE].activeWebSocket.send(frame);
+    }
+
+    _checkBufferedAmount() {
+        const {activeWebSocket, sendingPaused} = this[PRIVATE];
+        if (sendingPaused || !(activeWebSocket.bufferedAmount > this.sendHighWaterMark)) {
+            return;
+        }
+
+        // new messages are kept in pausedMessages until _resumeSending()
+        this[PRIVATE].sendingPaused = true;
+        this._scheduleDrainTimer();
+    }
+
+    _scheduleDrainTimer() {
+        this._clearDrainTimer();
+        this[PRIVATE].drainTimer = this.rpc.setTimeout(() => this._handleDrainTimer(), this.drainCheckInterval, drainTimerId);
+    }
+
+    _clearDrainTimer() {
+        if (this[PRIVATE].drainTimer) {
+            this.rpc.clearTimeout(this[PRIVATE].drainTimer);
+            this[PRIVATE].drainTimer = null;
+        }
+    }
+
+    _handleDrainTimer() {
+        this[PRIVATE].drainTimer = null;
         const {activeWebSocket} = this[PRIVATE];
-        assert(activeWebSocket, '_handleRpcData(): Expected an active connection');
-        assert(activeWebSocket.readyState === readyState.OPEN, '_handleRpcData(): Expected an open connection');
-        activeWebSocket.send(data);
+        if (activeWebSocket.bufferedAmount > Math.min(this.sendLowWaterMark, this.sendHighWaterMark)) {
+            this._scheduleDrainTimer();
+            return;
+        }
+        this._resumeSending();
+    }
+
+    _resumeSending() {
+        const {activeWebSocket, sendingPaused} = this[PRIVATE];
+        if (!sendingPaused) {
+            return;
+        }
+        this._clearDrainTimer();
+        this[PRIVATE].sendingPaused = false;
+
+        // the messages left in the offline queue are older than the paused messages, so they go first
+        if (this.hasActiveConnection) {
+            this._flushOfflineQueue();
+        }
+
+        // if the connection has been closed, the paused messages are handled according to the offlinePolicy
+        const {pausedMessages} = this[PRIVATE];
+        while (pausedMessages.length && !this[PRIVATE].sendingPaused) {
+            const messages = pausedMessages.shift();
+            if (Array.isArray(messages)) {
+                this._handleRpcBatchData(messages.filter(message => !this._isAborted(message)));
+            }
+            else if (!this._isAborted(messages)) {
+                this._handleOutgoingMessage(messages);
+            }
+        }
+
+        if (this[PRIVATE].sendingPaused) {
+            return;
+        }
+        this.emit('drain', {bufferedAmount: activeWebSocket ? activeWebSocket.bufferedAmount : 0});
+    }
+
+    _createOfflineItem(message) {
+        return Object.assign({}, message, {
+            time: this[PRIVATE].clock.now(),
+            batch: null,
+            removeAbortListener: null,
+        });
+    }
+
+    _handleOfflineData(message, {batch = null} = {}) {
+        const {offlineQueue} = this[PRIVATE];
+        const {mode, maxCount, maxBytes} = this.offlinePolicy;
+        const {signal} = message;
+        const item = Object.assign(this._createOfflineItem(message), {batch});
+
+        if (mode === 'reject' || (mode === 'drop-notifications' && item.isNotification)) {
+            this._dropOfflineItem(item, 'offline');
+            return;
+        }
+
+        const exceededLimit = offlineQueue.push(item, {maxCount, maxBytes});
+        if (exceededLimit) {
+            this._dropOfflineItem(item, exceededLimit);
+            return;
+        }
+
+        if (signal) {
+            const abortListener = () => offlineQueue.remove(item);
+            signal.addEventListener('abort', abortListener, {once: true});
+            item.removeAbortListener = () => signal.removeEventListener('abort', abortListener);
+        }
+
+        if (!this[PRIVATE].offlineQueueTimer) {
+            this._scheduleOfflineQueueTimer();
+        }
+    }
+
+    _releaseOfflineItem({removeAbortListener}) {
+        if (removeAbortListener) {
+            removeAbortListener();
+        }
+    }
+
+    _dropOfflineItem(item, reason) {
+        const {id, method, call} = item;
+        this._releaseOfflineItem(item);
+        if (call) {
+            this._rejectPendingCall(call, new NotConnectedError(
+                `Remote Call "${method}" has been dropped because there is no open connection (${reason})`,
+                reason,
+            ));
+        }
+
+        this.emit('offlineMessageDropped', {
+            reason,
+            method: method === undefined ? null : method,
+            id: id === undefined ? null : id,
+        });
+    }
+
+    _flushOfflineQueue() {
+        const {offlineQueue} = this[PRIVATE];
+        this._expireOfflineQueue();
+
+        // items which were queued as part of the same batch are sent together again. If sending is paused because the send buffer
+        // is full, the remaining items stay in the queue until _resumeSending()
+        while (offlineQueue.length && !this[PRIVATE].sendingPaused) {
+            const group = offlineQueue.shiftGroup();
+            group.forEach(item => this._releaseOfflineItem(item));
+            this._send(group.length > 1 ? group : group[0]);
+        }
+        this._scheduleOfflineQueueTimer();
+    }
+
+    _expireOfflineQueue() {
+        const {maxAge} = this.offlinePolicy;
+        for (const item of this[PRIVATE].offlineQueue.removeExpired(this[PRIVATE].clock.now(), maxAge)) {
+            this._dropOfflineItem(item, 'maxAge');
+        }
+    }
+
+    _scheduleOfflineQueueTimer() {
+        const {maxAge} = this.offlinePolicy;
+        const {oldest} = this[PRIVATE].offlineQueue;
+        this._clearOfflineQueueTimer();
+
+        if (oldest && maxAge !== Infinity) {
+            const delay = Math.max(0, oldest.time + maxAge - this[PRIVATE].clock.now());
+            this[PRIVATE].offlineQueueTimer = this.rpc.setTimeout(
+                this._wrapListener(() => this._handleOfflineQueueTimer()),
+                delay,
+                offlineQueueTimerId,
+            );
+        }
+    }
+
+    _handleOfflineQueueTimer() {
+        this[PRIVATE].offlineQueueTimer = null;
+        this._expireOfflineQueue();
+        this._scheduleOfflineQueueTimer();
+    }
+
+    _clearOfflineQueueTimer() {
+        if (this[PRIVATE].offlineQueueTimer) {
+            this.rpc.clearTimeout(this[PRIVATE].offlineQueueTimer);
+        }
+        this[PRIVATE].offlineQueueTimer = null;
+    }
+
+    _trackCall(nameOrOptions, args, {webSocket = null, batchSlot = null} = {}) {
+        const name = getNameOption(nameOrOptions);
+        if (typeof name !== 'string') {
+            return this.rpc.call(nameOrOptions, ...args); // rejects
+        }
+
+        const {pendingCalls, stats} = this[PRIVATE];
+        const signal = getSignalOption(nameOrOptions);
+        const call = {
+            name,
+            id: undefined, // known as soon as jsonbird has emitted the request
+            retryOnReconnect: !webSocket && Boolean(typeof nameOrOptions === 'object' && nameOrOptions.retryOnReconnect),
+            webSocket, // the connection of the onOpen hook which made this call
+            sentMessage: null,
+            reject: null,
+        };
+        // settles the returned promise if the call fails on our side, such as an abort or a lost connection
+        const rejection = new Promise((resolve, reject) => {
+            call.reject = reject;
+        });
+
+        const tag = this._tagOutgoing({method: name, args, call, batchSlot});
+        const callPromise = this.rpc.call(nameOrOptions, ...args).catch(error => {
+            this._removeOutgoingTag(tag); // in case jsonbird rejected the call without emitting it
+            if (pendingCalls.has(call) && CALL_TIMEOUT_MESSAGE.test(error.message)) {
+                stats.callTimeout();
+            }
+            throw error;
+        });
+        pendingCalls.add(call);
+
+        const abortListener = this._wrapListener(() => this._abortCall(call, signal));
+        if (signal) {
+            signal.addEventListener('abort', abortListener, {once: true});
+        }
+
+        const cleanup = () => {
+            pendingCalls.delete(call);
+            if (signal) {
+                signal.removeEventListener('abort', abortListener);
+            }
+        };
+
+        return Promise.race([callPromise, rejection]).then(
+            result => {
+                cleanup();
+                return result;
+            },
+            error => {
+                cleanup();
+                throw error;
+            },
+        );
+    }
+
+    _sendBatch(entries) {
+        // every entry gets a slot, which is filled by _handleRpcData() as soon as jsonbird emits its message. Or with null if the entry
+        // fails before that, for example because of the middleware
+        const batch = {slots: [], remaining: entries.length};
+        for (const {type, nameOrOptions, args, resolve, reject} of entries) {
+            const batchSlot = {batch, filled: false, message: null};
+            batch.slots.push(batchSlot);
+
+            const promise = type === 'call'
+                ? this._callWithMiddleware(nameOrOptions, args, batchSlot)
+                : this._notifyWithMiddleware(nameOrOptions, args, batchSlot);
+            const settled = () => this._fillBatchSlot(batchSlot, null);
+            promise.then(settled, settled);
+            promise.then(resolve, reject);
+        }
+    }
+
+    _fillBatchSlot(batchSlot, message) {
+        if (batchSlot.filled) {
+            return;
+        }
+        batchSlot.filled = true;
+        batchSlot.message = message;
+
+        const {batch} = batchSlot;
+        if (--batch.remaining === 0) {
+            // calls which have been aborted while waiting for the other entries are left out
+            const messages = batch.slots.map(slot => slot.message).filter(message => message && !this._isAborted(message));
+            this._handleRpcBatchData(messages);
+        }
+    }
+
+    _abortCall(call, signal) {
+        const {pendingCalls, offlineQueue} = this[PRIVATE];
+        if (!pendingCalls.has(call)) {
+            return;
+        }
+
+        const {sentMessage} = call;
+        offlineQueue.removeCall(call);
+        this._rejectPendingCall(call, createAbortError(signal));
+
+        if (sentMessage && this.cancelNotification !== null && this.hasActiveConnection) {
+            this._rpcNotify(this.cancelNotification, [{id: sentMessage.id}]).catch(this._wrapListener(error => this.emit('error', error)));
+        }
+    }
+
+    _rejectPendingCall(call, error) {
+        if (!this[PRIVATE].pendingCalls.delete(call)) {
+            return;
+        }
+
+        call.reject(error);
+        if (call.id !== undefined) { // otherwise _handleRpcData() takes care of this
+            this._releaseRpcCall(call);
+        }
+    }
+
+    _releaseRpcCall({id}) {
+        // jsonbird would keep waiting for a response to a call which we have already rejected. Answer the call the same way the server
+        // would, so that jsonbird forgets about it. The rejection of jsonbird is ignored by _trackCall()
+        this.rpc.write({
+            jsonrpc: '2.0',
+            id,
+            error: {code: 0, message: 'The call has been rejected by WebSocketClient'},
+        });
+    }
+
+    _failInFlightCalls({code, reason, closedByRemote}) {
+        const {pendingCalls, offlineQueue} = this[PRIVATE];
+        const retryItems = [];
+
+        for (const call of pendingCalls) {
+            const {name, retryOnReconnect, sentMessage} = call;
+            if (!sentMessage) { // still waiting in the offline queue, or not yet emitted by jsonbird
+                continue;
+            }
+
+            if (retryOnReconnect && this.offlinePolicy.mode !== 'reject') {
+                call.sentMessage = null;
+                retryItems.push(this._createOfflineItem(sentMessage));
+            }
+            else {
+                const error = new ConnectionLostError(
+                    `Remote Call "${name}" failed because the WebSocket connection was closed (${code} ${reason})`,
+                    {code, reason, closedByRemote},
+                );
+                this._rejectPendingCall(call, error);
+            }
+        }
+
+        if (retryItems.length) {
+            offlineQueue.unshift(retryItems);
+            this._scheduleOfflineQueueTimer();
+        }
     }
 
     _handleWebSocketOpen() {
-        this._clearConnectTimeoutTimer();
+        const {urlIndex, currentUrl, activeWebSocket} = this[PRIVATE];
+        const isActive = () => this[PRIVATE].activeWebSocket === activeWebSocket;
+        const protocol = String(activeWebSocket.protocol || '');
+        this[PRIVATE].hasOpened = true;
+
+        if (!this._isAllowedProtocol(protocol)) {
+            this._handleProtocolMismatch(activeWebSocket, protocol);
+            return;
+        }
+
+        this[PRIVATE].connectFailures = 0;
+        this[PRIVATE].protocol = protocol;
+        this[PRIVATE].connectionCodec = this._negotiateCodec(activeWebSocket);
+        this[PRIVATE].stats.connected(this[PRIVATE].clock.now());
         this._clearReconnectTimer();
-        this.rpc.resume();
-        const {pingInterval} = this.rpc;
+
+        if (urlIndex > 0 && this.failbackDelay !== Infinity) {
+            this[PRIVATE].failbackTimer = this.rpc.setTimeout(
+                this._wrapListener(() => this._handleFailbackTimer()),
+                this.failbackDelay,
+                failbackTimerId,
+            );
+        }
+
+        this._setState(connectionState.OPEN, 'open');
+        this.emit('webSocketOpen', {url: currentUrl, protocol});
+
+        const {onOpen} = this;
+        if (!isActive()) { // closed by a listener of the webSocketOpen event
+            return;
+        }
+
+        if (!onOpen) {
+            this._handleReady();
+            return;
+        }
+
+        const hookArgs = {
+            url: currentUrl,
+            call: (nameOrOptions, ...args) => this._handshakeCall(activeWebSocket, nameOrOptions, args),
+            notify: (nameOrOptions, ...args) => this._handshakeNotify(activeWebSocket, nameOrOptions, args),
+        };
+        new Promise(resolve => resolve(onOpen(hookArgs))).then(
+            this._wrapListener(() => isActive() && this._handleReady()),
+            this._wrapListener(error => isActive() && this._handleOnOpenFail(error)),
+        );
+    }
+
+    _isAllowedProtocol(protocol) {
+        const {protocols, codec} = this;
+        if (codec && protocol === codec.protocol) {
+            return true;
+        }
+        if (!protocols.length) {
+            // nothing to check if the subprotocol was set by a custom createConnectionCallback
+            return !codec || protocol === '';
+        }
+        return protocols.includes(protocol);
+    }
+
+    _handleProtocolMismatch(webSocket, protocol) {
+        const code = closeCodes.PROTOCOL_ERROR;
+        const reason = `Unexpected WebSocket subprotocol "${protocol.slice(0, 64)}"`;
+        this[PRIVATE].started = false; // retrying would not help, the server does not speak any of our protocols
+        this._setState(connectionState.CLOSING, 'closeConnection', {code, reason});
         try {
-            this.rpc.pingInterval = 1; // first ping as soon as possible
-            this.rpc.resetPingStatistics();
-            this.rpc.startPinging();
+            webSocket.close(code, reason);
         }
-        finally {
-            this.rpc.pingInterval = pingInterval;
+        catch (err) {
+            // browsers refuse to send close codes other than 1000 and 3000-4999, PROTOCOL_ERROR is still reported locally
+            webSocket.close(closeCodes.NORMAL, reason);
         }
-        this.emit('webSocketOpen');
+        this._webSocketClosed({code, reason, closedByRemote: false});
+    }
+
+    _negotiateCodec(webSocket) {
+        const {codec} = this;
+        return codec && webSocket.protocol === codec.protocol ? codec : null;
+    }
+
+    async _handshakeCall(webSocket, nameOrOptions, args) {
+        if (this[PRIVATE].activeWebSocket !== webSocket) {
+            throw new NotConnectedError('call(): The connection for which the onOpen hook was called has been closed', 'offline');
+        }
+
+        return await this._trackCall(nameOrOptions, args, {webSocket});
+    }
+
+    async _handshakeNotify(webSocket, nameOrOptions, args) {
+        if (this[PRIVATE].activeWebSocket !== webSocket || webSocket.readyState !== readyState.OPEN) {
+            throw new NotConnectedError('notify(): The connection for which the onOpen hook was called has been closed', 'offline');
+        }
+
+        const name = typeof nameOrOptions === 'object' && nameOrOptions !== null ? nameOrOptions.name : nameOrOptions;
+        assert(typeof name === 'string', 'notify(): First argument must be a string or an object with at least a "name" property');
+        this._send(this._encodeOutgoing({jsonrpc: '2.0', method: name, params: args}));
+    }
+
+    _sendSubscribe(subscription) {
+        const {topic, params} = subscription;
+        this.call(this.subscribeMethod, topic, params).catch(this._wrapListener(error => {
+            if (!this[PRIVATE].subscriptions.has(subscription) ||
+                error instanceof ConnectionLostError ||
+                error instanceof NotConnectedError
+            ) {
+                return; // unsubscribed in the meantime, or the call will be made again on the next connection
+            }
+
+            this.emit('subscriptionError', error, {topic, params});
+        }));
+    }
+
+    _dispatchSubscriptionNotification(topic, args) {
+        for (const subscription of this[PRIVATE].subscriptions) {
+            if (subscription.topic === topic) {
+                this._wrapListener(subscription.handler)(...args);
+            }
+        }
+    }
+
+    _handleOnOpenFail(error) {
+        this.emit('onOpenFail', error);
+        this.closeConnection(this.onOpenFailCloseCode, 'onOpen hook failed');
+    }
+
+    _handleReady() {
+        const {currentUrl} = this[PRIVATE];
+        this._setState(connectionState.READY, 'ready');
+        this[PRIVATE].reconnectHistory = [];
+        this._clearConnectTimeoutTimer();
+        this._flushOfflineQueue();
+
+        this._startHeartbeat();
+
+        for (const subscription of this[PRIVATE].subscriptions) {
+            this._sendSubscribe(subscription);
+        }
+
+        this.emit('ready', {url: currentUrl});
     }
 
     _handleWebSocketError(errorOrEvent) {
@@ -784,16 +3223,51 @@ class WebSocketClient extends EventEmitter {
     }
 
     _handleWebSocketMessage(data) {
-        if (typeof data === 'string') {
-            // sent as an unicode string
-            this.rpc.write(data, 'utf8');
+        this[PRIVATE].lastMessageAt = this[PRIVATE].clock.now();
+        this[PRIVATE].stats.messageReceived(typeof data === 'string' ? Buffer.byteLength(data, 'utf8') : data.byteLength);
+
+        let message;
+        try {
+            message = decodeMessage(data, this[PRIVATE].connectionCodec);
+        }
+        catch (error) {
+            sendParseError(this.rpc, error).catch(this._wrapListener(err => this.emit('error', err)));
+            return;
+        }
+
+        if (!Array.isArray(message) || !message.length) { // jsonbird responds to an empty array with an "Invalid Request" error
+            this.rpc.write(toRpcObject(message));
+            return;
+        }
+
+        // the responses to the requests within the batch are collected by _collectIncomingBatchResponse()
+        const batch = readBatch(message);
+        // encoded right away, like the responses which are collected later on
+        batch.responses = batch.responses.map(object => this._encodeOutgoing(object));
+        if (batch.pendingCount) {
+            this[PRIVATE].incomingBatches.push(batch);
         }
         else {
-            // sent as binary data (event.data is ArrayBuffer)
-            this.rpc.write(Buffer.from(data));
+            this._handleRpcBatchData(batch.responses);
+        }
+
+        for (const object of batch.objects) {
+            this.rpc.write(object);
+        }
+
+        for (const error of batch.errors) {
+            this.rpc.emit('protocolError', error);
         }
     }
 
+    _collectIncomingBatchResponse(object, message) {
+        const batch = collectBatchResponse(this[PRIVATE].incomingBatches, object, message);
+        if (batch && !batch.pendingCount) {
+            this._handleRpcBatchData(batch.responses);
+        }
+        return Boolean(batch);
+    }
+
     _clearReconnectTimer() {
         if (this[PRIVATE].reconnectTimer) {
             this.rpc.clearTimeout(this[PRIVATE].reconnectTimer);
@@ -801,6 +3275,13 @@ class WebSocketClient extends EventEmitter {
         this[PRIVATE].reconnectTimer = null;
     }
 
+    _clearFailbackTimer() {
+        if (this[PRIVATE].failbackTimer) {
+            this.rpc.clearTimeout(this[PRIVATE].failbackTimer);
+        }
+        this[PRIVATE].failbackTimer = null;
+    }
+
     _clearConnectTimeoutTimer() {
         if (this[PRIVATE].connectTimeoutTimer) {
             this.rpc.clearTimeout(this[PRIVATE].connectTimeoutTimer);
@@ -808,30 +3289,135 @@ class WebSocketClient extends EventEmitter {
         this[PRIVATE].connectTimeoutTimer = null;
     }
 
+    _attachEnvironment() {
+        const {environment} = this[PRIVATE];
+        this._detachEnvironment();
+        if (!environment) {
+            return;
+        }
+
+        const resume = this._wrapListener(() => this.reconnectNow());
+        this[PRIVATE].detachEnvironment = environment.attach({
+            online: resume,
+            offline: this._wrapListener(() => this._handleEnvironmentOffline()),
+            visible: resume,
+        });
+    }
+
+    _detachEnvironment() {
+        const {detachEnvironment} = this[PRIVATE];
+        this[PRIVATE].detachEnvironment = null;
+        if (detachEnvironment) {
+            detachEnvironment();
+        }
+    }
+
+    _handleEnvironmentOffline() {
+        if (this[PRIVATE].state !== connectionState.WAITING_TO_RECONNECT) {
+            return; // an open connection is monitored using pings instead
+        }
+
+        this._clearReconnectTimer();
+        this[PRIVATE].reconnectAt = Infinity;
+    }
+
+    _checkReconnectBudget({code, reason}) {
+        const {reconnectHistory, currentUrl} = this[PRIVATE];
+        const {maxReconnectAttempts, maxReconnectDuration} = this;
+        const now = this[PRIVATE].clock.now();
+        reconnectHistory.push(Object.freeze({url: currentUrl, code, reason, time: now}));
+
+        // the first entry is the lost connection (or the initial connection attempt), every other entry is a failed reconnect attempt
+        const attempts = reconnectHistory.length - 1;
+        const duration = now - reconnectHistory[0].time;
+        const exceeded =
+            (attempts >= maxReconnectAttempts && 'maxReconnectAttempts') ||
+            (duration >= maxReconnectDuration && 'maxReconnectDuration');
+
+        if (!exceeded) {
+            return null;
+        }
+
+        this[PRIVATE].reconnectHistory = [];
+        return {reason: exceeded, attempts, duration, history: Object.freeze(reconnectHistory)};
+    }
+
+    _resolveCloseCodeAction(info) {
+        try {
+            return resolveCloseCodeAction(this[PRIVATE].closeCodeRules, info);
+        }
+        catch (err) {
+            this.emit('error', err);
+            return null;
+        }
+    }
+
     _webSocketClosed({code, reason, closedByRemote}) {
         /* istanbul ignore if */
         if (this[PRIVATE].hasHandledWebSocketClose) {
             return;
         }
         this[PRIVATE].activeWebSocket = null;
+        this[PRIVATE].connectAttempt = null;
+        this[PRIVATE].protocol = null;
         this._clearConnectTimeoutTimer();
+        this._clearFailbackTimer();
 
-        this.rpc.pause();
-        this.rpc.stopPinging();
+        if (!this[PRIVATE].hasOpened && this.started) {
+            this._handleConnectFailure();
+        }
+
+        this._stopHeartbeat();
+        this._resumeSending(); // the remaining messages are handled according to the offlinePolicy
+        this[PRIVATE].stats.disconnected(this[PRIVATE].clock.now());
+        this._failInFlightCalls({code, reason, closedByRemote});
+
+        const policyAction = this.started && this.reconnect && closedByRemote
+            ? this._resolveCloseCodeAction({code, reason})
+            : null;
+        if (policyAction && !policyAction.reconnect) {
+            this[PRIVATE].started = false;
+        }
+
+        const reconnectFailed = this.started && this.reconnect ? this._checkReconnectBudget({code, reason}) : null;
+        if (reconnectFailed) {
+            this[PRIVATE].started = false;
+        }
 
         if (this.started && this.reconnect) {
             const {reconnectCounterMax, reconnectDelayCallback} = this;
-            const {reconnectCounter} = this[PRIVATE];
-            const reconnectDelay = reconnectDelayCallback(reconnectCounter);
+            const {reconnectCounter, environment} = this[PRIVATE];
+            // reconnect attempts are suspended until the environment reports that the network is back online
+            const suspended = Boolean(environment) && !environment.isOnline();
+            let reconnectDelay = policyAction && policyAction.reconnectDelay !== null
+                ? policyAction.reconnectDelay
+                : reconnectDelayCallback(reconnectCounter, {random: () => this[PRIVATE].clock.random()});
+            if (suspended) {
+                reconnectDelay = Infinity;
+            }
             this[PRIVATE].reconnectCounter = Math.min(reconnectCounter + 1, reconnectCounterMax);
+            this[PRIVATE].stats.reconnect(code);
             this._clearReconnectTimer();
-            this[PRIVATE].reconnectTimer = this.rpc.setTimeout(() => this._connect(), reconnectDelay, reconnectTimerId);
+            if (!suspended) {
+                this[PRIVATE].reconnectTimer = this.rpc.setTimeout(
+                    this._wrapListener(() => this._connect('reconnect')),
+                    reconnectDelay,
+                    reconnectTimerId,
+                );
+            }
+            this[PRIVATE].reconnectAt = this[PRIVATE].clock.now() + reconnectDelay;
+            this._setState(connectionState.WAITING_TO_RECONNECT, 'close', {code, reason, closedByRemote, reconnectDelay});
 
             this.emit('webSocketClose', {code, reason, closedByRemote, reconnect: true, reconnectDelay});
         }
         else {
+            this._setState(connectionState.STOPPED, 'close', {code, reason, closedByRemote});
             this.stop();
             this.emit('webSocketClose', {code, reason, closedByRemote, reconnect: false});
+
+            if (reconnectFailed) {
+                this.emit('reconnectFailed', reconnectFailed);
+            }
         }
 
         this[PRIVATE].hasHandledWebSocketClose = true;
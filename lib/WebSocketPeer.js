@@ -0,0 +1,321 @@
+'use strict';
+const JSONBird = require('jsonbird');
+const {EventEmitter} = require('events');
+
+const closeCodes = require('./closeCodes');
+const {decodeMessage, encodeMessage, sendParseError, toRpcObject, readBatch, collectBatchResponse} = require('./codec');
+const readyState = require('./readyState');
+const {webSocketPeerPrivate: PRIVATE} = require('./symbols');
+
+class WebSocketPeer extends EventEmitter {
+    /**
+     * This event is fired if an uncaught error occurred while handling this peer
+     *
+     * @event WebSocketPeer#error
+     * @param {Error} error
+     */
+
+    /**
+     * This event is fired if this peer sent us something that we were unable to parse.
+     *
+     * @event WebSocketPeer#protocolError
+     * @param {Error} error
+     */
+
+    /**
+     * The WebSocket API raised an error.
+     *
+     * @event WebSocketPeer#webSocketError
+     * @param {ws.ErrorEvent} error
+     */
+
+    /**
+     * The WebSocket connection of this peer has been (half) closed by either side. All pending calls to this peer are rejected
+     * and the peer can not be used anymore.
+     *
+     * @event WebSocketPeer#close
+     * @param {{code: number, reason: string, closedByRemote: boolean}} info
+     */
+
+    /**
+     * A peer is created by `WebSocketServer` for each accepted connection, you should not have to construct this class yourself.
+     *
+     * @param {object} opts
+     * @param {number} opts.id
+     * @param {WebSocket} opts.webSocket An open WebSocket, as emitted by the "connection" event of `ws.Server`
+     * @param {http.IncomingMessage} [opts.httpRequest] The HTTP GET request that initiated the WebSocket upgrade
+     * @param {number} [opts.internalErrorCloseCode=4101]
+     * @param {?Object} [opts.codec] The codec which has been negotiated for this connection (see `WebSocketServer#codecs`)
+     * @param {object} [opts.jsonbird] Options passed to the [JSONBird constructor](https://www.npmjs.com/package/jsonbird#new_JSONBird_new)
+     */
+    constructor({id, webSocket, httpRequest = null, internalErrorCloseCode = 4101, codec = null, jsonbird = {}}) {
+        super();
+
+        this[PRIVATE] = Object.seal({
+            id,
+            webSocket,
+            httpRequest,
+            internalErrorCloseCode,
+            codec,
+            closed: false,
+            incomingBatches: [],
+        });
+
+        const rpc = new JSONBird(Object.assign({}, jsonbird, {
+            writableMode: 'object', // incoming messages are decoded by _handleWebSocketMessage()
+            readableMode: 'object', // outgoing messages are encoded by _handleRpcData()
+        }));
+
+        Object.defineProperty(this, 'rpc', {enumerable: true, value: rpc});
+
+        this.rpc.on('error', this._wrapListener((...args) => this._handleRpcError(...args)));
+        this.rpc.on('data', this._wrapListener((...args) => this._handleRpcData(...args)));
+
+        // note: the error event might stop the node.js process, so make
+        // sure _handleRpcError has been called first
+        this.rpc.on('error', err => this.emit('error', err));
+        this.rpc.on('protocolError', err => this.emit('protocolError', err));
+
+        webSocket.binaryType = 'arraybuffer';
+        webSocket.addEventListener('error', this._wrapListener(errorOrEvent => this.emit('webSocketError', errorOrEvent)));
+        webSocket.addEventListener('close', this._wrapListener(e => this._handleWebSocketClose(e.code, e.reason)));
+        webSocket.addEventListener('message', this._wrapListener(e => this._handleWebSocketMessage(e.data)));
+    }
+
+    /**
+     * A number which uniquely identifies this peer within its `WebSocketServer`
+     * @return {number}
+     */
+    get id() {
+        return this[PRIVATE].id;
+    }
+
+    /**
+     * The WebSocket belonging to this peer
+     * @return {WebSocket}
+     */
+    get webSocket() {
+        return this[PRIVATE].webSocket;
+    }
+
+    /**
+     * The HTTP GET request that initiated the WebSocket upgrade, if it was given to the server
+     * @return {?http.IncomingMessage}
+     */
+    get httpRequest() {
+        return this[PRIVATE].httpRequest;
+    }
+
+    /**
+     * The codec which is used for the messages of this peer, or `null` if JSON text is used
+     * @return {?{protocol: string, encode: function, decode: function}}
+     */
+    get codec() {
+        return this[PRIVATE].codec;
+    }
+
+    /**
+     * Returns `true` if the WebSocket of this peer is still open
+     * @return {boolean}
+     */
+    get isOpen() {
+        return !this[PRIVATE].closed && this.webSocket.readyState === readyState.OPEN;
+    }
+
+    /**
+     * Registers a new method with the given name, which can only be called by this peer.
+     *
+     * Methods registered on this peer take precedence over methods registered on the `WebSocketServer`
+     *
+     * @param {string} name The method name
+     * @param {Function} func
+     */
+    method(name, func) {
+        this.rpc.method(name, func);
+    }
+
+    /**
+     * Registers multiple methods using an object or Map, which can only be called by this peer.
+     *
+     * @param {Object|Map} objectOrMap
+     */
+    methods(objectOrMap) {
+        this.rpc.methods(objectOrMap);
+    }
+
+    /**
+     * Registers a notification with the given name, which can only be called by this peer.
+     *
+     * @param {string} name The method name
+     * @param {Function} func
+     */
+    notification(name, func) {
+        this.rpc.notification(name, func);
+    }
+
+    /**
+     * Registers multiple notifications using an object or Map, which can only be called by this peer.
+     *
+     * @param {Object|Map} objectOrMap
+     */
+    notifications(objectOrMap) {
+        this.rpc.notifications(objectOrMap);
+    }
+
+    /**
+     * Call a method on this peer.
+     *
+     * @param {string|Object} nameOrOptions The method name or an options object
+     * @param {string} nameOrOptions.name The method name
+     * @param {number} nameOrOptions.timeout A maximum time (in milliseconds) to wait for a response. The returned promise will reject
+     * after this time.
+     * @param {...*} args
+     *
+     * @return {Promise} A Promise which will resole with the return value of the remote method
+     */
+    async call(nameOrOptions, ...args) {
+        return await this.rpc.call(nameOrOptions, ...args);
+    }
+
+    /**
+     * Returns a new function which calls the given method name on this peer.
+     *
+     * @param {string|Object} nameOrOptions The method name or an options object
+     * @param {string} nameOrOptions.name The method name
+     * @param {number} nameOrOptions.timeout A maximum time (in milliseconds) to wait for a response. The returned promise will reject
+     *                 after this time.
+     * @return {Function}
+     */
+    bindCall(nameOrOptions) {
+        return this.rpc.bindCall(nameOrOptions);
+    }
+
+    /**
+     * Execute a notification on this peer.
+     *
+     * @param {string|Object} nameOrOptions The method name or an options object
+     * @param {string} nameOrOptions.name The method name
+     * @param {...*} args
+     *
+     * @return {Promise}
+     */
+    async notify(nameOrOptions, ...args) {
+        return await this.rpc.notify(nameOrOptions, ...args);
+    }
+
+    /**
+     * Returns a new function which sends a notification with the given method name to this peer.
+     *
+     * @param {string|Object} nameOrOptions The method name or an options object
+     * @param {string} nameOrOptions.name The method name
+     * @return {Function}
+     */
+    bindNotify(nameOrOptions) {
+        return this.rpc.bindNotify(nameOrOptions);
+    }
+
+    /**
+     * Close the WebSocket connection of this peer.
+     *
+     * @param {number} [code=1000]
+     * @param {string} [reason='Normal Closure'] Must be 123 bytes or less (utf8)
+     * @return {boolean} `false` if this peer had already been closed
+     */
+    close(code = closeCodes.NORMAL, reason = 'Normal Closure') {
+        if (this[PRIVATE].closed) {
+            return false;
+        }
+
+        this.webSocket.close(code, reason);
+        this._webSocketClosed({code, reason, closedByRemote: false});
+        return true;
+    }
+
+    _wrapListener(func) {
+        return (...args) => {
+            try {
+                func(...args);
+            }
+            catch (err) {
+                this.emit('error', err);
+            }
+        };
+    }
+
+    _handleRpcError(err) {
+        this.close(this[PRIVATE].internalErrorCloseCode, 'Internal JSON-RPC error');
+    }
+
+    _handleRpcData(object) {
+        if (!this._collectIncomingBatchResponse(object)) {
+            this._send(object);
+        }
+    }
+
+    _send(object) {
+        // responses for calls which were still running while the connection closed, are dropped
+        if (this.isOpen) {
+            this.webSocket.send(encodeMessage(object, this.codec));
+        }
+    }
+
+    _handleWebSocketClose(code, reason) {
+        this._webSocketClosed({code, reason, closedByRemote: true});
+    }
+
+    _handleWebSocketMessage(data) {
+        let message;
+        try {
+            message = decodeMessage(data, this.codec);
+        }
+        catch (error) {
+            sendParseError(this.rpc, error).catch(this._wrapListener(err => this.emit('error', err)));
+            return;
+        }
+
+        if (!Array.isArray(message) || !message.length) { // jsonbird responds to an empty array with an "Invalid Request" error
+            this.rpc.write(toRpcObject(message));
+            return;
+        }
+
+        // the responses to the requests within the batch are collected by _collectIncomingBatchResponse()
+        const batch = readBatch(message);
+        if (batch.pendingCount) {
+            this[PRIVATE].incomingBatches.push(batch);
+        }
+        else if (batch.responses.length) {
+            this._send(batch.responses);
+        }
+
+        for (const object of batch.objects) {
+            this.rpc.write(object);
+        }
+
+        for (const error of batch.errors) {
+            this.rpc.emit('protocolError', error);
+        }
+    }
+
+    _collectIncomingBatchResponse(object) {
+        const batch = collectBatchResponse(this[PRIVATE].incomingBatches, object);
+        if (batch && !batch.pendingCount) {
+            this._send(batch.responses);
+        }
+        return Boolean(batch);
+    }
+
+    _webSocketClosed({code, reason, closedByRemote}) {
+        if (this[PRIVATE].closed) {
+            return;
+        }
+        this[PRIVATE].closed = true;
+
+        this.rpc.stopPinging();
+        // finishing the writable side rejects all of our pending calls
+        this.rpc.end();
+
+        this.emit('close', {code, reason, closedByRemote});
+    }
+}
+
+module.exports = WebSocketPeer;
@@ -0,0 +1,300 @@
+'use strict';
+const {EventEmitter} = require('events');
+
+const closeCodes = require('./closeCodes');
+const {assert, assertValidOutgoingCloseCode} = require('./assert');
+const {assertValidCodec} = require('./codec');
+const WebSocketPeer = require('./WebSocketPeer');
+const {webSocketServerPrivate: PRIVATE} = require('./symbols');
+
+const DEFAULT_OPTIONS = Object.freeze({
+    jsonbird: {},
+    webSocketServer: null,
+    internalErrorCloseCode: 4101,
+    codecs: [],
+});
+
+class WebSocketServer extends EventEmitter {
+    /**
+     * This event is fired if an uncaught error occurred
+     *
+     * Note that if you do not listen for this event on node.js, your process might exit.
+     *
+     * @event WebSocketServer#error
+     * @param {Error} error
+     * @param {?WebSocketPeer} peer The peer that was being handled when the error occurred
+     */
+
+    /**
+     * This event is fired if a peer sent us something that we were unable to parse.
+     *
+     * @event WebSocketServer#protocolError
+     * @param {Error} error
+     * @param {WebSocketPeer} peer
+     */
+
+    /**
+     * A new WebSocket connection has been accepted. All methods and notifications registered on this server are available to the
+     * peer, and the peer can be used to call methods on the client.
+     *
+     * @example
+     * server.on('connection', peer => {
+     *   peer.call('hello', 'world').then(result => console.log(result));
+     * });
+     *
+     * @event WebSocketServer#connection
+     * @param {WebSocketPeer} peer
+     */
+
+    /**
+     * The WebSocket connection of a peer has been closed by either side. All pending calls to this peer have been rejected.
+     *
+     * @event WebSocketServer#disconnect
+     * @param {WebSocketPeer} peer
+     * @param {{code: number, reason: string, closedByRemote: boolean}} info
+     */
+
+    /**
+     * @param {object} [opts] The effect of these options are documented at the getter/setter with the same name
+     * @param {ws.Server} [opts.webSocketServer] If set, `attach()` is called with this value
+     * @param {number} [opts.internalErrorCloseCode=4101]
+     * @param {Array<{protocol: string, encode: function, decode: function}>} [opts.codecs=[]]
+     * @param {object} [opts.jsonbird] Options passed to the [JSONBird constructor](https://www.npmjs.com/package/jsonbird#new_JSONBird_new)
+     *        of every peer
+     */
+    constructor(opts = {}) {
+        super();
+        const options = Object.assign({}, DEFAULT_OPTIONS, opts);
+
+        this[PRIVATE] = Object.seal({
+            // settings
+            jsonbird: Object.freeze(Object.assign({}, options.jsonbird)),
+            internalErrorCloseCode: 0,
+            codecs: [],
+
+            // state
+            registrations: [],
+            peers: new Set(),
+            nextPeerId: 1,
+            webSocketServer: null,
+            connectionListener: null,
+        });
+
+        this.internalErrorCloseCode = options.internalErrorCloseCode;
+        this.codecs = options.codecs;
+
+        if (options.webSocketServer) {
+            this.attach(options.webSocketServer);
+        }
+    }
+
+    /**
+     * The close code to send to a peer when its connection is going to be closed because an `error` event was raised
+     * by the node.js stream api or jsonbird.
+     * @param {number} value `1000` or in the range `3000` and `4999` inclusive
+     */
+    set internalErrorCloseCode(value) {
+        const number = Number(value);
+        assertValidOutgoingCloseCode(number, 'Invalid value for internalErrorCloseCode:');
+        this[PRIVATE].internalErrorCloseCode = number;
+    }
+
+    /**
+     * The close code to send to a peer when its connection is going to be closed because an `error` event was raised
+     * by the node.js stream api or jsonbird.
+     * @return {number} `1000` or in the range `3000` and `4999` inclusive
+     */
+    get internalErrorCloseCode() {
+        return this[PRIVATE].internalErrorCloseCode;
+    }
+
+    /**
+     * The codecs (such as MessagePack or CBOR) which this server supports in addition to JSON text. A codec is used for a
+     * connection if the client has requested its `protocol` as a WebSocket subprotocol, and the `ws.Server` has agreed on it.
+     * Use `handleProtocols()` for the latter. See `WebSocketClient#codec` for details.
+     *
+     * A change to this value is applied to new connections.
+     *
+     * @param {Array<{protocol: string, encode: function, decode: function}>} value
+     */
+    set codecs(value) {
+        assert(Array.isArray(value), 'Invalid value for codecs: Must be an array');
+        value.forEach(codec => assertValidCodec(codec, 'Invalid value for codecs:'));
+        this[PRIVATE].codecs = Object.freeze(value.slice());
+    }
+
+    /**
+     * The codecs (such as MessagePack or CBOR) which this server supports in addition to JSON text. A codec is used for a
+     * connection if the client has requested its `protocol` as a WebSocket subprotocol, and the `ws.Server` has agreed on it.
+     * Use `handleProtocols()` for the latter. See `WebSocketClient#codec` for details.
+     *
+     * A change to this value is applied to new connections.
+     *
+     * @return {Array<{protocol: string, encode: function, decode: function}>}
+     */
+    get codecs() {
+        return this[PRIVATE].codecs;
+    }
+
+    /**
+     * All peers which are currently connected
+     * @return {WebSocketPeer[]}
+     */
+    get peers() {
+        return [...this[PRIVATE].peers];
+    }
+
+    /**
+     * Pick the subprotocol to agree on, from the subprotocols requested by a client. This function is meant to be used as the
+     * `handleProtocols` option of `ws.Server`, so that a client which requests the `protocol` of one of our `codecs` will use it.
+     *
+     * @example
+     * const wsServer = new WebSocket.Server({server: httpServer, handleProtocols: protocols => server.handleProtocols(protocols)});
+     *
+     * @param {Iterable<string>} protocols The subprotocols requested by the client, in order of preference
+     * @return {string} The protocol of a supported codec, or an empty string if none of them is supported (`ws.Server` then accepts
+     *         the connection without a subprotocol, and JSON text is used)
+     */
+    handleProtocols(protocols) {
+        const protocol = [...protocols].find(protocol => this.codecs.some(codec => codec.protocol === protocol));
+        return protocol === undefined ? '' : protocol;
+    }
+
+    /**
+     * Start accepting connections from the given `ws.Server` (or any other EventEmitter which emits "connection" events with
+     * the same arguments).
+     *
+     * @param {ws.Server} webSocketServer
+     */
+    attach(webSocketServer) {
+        assert(!this[PRIVATE].webSocketServer, 'attach(): Already attached to a WebSocket server');
+        const listener = this._wrapListener((webSocket, httpRequest) => this.handleConnection(webSocket, httpRequest));
+        webSocketServer.on('connection', listener);
+        this[PRIVATE].webSocketServer = webSocketServer;
+        this[PRIVATE].connectionListener = listener;
+    }
+
+    /**
+     * Stop accepting new connections from the `ws.Server` given to `attach()`. Existing connections are left open.
+     */
+    detach() {
+        const {webSocketServer, connectionListener} = this[PRIVATE];
+        if (webSocketServer) {
+            webSocketServer.removeListener('connection', connectionListener);
+        }
+        this[PRIVATE].webSocketServer = null;
+        this[PRIVATE].connectionListener = null;
+    }
+
+    /**
+     * Start handling JSON-RPC messages for the given WebSocket. This method is called automatically for connections from the
+     * `ws.Server` given to `attach()`, but it can also be used directly.
+     *
+     * @param {WebSocket} webSocket An open WebSocket
+     * @param {http.IncomingMessage} [httpRequest]
+     * @return {WebSocketPeer}
+     */
+    handleConnection(webSocket, httpRequest = null) {
+        const {peers, registrations} = this[PRIVATE];
+        const peer = new WebSocketPeer({
+            id: this[PRIVATE].nextPeerId++,
+            webSocket,
+            httpRequest,
+            internalErrorCloseCode: this.internalErrorCloseCode,
+            codec: this.codecs.find(codec => codec.protocol === webSocket.protocol) || null,
+            jsonbird: this[PRIVATE].jsonbird,
+        });
+
+        for (const registration of registrations) {
+            registration(peer.rpc);
+        }
+
+        peer.on('error', err => this.emit('error', err, peer));
+        peer.on('protocolError', err => this.emit('protocolError', err, peer));
+        peer.on('close', info => {
+            peers.delete(peer);
+            this.emit('disconnect', peer, info);
+        });
+        peers.add(peer);
+
+        this.emit('connection', peer);
+        return peer;
+    }
+
+    /**
+     * Registers a new method with the given name, for all current and future peers.
+     *
+     * If the same method name is registered multiple times, earlier definitions will be overridden
+     *
+     * @param {string} name The method name
+     * @param {Function} func
+     */
+    method(name, func) {
+        this._register(rpc => rpc.method(name, func));
+    }
+
+    /**
+     * Registers multiple methods using an object or Map, for all current and future peers.
+     *
+     * Each key->value pair is registered as a method.
+     * Values that are not a function are ignored.
+     * The `this` object during a method call is set to the `objectOrMap` (unless a Map was used)
+     *
+     * @param {Object|Map} objectOrMap
+     */
+    methods(objectOrMap) {
+        this._register(rpc => rpc.methods(objectOrMap));
+    }
+
+    /**
+     * Registers a notification with the given name, for all current and future peers.
+     *
+     * @param {string} name The method name
+     * @param {Function} func
+     */
+    notification(name, func) {
+        this._register(rpc => rpc.notification(name, func));
+    }
+
+    /**
+     * Registers multiple notifications using an object or Map, for all current and future peers.
+     *
+     * @param {Object|Map} objectOrMap
+     */
+    notifications(objectOrMap) {
+        this._register(rpc => rpc.notifications(objectOrMap));
+    }
+
+    /**
+     * Stop accepting new connections (see `detach()`) and close the connections of all peers.
+     *
+     * @param {number} [code=1000]
+     * @param {string} [reason='Normal Closure'] Must be 123 bytes or less (utf8)
+     */
+    close(code = closeCodes.NORMAL, reason = 'Normal Closure') {
+        this.detach();
+        for (const peer of this.peers) {
+            peer.close(code, reason);
+        }
+    }
+
+    _wrapListener(func) {
+        return (...args) => {
+            try {
+                func(...args);
+            }
+            catch (err) {
+                this.emit('error', err, null);
+            }
+        };
+    }
+
+    _register(registration) {
+        this[PRIVATE].registrations.push(registration);
+        for (const peer of this[PRIVATE].peers) {
+            registration(peer.rpc);
+        }
+    }
+}
+
+module.exports = WebSocketServer;
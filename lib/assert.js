@@ -0,0 +1,16 @@
+'use strict';
+
+const assert = (condition, message) => {
+    if (!condition) {
+        throw Error(message);
+    }
+};
+
+// The browser API only accepts these numbers for webSocket.close() (see HTML whatwg spec)
+// The ws library for node.js supports more close codes, however we void those to ensure compatability
+const assertValidOutgoingCloseCode = (number, message) => assert(
+    Number.isInteger(number) && (number === 1000 || (number >= 3000 && number <= 4999)),
+    `${message} Invalid close code (${number}). It must be 1000 or in the range 3000 and 4999 inclusive`
+);
+
+module.exports = {assert, assertValidOutgoingCloseCode};
@@ -0,0 +1,51 @@
+'use strict';
+const {assert} = require('./assert');
+
+/**
+ * A clock provides the time, timers and random numbers for `WebSocketClient` (see its `clock` option). Replacing the clock makes
+ * all time-based behaviour deterministic, see `VirtualClock`.
+ *
+ * @private
+ */
+
+/**
+ * The default clock, using the global timer functions, `Date.now()` and `Math.random()`
+ */
+const systemClock = Object.freeze({
+    now: () => Date.now(),
+    setTimeout: (func, delay) => setTimeout(func, delay),
+    clearTimeout: id => clearTimeout(id),
+    random: () => Math.random(),
+});
+
+const CLOCK_FUNCTIONS = Object.freeze(['now', 'setTimeout', 'clearTimeout', 'random']);
+
+/**
+ * @param {*} clock
+ * @param {string} message Prefix for assertion errors
+ */
+const assertValidClock = (clock, message) => {
+    assert(clock !== null && typeof clock === 'object', `${message} clock must be an object`);
+    for (const name of CLOCK_FUNCTIONS) {
+        assert(typeof clock[name] === 'function', `${message} clock.${name} must be a function`);
+    }
+};
+
+/**
+ * A pseudo random number generator (mulberry32), which returns the same sequence of numbers for the same seed
+ *
+ * @param {number} seed An integer
+ * @return {function(): number} Returns a number between 0 (inclusive) and 1 (exclusive)
+ */
+const createSeededRandom = seed => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+module.exports = {systemClock, assertValidClock, createSeededRandom};
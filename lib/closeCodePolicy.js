@@ -0,0 +1,75 @@
+'use strict';
+const {assert} = require('./assert');
+
+/**
+ * Helpers for the `closeCodePolicy` option of WebSocketClient.
+ *
+ * A policy maps close codes (e.g. "1008") or inclusive ranges of close codes (e.g. "4000-4099") to an action:
+ *
+ * * "stop" - Stop the client, no new connection will be made
+ * * "reconnect" - Reconnect after the delay returned by `reconnectDelayCallback`
+ * * "reconnect-after <ms>" - Reconnect after the given amount of milliseconds, e.g. "reconnect-after 30000"
+ * * A function which is called with `{code, reason}` and returns one of the above strings
+ *
+ * @private
+ */
+
+const ACTION_PATTERN = /^(?:stop|reconnect|reconnect-after (\d+))$/;
+const KEY_PATTERN = /^\s*(\d+)\s*(?:-\s*(\d+)\s*)?$/;
+
+const parseAction = (action, message) => {
+    const match = ACTION_PATTERN.exec(action);
+    assert(
+        typeof action === 'string' && match,
+        `${message} Must be "stop", "reconnect", "reconnect-after <ms>" or a function`,
+    );
+
+    if (action === 'stop') {
+        return Object.freeze({reconnect: false, reconnectDelay: null});
+    }
+    return Object.freeze({reconnect: true, reconnectDelay: match[1] === undefined ? null : Number(match[1])});
+};
+
+/**
+ * @param {Object} value The value passed to the `closeCodePolicy` setter
+ * @return {Array<{from: number, to: number, action: (Object|function)}>} Rules with exact codes before ranges
+ */
+const parseCloseCodePolicy = value => {
+    assert(value !== null && typeof value === 'object', 'closeCodePolicy must be an object');
+    const exact = [];
+    const ranges = [];
+
+    for (const key of Object.keys(value)) {
+        const match = KEY_PATTERN.exec(key);
+        assert(match, `Invalid closeCodePolicy key "${key}": Must be a close code or a range of close codes (e.g. "4000-4099")`);
+        const from = Number(match[1]);
+        const to = match[2] === undefined ? from : Number(match[2]);
+        assert(from <= to, `Invalid closeCodePolicy key "${key}": The start of the range must not be greater than the end`);
+
+        const action = typeof value[key] === 'function'
+            ? value[key]
+            : parseAction(value[key], `Invalid closeCodePolicy action for "${key}":`);
+        (match[2] === undefined ? exact : ranges).push(Object.freeze({from, to, action}));
+    }
+
+    return Object.freeze(exact.concat(ranges));
+};
+
+/**
+ * @param {Array} rules The result of `parseCloseCodePolicy()`
+ * @param {{code: number, reason: string}} info
+ * @return {?{reconnect: boolean, reconnectDelay: ?number}} `null` if no rule matched
+ */
+const resolveCloseCodeAction = (rules, {code, reason}) => {
+    const rule = rules.find(({from, to}) => code >= from && code <= to);
+    if (!rule) {
+        return null;
+    }
+
+    if (typeof rule.action === 'function') {
+        return parseAction(rule.action({code, reason}), `The closeCodePolicy function for ${code} returned an invalid action:`);
+    }
+    return rule.action;
+};
+
+module.exports = {parseCloseCodePolicy, resolveCloseCodeAction};
@@ -28,7 +28,19 @@ const PROTOCOL_ERROR = 1002;
 const UNSUPPORTED_DATA = 1003;
 
 // 1004 is reserved
-// 1005 and 1006 may be used as internal status codes, but it must never be sent over the connection
+
+/**
+ * 1005 indicates that no status code was actually present in the close frame. It must never be sent over the connection.
+ * @type {number}
+ */
+const NO_STATUS_RECEIVED = 1005;
+
+/**
+ * 1006 indicates that the connection was closed abnormally, e.g., without sending or receiving a close frame (such as a failed
+ * connection attempt or a dropped network connection). It must never be sent over the connection.
+ * @type {number}
+ */
+const ABNORMAL_CLOSURE = 1006;
 
 /**
  * 1007 indicates that an endpoint is terminating the connection because it has received data within a message that was not
@@ -68,24 +80,86 @@ const MANDATORY_EXTENSION = 1010;
 const INTERNAL_ERROR = 1011;
 
 /**
- *
+ * 1012 indicates that the service is restarted. A client may reconnect, and if it chooses to do so, should reconnect using a
+ * randomized delay of 5 - 30s.
  * @type {number}
  */
 const SERVICE_RESTART = 1012;
 
 /**
- *
+ * 1013 indicates that the service is experiencing overload. A client should only connect to a different IP (when there are multiple
+ * for the target) or reconnect to the same IP upon user action.
  * @type {number}
  */
 const TRY_AGAIN_LATER = 1013;
 
 // also, 4000-4999 is for private use
 
+const DESCRIPTIONS = new Map([
+    [NORMAL, 'Normal Closure'],
+    [GOING_AWAY, 'Going Away'],
+    [PROTOCOL_ERROR, 'Protocol Error'],
+    [UNSUPPORTED_DATA, 'Unsupported Data'],
+    [NO_STATUS_RECEIVED, 'No Status Received'],
+    [ABNORMAL_CLOSURE, 'Abnormal Closure'],
+    [INVALID_PAYLOAD_DATA, 'Invalid Payload Data'],
+    [POLICY_VIOLATION, 'Policy Violation'],
+    [MESSAGE_TOO_BIG, 'Message Too Big'],
+    [MANDATORY_EXTENSION, 'Mandatory Extension'],
+    [INTERNAL_ERROR, 'Internal Error'],
+    [SERVICE_RESTART, 'Service Restart'],
+    [TRY_AGAIN_LATER, 'Try Again Later'],
+]);
+
+// sending the same messages again to the same endpoint will result in the same close code
+const NOT_RETRYABLE = new Set([
+    PROTOCOL_ERROR,
+    UNSUPPORTED_DATA,
+    INVALID_PAYLOAD_DATA,
+    POLICY_VIOLATION,
+    MESSAGE_TOO_BIG,
+    MANDATORY_EXTENSION,
+]);
+
+/**
+ * Determine if it is useful to reconnect after the connection has been closed with the given code. This is not the case for codes
+ * which indicate that the endpoint rejected what we sent (e.g. POLICY_VIOLATION or MESSAGE_TOO_BIG), because a new connection would
+ * most likely be closed for the same reason.
+ *
+ * @param {number} code
+ * @return {boolean}
+ */
+const isRetryable = code => !NOT_RETRYABLE.has(code);
+
+/**
+ * Return a human readable description of a close code, for example to use in log messages.
+ *
+ * @example
+ * closeCodes.describe(1008); // 'Policy Violation'
+ * closeCodes.describe(4123); // 'Private Use'
+ * @param {number} code
+ * @return {string}
+ */
+const describe = code => {
+    if (DESCRIPTIONS.has(code)) {
+        return DESCRIPTIONS.get(code);
+    }
+    if (code >= 3000 && code <= 3999) {
+        return 'Registered';
+    }
+    if (code >= 4000 && code <= 4999) {
+        return 'Private Use';
+    }
+    return 'Unknown';
+};
+
 module.exports = Object.freeze({
     NORMAL,
     GOING_AWAY,
     PROTOCOL_ERROR,
     UNSUPPORTED_DATA,
+    NO_STATUS_RECEIVED,
+    ABNORMAL_CLOSURE,
     INVALID_PAYLOAD_DATA,
     POLICY_VIOLATION,
     MESSAGE_TOO_BIG,
@@ -93,4 +167,6 @@ module.exports = Object.freeze({
     INTERNAL_ERROR,
     SERVICE_RESTART,
     TRY_AGAIN_LATER,
+    isRetryable,
+    describe,
 });
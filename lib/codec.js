@@ -0,0 +1,240 @@
+'use strict';
+const JSONBird = require('jsonbird');
+
+const {assert} = require('./assert');
+
+/**
+ * Helpers for converting between WebSocket messages and JSON-RPC objects.
+ *
+ * Text frames always contain JSON. Binary frames contain JSON (utf8) unless a codec has been negotiated for the connection, in which
+ * case the codec is used for binary frames in both directions. A codec is an object with the following properties:
+ *
+ * * "protocol" - The WebSocket subprotocol name which identifies this codec during the opening handshake, e.g. "jsonrpc.msgpack"
+ * * "encode" - A function which converts a JSON-RPC object (or an array of objects for a batch) to a Buffer or Uint8Array
+ * * "decode" - A function which converts a Buffer back to a JSON-RPC object (or an array of objects)
+ *
+ * @private
+ */
+
+const assertValidCodec = (codec, message) => assert(
+    codec !== null && typeof codec === 'object' &&
+    typeof codec.protocol === 'string' && codec.protocol.length > 0 &&
+    typeof codec.encode === 'function' && typeof codec.decode === 'function',
+    `${message} A codec must be an object with a "protocol" string and the functions "encode" and "decode"`,
+);
+
+/**
+ * @param {string|ArrayBuffer|Buffer} data The data of a WebSocket message event
+ * @param {?Object} codec The codec negotiated for the connection
+ * @return {*} The decoded message
+ * @throws {JSONBird.RPCRequestError} A "Parse error" if the message could not be decoded
+ */
+const decodeMessage = (data, codec) => {
+    if (typeof data === 'string') {
+        // sent as an unicode string
+        try {
+            return JSON.parse(data);
+        }
+        catch (err) {
+            throw new JSONBird.RPCRequestError(Error(`JSONBird: Error parsing your JSON string: ${err.message}`), -32700);
+        }
+    }
+
+    // sent as binary data (event.data is ArrayBuffer)
+    const buffer = Buffer.from(data);
+    if (!codec) {
+        return decodeMessage(buffer.toString('utf8'), null);
+    }
+
+    try {
+        return codec.decode(buffer);
+    }
+    catch (err) {
+        throw new JSONBird.RPCRequestError(Error(`Error decoding your "${codec.protocol}" message: ${err.message}`), -32700);
+    }
+};
+
+/**
+ * @param {Object|Object[]} object A JSON-RPC object (or an array of objects for a batch) emitted by JSONBird
+ * @param {?Object} codec The codec negotiated for the connection
+ * @return {string|Buffer|Uint8Array} The data to pass to `webSocket.send()`
+ */
+const encodeMessage = (object, codec) => (codec ? codec.encode(object) : JSON.stringify(object));
+
+/**
+ * Combine messages which have already been encoded (possibly using a different codec) into the data for a single WebSocket message
+ *
+ * @param {Object|Object[]} messages An object with the properties `frame` (the result of `encodeMessage()`) and `codec`, or an array
+ *        of such objects which is sent as a batch
+ * @param {?Object} codec The codec negotiated for the connection
+ * @return {string|Buffer|Uint8Array} The data to pass to `webSocket.send()`
+ */
+const joinMessages = (messages, codec) => {
+    if (!Array.isArray(messages)) {
+        const {frame, codec: messageCodec} = messages;
+        return messageCodec === codec ? frame : encodeMessage(decodeMessage(frame, messageCodec), codec);
+    }
+
+    if (!codec) {
+        return `[${messages.map(message => joinMessages(message, null)).join(',')}]`;
+    }
+    return codec.encode(messages.map(({frame, codec: messageCodec}) => decodeMessage(frame, messageCodec)));
+};
+
+/**
+ * @param {string|Buffer|Uint8Array} message The result of `encodeMessage()`
+ * @return {number}
+ */
+const messageByteLength = message => (typeof message === 'string' ? Buffer.byteLength(message, 'utf8') : message.byteLength);
+
+/**
+ * Respond to a message which could not be decoded, the same way JSONBird responds to invalid JSON
+ *
+ * @param {JSONBird} rpc
+ * @param {JSONBird.RPCRequestError} error
+ * @return {Promise}
+ */
+const sendParseError = (rpc, error) => rpc.sendObject({
+    jsonrpc: '2.0',
+    error: JSONBird.errorToResponseObject(error),
+    id: null,
+})
+.then(() => {
+    rpc.emit('protocolError', error);
+});
+
+/**
+ * JSONBird is only able to handle a single JSON-RPC object, anything else results in an "Invalid Request" error response
+ * @param {*} value
+ * @return {Object}
+ */
+const toRpcObject = value => (value !== null && typeof value === 'object' && !Array.isArray(value) ? value : {});
+
+const invalidRequest = message => new JSONBird.RPCRequestError(Error(`JSONBird: Invalid Request: ${message}`), -32600);
+
+/**
+ * Check an object within an incoming batch the same way JSONBird checks the objects written to it
+ *
+ * @param {*} value
+ * @return {?JSONBird.RPCRequestError} The error JSONBird would respond with, or `null` if the object is valid
+ */
+const batchEntryError = value => {
+    const object = toRpcObject(value);
+    if (!('method' in object)) {
+        return 'result' in object || 'error' in object
+            ? null // a response, JSONBird handles it without responding
+            : new JSONBird.RPCRequestError(Error(
+                'JSONBird: Unable to determine if the message was a request or response object (one of the "method", ' +
+                '"result" or "error" properties must be present)',
+            ), -32600);
+    }
+
+    if (!('jsonrpc' in object)) {
+        return invalidRequest('"jsonrpc" attribute is missing (JSON-RPC version 1 is not supported)');
+    }
+
+    if (!JSONBird.isValidVersion(object.jsonrpc)) {
+        return invalidRequest('given "jsonrpc" version is not supported');
+    }
+
+    if (!JSONBird.isValidMethodName(object.method)) {
+        return new JSONBird.RPCRequestError(Error('JSONBird: Method not found: "method" attribute must be a string'), -32601);
+    }
+
+    if ('params' in object && !JSONBird.isValidParams(object.params)) {
+        return invalidRequest('"params" must be an array or object');
+    }
+
+    if ('id' in object && !JSONBird.isValidID(object.id)) {
+        return invalidRequest('"id" must be a number or a string');
+    }
+
+    return null;
+};
+
+/**
+ * JSONBird does not understand batches either, so every valid object within a batch is written to JSONBird separately. The responses
+ * to the requests within the batch must then be collected (see `collectBatchResponse()`), to send them back as a single array. The
+ * invalid objects are answered here, so that their error responses are part of that array too.
+ *
+ * @param {Array} batch An incoming batch, which must not be empty
+ * @return {{
+ *     objects: Object[],
+ *     errors: JSONBird.RPCRequestError[],
+ *     responses: Object[],
+ *     pendingIds: Map<string|number, number>,
+ *     pendingCount: number
+ * }}
+ *         The valid objects to write to JSONBird, the errors to emit as "protocolError", the error responses and the number of
+ *         responses which are still expected (per request id, a batch might contain the same id more than once)
+ */
+const readBatch = batch => {
+    const result = {objects: [], errors: [], responses: [], pendingIds: new Map(), pendingCount: 0};
+
+    for (const value of batch) {
+        const error = batchEntryError(value);
+        const {id} = toRpcObject(value);
+
+        if (error) {
+            result.errors.push(error);
+            result.responses.push({
+                jsonrpc: '2.0',
+                error: JSONBird.errorToResponseObject(error),
+                id: JSONBird.isValidID(id) ? id : null,
+            });
+            continue;
+        }
+
+        if ('method' in value && 'id' in value) {
+            result.pendingIds.set(id, (result.pendingIds.get(id) || 0) + 1);
+            ++result.pendingCount;
+        }
+        result.objects.push(value);
+    }
+
+    return result;
+};
+
+/**
+ * @param {Array} incomingBatches The results of `readBatch()` which are still waiting for responses
+ * @param {Object} object A response emitted by JSONBird
+ * @param {*} [response=object] What to add to the `responses` of the batch, for example the encoded form of `object`
+ * @return {?Object} The incoming batch, if `object` belongs to it. Its `pendingCount` is 0 if all of its responses have been collected.
+ */
+const collectBatchResponse = (incomingBatches, object, response = object) => {
+    if (Array.isArray(object) || object.method !== undefined) {
+        return null;
+    }
+
+    const batch = incomingBatches.find(batch => batch.pendingIds.has(object.id));
+    if (!batch) {
+        return null;
+    }
+
+    const count = batch.pendingIds.get(object.id) - 1;
+    if (count) {
+        batch.pendingIds.set(object.id, count);
+    }
+    else {
+        batch.pendingIds.delete(object.id);
+    }
+    --batch.pendingCount;
+    batch.responses.push(response);
+
+    if (!batch.pendingCount) {
+        incomingBatches.splice(incomingBatches.indexOf(batch), 1);
+    }
+    return batch;
+};
+
+module.exports = {
+    assertValidCodec,
+    decodeMessage,
+    encodeMessage,
+    joinMessages,
+    messageByteLength,
+    sendParseError,
+    toRpcObject,
+    readBatch,
+    collectBatchResponse,
+};
@@ -0,0 +1,9 @@
+'use strict';
+module.exports = Object.freeze({
+    STOPPED: 'stopped',
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    READY: 'ready',
+    CLOSING: 'closing',
+    WAITING_TO_RECONNECT: 'waiting-to-reconnect',
+});
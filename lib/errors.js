@@ -0,0 +1,60 @@
+'use strict';
+
+/**
+ * A call or notification could not be sent because there is no open connection and the `offlinePolicy` does not allow it to be
+ * queued, or because it has been dropped from the offline queue before a connection was available. This error is also used when
+ * waiting for a connection failed.
+ */
+class NotConnectedError extends Error {
+    /**
+     * @param {string} message
+     * @param {string} reason The reason the message could not be sent: "offline", "maxCount", "maxBytes" or "maxAge". Or the reason
+     *        waiting for a connection failed: "stopped" or "timeout"
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'NotConnectedError';
+        this.reason = reason;
+    }
+}
+
+/**
+ * A call has been sent to the remote instance, but the WebSocket connection was closed before a response was received.
+ */
+class ConnectionLostError extends Error {
+    /**
+     * @param {string} message
+     * @param {{code: number, reason: string, closedByRemote: boolean}} info Details of the closed connection
+     */
+    constructor(message, {code, reason, closedByRemote}) {
+        super(message);
+        this.name = 'ConnectionLostError';
+        this.code = code;
+        this.reason = reason;
+        this.closedByRemote = closedByRemote;
+    }
+}
+
+/**
+ * The params or the result of a method call did not match the JSON Schema registered for that method (see the `callSchemas` option
+ * and the `schemas` argument of `method()`). For incoming calls this error is sent to the remote instance as the JSON-RPC error
+ * response.
+ */
+class SchemaValidationError extends Error {
+    /**
+     * @param {string} message
+     * @param {{method: string, target: string, errors: Array}} info `target` is "params" or "result", `errors` contains the errors
+     *        reported by the schema validator
+     */
+    constructor(message, {method, target, errors}) {
+        super(message);
+        this.name = 'SchemaValidationError';
+        this.code = target === 'params' ? -32602 : -32603; // "Invalid params" or "Internal error"
+        this.data = {method, target, errors};
+        this.method = method;
+        this.target = target;
+        this.errors = errors;
+    }
+}
+
+module.exports = {NotConnectedError, ConnectionLostError, SchemaValidationError};
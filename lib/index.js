@@ -1,7 +1,23 @@
 'use strict';
 
 const WebSocketClient = require('./WebSocketClient');
+const WebSocketServer = require('./WebSocketServer');
+const WebSocketPeer = require('./WebSocketPeer');
+const BrowserEnvironment = require('./BrowserEnvironment');
 const closeCodes = require('./closeCodes');
+const connectionState = require('./connectionState');
+const {NotConnectedError, ConnectionLostError, SchemaValidationError} = require('./errors');
 const readyState = require('./readyState');
 
-module.exports = {WebSocketClient, closeCodes, readyState};
+module.exports = {
+    WebSocketClient,
+    WebSocketServer,
+    WebSocketPeer,
+    BrowserEnvironment,
+    closeCodes,
+    connectionState,
+    readyState,
+    NotConnectedError,
+    ConnectionLostError,
+    SchemaValidationError,
+};
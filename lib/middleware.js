@@ -0,0 +1,75 @@
+'use strict';
+
+/**
+ * Helpers for the middleware registered using `WebSocketClient#use()`.
+ *
+ * A middleware is a function which is called with a context object and a `next` function. The context describes the request:
+ *
+ * * "direction" - "outgoing" for `call()` and `notify()`, "incoming" for requests which are about to be handled by our registered
+ *   methods and notifications
+ * * "type" - "call" or "notification"
+ * * "method" - The method name, which may be modified
+ * * "params" - An array of parameters, which may be modified or replaced
+ * * "options" - A copy of the options object passed to `call()` or `notify()` (or `null`), which may be modified
+ *
+ * Calling `next()` passes the request on to the next middleware (or the actual request), it returns a Promise for the result.
+ *
+ * @private
+ */
+
+/**
+ * @param {string} direction "outgoing" or "incoming"
+ * @param {string} type "call" or "notification"
+ * @param {string|Object} nameOrOptions
+ * @param {Array} params
+ * @return {{direction: string, type: string, method: string, params: Array, options: ?Object}}
+ */
+const createContext = (direction, type, nameOrOptions, params) => {
+    const options = nameOrOptions !== null && typeof nameOrOptions === 'object' ? Object.assign({}, nameOrOptions) : null;
+    const method = options ? options.name : nameOrOptions;
+    if (options) {
+        delete options.name;
+    }
+    return {direction, type, method, params, options};
+};
+
+/**
+ * @param {{method: string, options: ?Object}} context
+ * @return {string|Object} The first argument for `call()` or `notify()`
+ */
+const contextToNameOrOptions = ({method, options}) => (options ? Object.assign({}, options, {name: method}) : method);
+
+/**
+ * Run all the middleware in order, the last `next()` calls `handler`. Middleware which calls `next()` before awaiting anything
+ * causes `handler` to be called synchronously, so that requests made within a batch are still part of that batch.
+ *
+ * @param {function[]} middleware
+ * @param {Object} context
+ * @param {function} handler Called with the context after all middleware has called `next()`
+ * @return {Promise}
+ */
+const runMiddleware = (middleware, context, handler) => {
+    const stack = middleware.slice();
+    let lastIndex = -1;
+
+    const dispatch = index => {
+        if (index <= lastIndex) {
+            return Promise.reject(Error('Middleware: next() has been called multiple times'));
+        }
+        lastIndex = index;
+
+        try {
+            if (index === stack.length) {
+                return Promise.resolve(handler(context));
+            }
+            return Promise.resolve(stack[index](context, () => dispatch(index + 1)));
+        }
+        catch (err) {
+            return Promise.reject(err);
+        }
+    };
+
+    return dispatch(0);
+};
+
+module.exports = {createContext, contextToNameOrOptions, runMiddleware};
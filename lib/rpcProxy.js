@@ -0,0 +1,73 @@
+'use strict';
+const JSONBird = require('jsonbird');
+
+/**
+ * Creates the Proxy objects returned by `WebSocketClient#proxy()`.
+ *
+ * Every property access returns a new Proxy with the property name appended to the method name, calling such a Proxy performs
+ * the method call (or notification). The following properties are special:
+ *
+ * * "$notify" - Send notifications instead of method calls
+ * * "$options" - A function which returns a new Proxy for the same method name, with additional options for `call()` or `notify()`
+ *
+ * @private
+ */
+
+// these properties are looked up by the runtime (e.g. to resolve a Promise, or to convert to a string), they are never method names
+const IGNORED_PROPERTIES = new Set(['then', 'catch', 'finally', 'toJSON', 'inspect', 'constructor']);
+
+const isAllowed = (list, name) => !list || list.includes(name);
+
+/**
+ * @param {WebSocketClient} client
+ * @param {Object} state
+ * @param {string} state.path The method name so far, e.g. "users" or "users.get"
+ * @param {string} state.type "call" or "notification"
+ * @param {?Object} state.options
+ * @param {?Array<string>} state.methods The method names which may be called
+ * @param {?Array<string>} state.notifications The notification names which may be sent
+ * @return {Proxy}
+ */
+const createRpcProxy = (client, state) => {
+    const {path, type, options, methods, notifications} = state;
+    const withState = change => createRpcProxy(client, Object.assign({}, state, change));
+
+    const invoke = (...args) => {
+        const nameOrOptions = options ? Object.assign({}, options, {name: path}) : path;
+        if (type === 'notification') {
+            if (!isAllowed(notifications, path)) {
+                return Promise.reject(new JSONBird.RPCRequestError(Error(`proxy(): Unknown notification "${path}"`), -32601));
+            }
+            return client.notify(nameOrOptions, ...args);
+        }
+
+        if (!isAllowed(methods, path)) {
+            return Promise.reject(new JSONBird.RPCRequestError(Error(`proxy(): Method not found "${path}"`), -32601));
+        }
+        return client.call(nameOrOptions, ...args);
+    };
+
+    return new Proxy(invoke, {
+        get: (target, property) => {
+            if (typeof property === 'symbol' || IGNORED_PROPERTIES.has(property)) {
+                return undefined;
+            }
+
+            if (property === '$notify') {
+                return withState({type: 'notification'});
+            }
+
+            if (property === '$options') {
+                return extraOptions => withState({options: Object.assign({}, options, extraOptions)});
+            }
+
+            return withState({path: path ? `${path}.${property}` : property});
+        },
+        has: () => false,
+        set: () => false,
+        deleteProperty: () => false,
+        defineProperty: () => false,
+    });
+};
+
+module.exports = createRpcProxy;
@@ -0,0 +1,63 @@
+'use strict';
+const {assert} = require('./assert');
+const {SchemaValidationError} = require('./errors');
+
+/**
+ * Helpers for validating the params and results of method calls using JSON Schema.
+ *
+ * This library does not include a JSON Schema implementation. The `compileSchema` option of WebSocketClient converts a schema to a
+ * validate function, which returns `true` for a valid value. Otherwise it returns `false` and sets its `errors` property to an array
+ * of errors. This is the same interface as the functions returned by `ajv.compile()`.
+ *
+ * @private
+ */
+
+const describeError = error => {
+    if (error !== null && typeof error === 'object') {
+        const path = error.instancePath || error.dataPath || '';
+        return `${path ? `${path} ` : ''}${error.message}`;
+    }
+    return String(error);
+};
+
+/**
+ * @param {?function} compileSchema
+ * @param {{paramsSchema: *, resultSchema: *}} schemas
+ * @param {string} message Prefix for assertion errors
+ * @return {{validateParams: ?function, validateResult: ?function}}
+ */
+const compileSchemas = (compileSchema, {paramsSchema, resultSchema}, message) => {
+    const compile = schema => {
+        if (schema === undefined || schema === null) {
+            return null;
+        }
+        assert(typeof compileSchema === 'function', `${message} The compileSchema option must be set to use a JSON Schema`);
+        const validate = compileSchema(schema);
+        assert(typeof validate === 'function', `${message} compileSchema() must return a function`);
+        return validate;
+    };
+
+    return Object.freeze({
+        validateParams: compile(paramsSchema),
+        validateResult: compile(resultSchema),
+    });
+};
+
+/**
+ * @param {?function} validate The result of `compileSchemas()`
+ * @param {*} value
+ * @param {string} method
+ * @param {string} target "params" or "result"
+ * @throws {SchemaValidationError}
+ */
+const assertValidSchema = (validate, value, method, target) => {
+    if (!validate || validate(value)) {
+        return;
+    }
+
+    const errors = Array.isArray(validate.errors) ? validate.errors.slice() : [];
+    const details = errors.length ? `: ${errors.map(describeError).join(', ')}` : '';
+    throw new SchemaValidationError(`Invalid ${target} for "${method}"${details}`, {method, target, errors});
+};
+
+module.exports = {compileSchemas, assertValidSchema};
@@ -2,5 +2,21 @@
 module.exports = Object.freeze({
     connectTimeoutTimerId: Symbol('jsonbird-websocket CONNECT_TIMEOUT_TIMER'),
     reconnectTimerId: Symbol('jsonbird-websocket RECONNECT_TIMER'),
+    offlineQueueTimerId: Symbol('jsonbird-websocket OFFLINE_QUEUE_TIMER'),
+    failbackTimerId: Symbol('jsonbird-websocket FAILBACK_TIMER'),
+    waitTimerId: Symbol('jsonbird-websocket WAIT_TIMER'),
+    heartbeatTimerId: Symbol('jsonbird-websocket HEARTBEAT_TIMER'),
+    drainTimerId: Symbol('jsonbird-websocket DRAIN_TIMER'),
     webSocketClientPrivate: Symbol('jsonbird-websocket WebSocketClient Private'),
+    webSocketServerPrivate: Symbol('jsonbird-websocket WebSocketServer Private'),
+    webSocketPeerPrivate: Symbol('jsonbird-websocket WebSocketPeer Private'),
+    offlineQueuePrivate: Symbol('jsonbird-websocket OfflineQueue Private'),
+    webSocketBatchPrivate: Symbol('jsonbird-websocket WebSocketBatch Private'),
+    connectionStatsPrivate: Symbol('jsonbird-websocket ConnectionStats Private'),
+    browserEnvironmentPrivate: Symbol('jsonbird-websocket BrowserEnvironment Private'),
+    trafficRecorderPrivate: Symbol('jsonbird-websocket TrafficRecorder Private'),
+    replayServerPrivate: Symbol('jsonbird-websocket ReplayServer Private'),
+    fakeWebSocketPrivate: Symbol('jsonbird-websocket FakeWebSocket Private'),
+    fakeJsonRpcPeerPrivate: Symbol('jsonbird-websocket FakeJsonRpcPeer Private'),
+    virtualClockPrivate: Symbol('jsonbird-websocket VirtualClock Private'),
 });
@@ -0,0 +1,16 @@
+'use strict';
+
+const FakeWebSocket = require('./FakeWebSocket');
+const FakeJsonRpcPeer = require('./FakeJsonRpcPeer');
+const TrafficRecorder = require('./TrafficRecorder');
+const ReplayServer = require('./ReplayServer');
+const VirtualClock = require('./VirtualClock');
+
+// available as require('jsonbird-websocket/testing')
+module.exports = {
+    FakeWebSocket,
+    FakeJsonRpcPeer,
+    TrafficRecorder,
+    ReplayServer,
+    VirtualClock,
+};
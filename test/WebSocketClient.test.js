@@ -1,17 +1,35 @@
 'use strict';
 const {describe, it, beforeEach, afterEach} = require('mocha-sugar-free');
-const {assert, assert: {strictEqual: eq, throws, deepEqual: deq, lengthOf}} = require('chai');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
 const sinon = require('sinon');
+const {EventEmitter} = require('events');
 
 const Wait = require('./utilities/Wait');
-const {WebSocketClient} = require('../');
+const {
+    WebSocketClient,
+    BrowserEnvironment,
+    NotConnectedError,
+    ConnectionLostError,
+    SchemaValidationError,
+    connectionState,
+    closeCodes,
+} = require('../');
 const symbols = require('../lib/symbols');
+const {systemClock} = require('../lib/clock');
+const testing = require('../testing');
 const {webSocketClientMock, WS_MOCK_STATE} = require('./utilities/webSocketMock');
 
+const {TrafficRecorder, ReplayServer} = testing;
+
+chai.use(chaiAsPromised);
+const {assert, assert: {strictEqual: eq, throws, deepEqual: deq, lengthOf, isRejected, match}} = chai;
+
 const delay = delay => new Promise(r => setTimeout(r, delay));
 
 const ALL_EVENT_NAMES = new Set([
     'error', 'protocolError', 'webSocketConnecting', 'webSocketOpen', 'pingSuccess', 'pingFail', 'webSocketError', 'webSocketClose',
+    'offlineMessageDropped', 'ready', 'onOpenFail', 'subscriptionError', 'reconnectFailed', 'drain',
 ]);
 
 describe('WebSocketClient', () => {
@@ -30,6 +48,34 @@ describe('WebSocketClient', () => {
             eq(rpc.defaultTimeout, 0);
             eq(rpc.pingInterval, 2000);
             eq(rpc.pingTimeout, 1000);
+            deq(rpc.offlinePolicy, {mode: 'queue', maxCount: Infinity, maxBytes: Infinity, maxAge: Infinity});
+            eq(rpc.failoverAttempts, 2);
+            eq(rpc.failbackDelay, 300000);
+            eq(rpc.currentUrl, null);
+            eq(rpc.urlCallback, null);
+            eq(rpc.onOpen, null);
+            eq(rpc.onOpenFailCloseCode, 4102);
+            eq(rpc.subscribeMethod, 'subscribe');
+            eq(rpc.unsubscribeMethod, 'unsubscribe');
+            deq(rpc.subscriptions, []);
+            eq(rpc.state, 'stopped');
+            eq(rpc.reconnectDelayRemaining, 0);
+            eq(rpc.codec, null);
+            deq(rpc.protocols, []);
+            eq(rpc.protocol, null);
+            eq(rpc.heartbeat, 'rpc');
+            deq(rpc.closeCodePolicy, {1003: 'stop', 1008: 'stop'});
+            eq(rpc.maxReconnectAttempts, Infinity);
+            eq(rpc.maxReconnectDuration, Infinity);
+            eq(rpc.environment, null);
+            eq(rpc.compileSchema, null);
+            deq(rpc.callSchemas, {});
+            eq(rpc.clock, systemClock);
+            eq(rpc.sendHighWaterMark, Infinity);
+            eq(rpc.sendLowWaterMark, 0);
+            eq(rpc.drainCheckInterval, 50);
+            eq(rpc.backpressure, 'buffer');
+            eq(rpc.sendingPaused, false);
         });
 
         it('Should set option passed to the constructor', () => {
@@ -41,6 +87,7 @@ describe('WebSocketClient', () => {
                 timeoutCloseCode: 4123,
                 internalErrorCloseCode: 4987,
                 reconnectCounterMax: 21,
+                offlinePolicy: 'reject',
                 jsonbird: {
                     receiveErrorStack: true,
                     sendErrorStack: true,
@@ -61,6 +108,7 @@ describe('WebSocketClient', () => {
             eq(rpc.defaultTimeout, 59983);
             eq(rpc.pingInterval, 5082);
             eq(rpc.pingTimeout, 5982);
+            deq(rpc.offlinePolicy, {mode: 'reject', maxCount: Infinity, maxBytes: Infinity, maxAge: Infinity});
         });
     });
 
@@ -90,6 +138,14 @@ describe('WebSocketClient', () => {
             test('defaultTimeout', 59983);
             test('pingInterval', 5082);
             test('pingTimeout', 5982);
+            test('failoverAttempts', 3);
+            test('failbackDelay', Infinity);
+            test('urlCallback', async () => 'ws://example.com');
+            test('urlCallback', null);
+            test('onOpen', async () => {});
+            test('onOpenFailCloseCode', 4999);
+            test('subscribeMethod', 'topic.subscribe');
+            test('unsubscribeMethod', 'topic.unsubscribe');
         });
 
         it('Should cast values to the proper type when setting', () => {
@@ -106,11 +162,55 @@ describe('WebSocketClient', () => {
             test('defaultTimeout', '59983', 59983);
             test('pingInterval', '5082', 5082);
             test('pingTimeout', '5982', 5982);
+            test('failoverAttempts', '3', 3);
+            test('failbackDelay', '1000', 1000);
+            test('sendHighWaterMark', '65536', 65536);
+            test('sendLowWaterMark', 1024);
+            test('drainCheckInterval', 100);
+            test('backpressure', 'wait');
+        });
+
+        it('Should accept a list of URLs or an URL provider', () => {
+            const urls = ['ws://a.example.com/', 'ws://b.example.com/'];
+            rpc.url = urls;
+            deq(rpc.url, urls);
+            assert(Object.isFrozen(rpc.url), 'url list should be frozen');
+            const provider = {getUrls: () => urls};
+            rpc.url = provider;
+            eq(rpc.url, provider);
+            throws(() => { rpc.url = []; }, Error, /url.*empty/i);
         });
 
         it('Should throw if the value can not be cast when setting', () => {
             throws(() => { rpc.createConnectionCallback = 'foo'; }, Error, /createConnectionCallback.*must.*function/i);
             throws(() => { rpc.reconnectDelayCallback = 'foo'; }, Error, /reconnectDelayCallback.*must.*function/i);
+            throws(() => { rpc.urlCallback = 'foo'; }, Error, /urlCallback.*must.*function/i);
+            throws(() => { rpc.onOpen = 'foo'; }, Error, /onOpen.*must.*function/i);
+            throws(() => { rpc.onOpenFailCloseCode = 1001; }, Error, /onOpenFailCloseCode.*invalid close code/i);
+            throws(() => { rpc.offlinePolicy = 'foo'; }, Error, /offlinePolicy\.mode.*must.*queue, reject, drop-notifications/i);
+            throws(() => { rpc.offlinePolicy = {maxAge: -1}; }, Error, /offlinePolicy\.maxAge.*must.*positive/i);
+            throws(() => { rpc.offlinePolicy = {maxCount: 'foo'}; }, Error, /offlinePolicy\.maxCount.*must.*positive/i);
+            throws(() => { rpc.codec = {protocol: 'foo', encode: () => null}; }, Error, /codec.*"encode" and "decode"/i);
+            throws(() => { rpc.protocols = ['foo', '']; }, Error, /protocols.*empty/i);
+            throws(() => { rpc.heartbeat = 'pong'; }, Error, /heartbeat.*rpc, websocket, passive/i);
+            throws(() => { rpc.sendHighWaterMark = -1; }, Error, /sendHighWaterMark must be a positive number/);
+            throws(() => { rpc.sendLowWaterMark = 'foo'; }, Error, /sendLowWaterMark must be a positive number/);
+            throws(() => { rpc.drainCheckInterval = 0; }, Error, /drainCheckInterval must be a positive finite number/);
+            throws(() => { rpc.backpressure = 'drop'; }, Error, /backpressure.*buffer, wait/i);
+            throws(() => { rpc.environment = {isOnline: () => true}; }, Error, /environment must be null or an object/);
+            throws(() => { rpc.callSchemas = {foo: {paramsSchema: {}}}; }, Error, /callSchemas for "foo".*compileSchema option/);
+            throws(() => rpc.method('foo', () => {}, {resultSchema: {}}), Error, /schema for "foo".*compileSchema option/);
+            throws(() => { rpc.closeCodePolicy = {abc: 'stop'}; }, Error, /closeCodePolicy key "abc"/);
+            throws(() => { rpc.closeCodePolicy = {'4999-4000': 'stop'}; }, Error, /closeCodePolicy key "4999-4000"/);
+            throws(() => { rpc.closeCodePolicy = {4000: 'reconnect-after soon'}; }, Error, /closeCodePolicy action for "4000"/);
+        });
+
+        it('Should normalize the offlinePolicy', () => {
+            rpc.offlinePolicy = 'drop-notifications';
+            deq(rpc.offlinePolicy, {mode: 'drop-notifications', maxCount: Infinity, maxBytes: Infinity, maxAge: Infinity});
+            rpc.offlinePolicy = {maxCount: '10', maxBytes: 2048, maxAge: 500};
+            deq(rpc.offlinePolicy, {mode: 'queue', maxCount: 10, maxBytes: 2048, maxAge: 500});
+            throws(() => { rpc.offlinePolicy.maxCount = 5; }, TypeError);
         });
     });
 
@@ -138,10 +238,14 @@ describe('WebSocketClient', () => {
                     reconnectTimer() {
                         return timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.reconnectTimerId);
                     },
+                    offlineQueue() {
+                        return timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.offlineQueueTimerId);
+                    },
                 },
             };
 
             rpc = new WebSocketClient({
+                url: 'ws://localhost/',
                 createConnectionCallback: wsMock,
                 jsonbird: {
                     setTimeout: timerMock.setTimeout,
@@ -218,7 +322,6 @@ describe('WebSocketClient', () => {
         };
 
         const replyToPings = async (ws, {withError}) => {
-            const wsMockState = ws[WS_MOCK_STATE];
 
             const calls = ws.send.getCalls();
             for (const call of calls) {
@@ -237,7 +340,7 @@ describe('WebSocketClient', () => {
                     else {
                         data.result = true;
                     }
-                    wsMockState.mockEvents.emit('message', {
+                    ws.dispatchEvent({
                         // (MessageEvent)
                         type: 'message',
                         data: JSON.stringify(data),
@@ -266,14 +369,18 @@ describe('WebSocketClient', () => {
             eq(ws.send.callCount, 0);
 
             wsMockState.open();
-            deq(events.ALL, [['webSocketConnecting', []], ['webSocketOpen', []]]);
+            deq(events.ALL, [
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
+            ]);
             eq(rpc.hasActiveConnection, true);
             await wsMockState.waitForSend.waitUntil(1);
             eq(ws.send.callCount, 1);
             const rpcMessage = JSON.parse(ws.send.args[0][0]);
             deq(rpcMessage, {jsonrpc: '2.0', id: rpcMessage.id, method: 'foo', params: [123]});
 
-            wsMockState.mockEvents.emit('message', {
+            ws.dispatchEvent({
                 // (MessageEvent)
                 type: 'message',
                 data: JSON.stringify({jsonrpc: '2.0', id: rpcMessage.id, result: 456}),
@@ -287,11 +394,12 @@ describe('WebSocketClient', () => {
             const wsMockState = ws[WS_MOCK_STATE];
             wsMockState.open();
 
-            rpc.call('foo', 123);
+            // (these calls are rejected by rpc.stop() in afterEach)
+            rpc.call('foo', 123).catch(() => {});
             await wsMockState.waitForSend.waitUntil(1);
             eq(ws.send.callCount, 1);
-            rpc.call('bar');
-            rpc.call('baz');
+            rpc.call('bar').catch(() => {});
+            rpc.call('baz').catch(() => {});
             await wsMockState.waitForSend.waitUntil(3);
             eq(ws.send.callCount, 3);
         });
@@ -303,19 +411,24 @@ describe('WebSocketClient', () => {
             const wsMockState1 = ws1[WS_MOCK_STATE];
             wsMockState1.open();
 
-            rpc.call('foo', 123);
+            const fooCall = rpc.call('foo', 123);
             await wsMockState1.waitForSend.waitUntil(1);
 
             wsMockState1.close(3294, 'bye bye');
+            const fooError = await isRejected(fooCall, ConnectionLostError, /"foo".*connection was closed/);
+            eq(fooError.code, 3294);
+            eq(fooError.reason, 'bye bye');
+            eq(fooError.closedByRemote, true);
             deq(events.ALL, [
-                ['webSocketConnecting', []],
-                ['webSocketOpen', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{closedByRemote: true, code: 3294, reason: 'bye bye', reconnect: false}]],
             ]);
             eq(rpc.hasActiveConnection, false);
             eq(rpc.started, false);
             eq(ws1.send.callCount, 1);
-            rpc.call('bar');
+            rpc.call('bar').catch(() => {});
             await delay(10);
             eq(ws1.send.callCount, 1, 'Must not send out data while closed');
 
@@ -342,24 +455,28 @@ describe('WebSocketClient', () => {
             const wsMockState1 = ws1[WS_MOCK_STATE];
             wsMockState1.open();
 
-            rpc.call('foo', 123);
+            const fooCall = rpc.call('foo', 123);
             await wsMockState1.waitForSend.waitUntil(1);
 
             rpc.stop();
+            const fooError = await isRejected(fooCall, ConnectionLostError);
+            eq(fooError.code, 1000);
+            eq(fooError.closedByRemote, false);
             eq(ws1.close.callCount, 1);
             deq(ws1.close.args, [[1000, 'Normal Closure']]);
 
             deq(events.ALL, [
-                ['webSocketConnecting', []],
-                ['webSocketOpen', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{closedByRemote: false, code: 1000, reason: 'Normal Closure', reconnect: false}]],
             ]);
 
             wsMockState1.close(1000, 'Normal Closure');
-            eq(events.ALL.length, 3, 'Must not emit the close event again');
+            eq(events.ALL.length, 4, 'Must not emit the close event again');
 
             eq(ws1.send.callCount, 1);
-            rpc.call('bar');
+            rpc.call('bar').catch(() => {});
             await delay(10);
             eq(ws1.send.callCount, 1, 'Must not send out data while closed');
 
@@ -389,7 +506,7 @@ describe('WebSocketClient', () => {
             eq(rpc.hasActiveConnection, false);
             eq(rpc.started, false);
             deq(events.ALL, [
-                ['webSocketConnecting', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{
                     closedByRemote: false,
                     code: 4100,
@@ -420,8 +537,9 @@ describe('WebSocketClient', () => {
 
             wsMockState1.close(3294, 'bye bye');
             deq(events.ALL, [
-                ['webSocketConnecting', []],
-                ['webSocketOpen', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{closedByRemote: true, code: 3294, reason: 'bye bye', reconnect: true, reconnectDelay: 1111}]],
             ]);
             eq(rpc.reconnectCounter, 1);
@@ -445,7 +563,7 @@ describe('WebSocketClient', () => {
             eq(rpc.hasActiveConnection, true);
             eq(rpc.started, true);
 
-            rpc.call('foo');
+            rpc.call('foo').catch(() => {});
             await wsMockState2.waitForSend.waitUntil(1);
             eq(ws1.send.callCount, 0, 'Must not send out data while closed');
             eq(ws2.send.callCount, 1);
@@ -453,11 +571,13 @@ describe('WebSocketClient', () => {
             // close & connect again
             wsMockState2.close(3001, 'bye bye!');
             deq(events.ALL, [
-                ['webSocketConnecting', []],
-                ['webSocketOpen', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{closedByRemote: true, code: 3294, reason: 'bye bye', reconnect: true, reconnectDelay: 1111}]],
-                ['webSocketConnecting', []],
-                ['webSocketOpen', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{closedByRemote: true, code: 3001, reason: 'bye bye!', reconnect: true, reconnectDelay: 2222}]],
             ]);
             eq(rpc.reconnectCounter, 2);
@@ -466,6 +586,246 @@ describe('WebSocketClient', () => {
             lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 2);
         });
 
+        describe('reconnect budget', () => {
+            beforeEach(() => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1111;
+            });
+
+            it('Should stop and emit reconnectFailed after maxReconnectAttempts failed attempts', async () => {
+                rpc.maxReconnectAttempts = 2;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1001, 'Restarting');
+                await invokeReconnectTimer();
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                eq(events.reconnectFailed.callCount, 0);
+                wsMock.getCall(2).returnValue[WS_MOCK_STATE].close(1006, 'Still down');
+
+                eq(rpc.started, false);
+                eq(rpc.state, 'stopped');
+                eq(events.webSocketClose.lastCall.args[0].reconnect, false);
+                lengthOf(events.reconnectFailed.args, 1);
+                const [info] = events.reconnectFailed.firstCall.args;
+                eq(info.reason, 'maxReconnectAttempts');
+                eq(info.attempts, 2);
+                deq(info.history.map(({url, code, reason}) => [url, code, reason]), [
+                    ['ws://localhost/', 1001, 'Restarting'],
+                    ['ws://localhost/', 1006, ''],
+                    ['ws://localhost/', 1006, 'Still down'],
+                ]);
+                lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 2);
+            });
+
+            it('Should reset the attempts once the connection is ready again', async () => {
+                rpc.maxReconnectAttempts = 1;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                eq(events.reconnectFailed.callCount, 0);
+                eq(rpc.started, true);
+            });
+
+            it('Should stop and emit reconnectFailed after maxReconnectDuration', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    rpc.maxReconnectDuration = 60000;
+                    rpc.start();
+                    wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                    wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                    clock.tick(59999);
+                    await invokeReconnectTimer();
+                    wsMock.getCall(1).returnValue[WS_MOCK_STATE].close(1006, '');
+                    eq(events.reconnectFailed.callCount, 0);
+                    clock.tick(1);
+                    await invokeReconnectTimer();
+                    wsMock.getCall(2).returnValue[WS_MOCK_STATE].close(1006, '');
+
+                    eq(rpc.started, false);
+                    const [info] = events.reconnectFailed.firstCall.args;
+                    eq(info.reason, 'maxReconnectDuration');
+                    eq(info.attempts, 2);
+                    eq(info.duration, 60000);
+                    deq(info.history.map(({time}) => time), [100000, 159999, 160000]);
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+
+            it('Should skip the reconnect delay using reconnectNow()', async () => {
+                eq(rpc.reconnectNow(), false);
+                rpc.start();
+                eq(rpc.reconnectNow(), false);
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                eq(rpc.state, 'waiting-to-reconnect');
+
+                eq(rpc.reconnectNow(), true);
+                eq(wsMock.callCount, 2);
+                eq(rpc.state, 'connecting');
+                const [reconnectTimer] = timerMock.setTimeoutCalls.reconnectTimer();
+                assert(timerMock.clearedTimers.has(reconnectTimer.returnValue), 'Should have cleared the reconnect timer');
+                eq(rpc.reconnectNow(), false);
+            });
+        });
+
+        describe('environment', () => {
+            let fakeWindow;
+            let fakeDocument;
+
+            const createEventTarget = properties => {
+                const emitter = new EventEmitter();
+                return Object.assign({
+                    addEventListener: sinon.spy((name, func) => emitter.on(name, func)),
+                    removeEventListener: sinon.spy((name, func) => emitter.removeListener(name, func)),
+                    dispatch: name => emitter.emit(name, {type: name}),
+                    listenerCount: () => emitter.eventNames().reduce((sum, name) => sum + emitter.listenerCount(name), 0),
+                }, properties);
+            };
+
+            beforeEach(() => {
+                fakeWindow = createEventTarget({navigator: {onLine: true}});
+                fakeDocument = createEventTarget({visibilityState: 'visible'});
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 25600;
+                rpc.environment = new BrowserEnvironment({window: fakeWindow, document: fakeDocument});
+            });
+
+            it('Should suspend reconnect attempts while offline and reconnect immediately once online', async () => {
+                rpc.start();
+                eq(fakeWindow.listenerCount(), 2);
+                eq(fakeDocument.listenerCount(), 1);
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+
+                fakeWindow.navigator.onLine = false;
+                fakeWindow.dispatch('offline');
+                eq(rpc.state, 'ready', 'an open connection should not be affected');
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                eq(rpc.state, 'waiting-to-reconnect');
+                eq(events.webSocketClose.lastCall.args[0].reconnectDelay, Infinity);
+                eq(rpc.reconnectDelayRemaining, Infinity);
+                lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 0);
+
+                fakeWindow.navigator.onLine = true;
+                fakeWindow.dispatch('online');
+                eq(wsMock.callCount, 2);
+                eq(rpc.state, 'connecting');
+            });
+
+            it('Should cancel the reconnect timer when going offline and reconnect when the page becomes visible', async () => {
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                const [reconnectTimer] = timerMock.setTimeoutCalls.reconnectTimer();
+                eq(reconnectTimer.args[1], 25600);
+
+                fakeWindow.dispatch('offline');
+                assert(timerMock.clearedTimers.has(reconnectTimer.returnValue), 'Should have cleared the reconnect timer');
+                eq(rpc.reconnectDelayRemaining, Infinity);
+
+                fakeDocument.visibilityState = 'hidden';
+                fakeDocument.dispatch('visibilitychange');
+                eq(wsMock.callCount, 1);
+                fakeDocument.visibilityState = 'visible';
+                fakeDocument.dispatch('visibilitychange');
+                eq(wsMock.callCount, 2);
+            });
+
+            it('Should stop listening to the environment after stop()', async () => {
+                rpc.start();
+                rpc.stop();
+                eq(fakeWindow.listenerCount(), 0);
+                eq(fakeDocument.listenerCount(), 0);
+                fakeWindow.dispatch('online');
+                eq(wsMock.callCount, 1);
+            });
+
+            it('Should require a window and document outside of browsers', () => {
+                throws(() => new BrowserEnvironment(), Error, /window object/);
+                throws(() => new BrowserEnvironment({window: fakeWindow}), Error, /document object/);
+            });
+        });
+
+        describe('closeCodePolicy', () => {
+            beforeEach(() => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1111;
+            });
+
+            it('Should stop reconnecting if the server closes with POLICY_VIOLATION by default', async () => {
+                rpc.start();
+                const wsMockState = wsMock.firstCall.returnValue[WS_MOCK_STATE];
+                wsMockState.open();
+                wsMockState.close(closeCodes.POLICY_VIOLATION, 'Go away');
+
+                deq(events.webSocketClose.args, [[{closedByRemote: true, code: 1008, reason: 'Go away', reconnect: false}]]);
+                eq(rpc.started, false);
+                eq(rpc.state, 'stopped');
+                lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 0);
+            });
+
+            it('Should use the action of the matching close code or range', async () => {
+                const rangeCallback = sinon.spy(({reason}) => (reason === 'Banned' ? 'stop' : 'reconnect'));
+                rpc.closeCodePolicy = {
+                    1013: 'reconnect-after 60000',
+                    '4000 - 4099': rangeCallback,
+                    4001: 'reconnect',
+                };
+                deq(Object.keys(rpc.closeCodePolicy), ['1013', '4001', '4000 - 4099']);
+                rpc.start();
+
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1013, 'Overloaded');
+                eq(events.webSocketClose.lastCall.args[0].reconnectDelay, 60000);
+                eq((await invokeReconnectTimer()).args[1], 60000);
+
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].close(1008, 'Not in this policy');
+                eq(events.webSocketClose.lastCall.args[0].reconnectDelay, 1111);
+                await invokeReconnectTimer();
+
+                wsMock.getCall(2).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(2).returnValue[WS_MOCK_STATE].close(4001, 'Banned');
+                eq(events.webSocketClose.lastCall.args[0].reconnect, true, 'the exact code must take precedence over the range');
+                lengthOf(rangeCallback.args, 0);
+                await invokeReconnectTimer();
+
+                wsMock.getCall(3).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(3).returnValue[WS_MOCK_STATE].close(4050, 'Banned');
+                deq(rangeCallback.args, [[{code: 4050, reason: 'Banned'}]]);
+                eq(events.webSocketClose.lastCall.args[0].reconnect, false);
+                eq(rpc.started, false);
+            });
+
+            it('Should not use the policy if the connection has been closed by this client', async () => {
+                rpc.closeCodePolicy = {4100: 'stop'};
+                rpc.timeoutCloseCode = 4100;
+                rpc.start();
+                wsMock.firstCall.returnValue[WS_MOCK_STATE].open();
+                rpc.closeConnection(4100, 'Timeout');
+                eq(events.webSocketClose.lastCall.args[0].reconnect, true);
+                eq(rpc.started, true);
+            });
+        });
+
+        it('Should describe close codes and determine if they are retryable', () => {
+            eq(closeCodes.describe(1008), 'Policy Violation');
+            eq(closeCodes.describe(closeCodes.ABNORMAL_CLOSURE), 'Abnormal Closure');
+            eq(closeCodes.describe(3001), 'Registered');
+            eq(closeCodes.describe(4123), 'Private Use');
+            eq(closeCodes.describe(2000), 'Unknown');
+            eq(closeCodes.isRetryable(closeCodes.GOING_AWAY), true);
+            eq(closeCodes.isRetryable(closeCodes.ABNORMAL_CLOSURE), true);
+            eq(closeCodes.isRetryable(4123), true);
+            eq(closeCodes.isRetryable(closeCodes.POLICY_VIOLATION), false);
+            eq(closeCodes.isRetryable(closeCodes.MESSAGE_TOO_BIG), false);
+        });
+
         it('Should reconnect after a closed connection if reconnect=true and raise the reconnectCounter', async () => {
             rpc.reconnect = true;
             rpc.connectTimeout = 29875;
@@ -559,8 +919,9 @@ describe('WebSocketClient', () => {
 
             rpc.closeConnection(3294, 'bye bye');
             deq(events.ALL, [
-                ['webSocketConnecting', []],
-                ['webSocketOpen', []],
+                ['webSocketConnecting', [{url: 'ws://localhost/'}]],
+                ['webSocketOpen', [{url: 'ws://localhost/', protocol: ''}]],
+                ['ready', [{url: 'ws://localhost/'}]],
                 ['webSocketClose', [{closedByRemote: false, code: 3294, reason: 'bye bye', reconnect: true, reconnectDelay: 1111}]],
             ]);
             deq(ws1.close.args, [[3294, 'bye bye']]);
@@ -584,7 +945,7 @@ describe('WebSocketClient', () => {
             eq(rpc.hasActiveConnection, true);
             eq(rpc.started, true);
 
-            rpc.call('foo');
+            rpc.call('foo').catch(() => {});
             await wsMockState2.waitForSend.waitUntil(1);
             eq(ws1.send.callCount, 0, 'Must not send out data while closed');
             eq(ws2.send.callCount, 1);
@@ -774,12 +1135,1874 @@ describe('WebSocketClient', () => {
                 message: 'Error from test',
                 error: Error('Error from test'),
             };
-            wsMockState.mockEvents.emit('error', event);
+            ws.dispatchEvent(event);
             eq(events.webSocketError.callCount, 1);
             eq(events.webSocketError.args[0][0], event);
             wsMockState.open();
             eq(rpc.hasActiveConnection, true);
         });
+
+        describe('offline policy', () => {
+            const sentMessages = ws => ws.send.args.map(([data]) => JSON.parse(data)).filter(m => m.method !== 'jsonbird.ping');
+            const invokeOfflineQueueTimer = () => {
+                const calls = timerMock.setTimeoutCalls.offlineQueue().filter(call => !timerMock.clearedTimers.has(call.returnValue));
+                lengthOf(calls, 1);
+                timerMock.clearedTimers.add(calls[0].returnValue);
+                calls[0].args[0]();
+                return calls[0];
+            };
+
+            it('Should reject calls and notifications immediately in "reject" mode', async () => {
+                rpc.offlinePolicy = 'reject';
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+
+                const callError = await isRejected(rpc.call('foo', 123), NotConnectedError, /no open connection/);
+                eq(callError.reason, 'offline');
+                await isRejected(rpc.bindCall('foo')(123), NotConnectedError);
+                await isRejected(rpc.notify('bar'), NotConnectedError, /no open connection/);
+                await isRejected(rpc.bindNotify('bar')(), NotConnectedError);
+                eq(rpc.offlineQueueLength, 0);
+
+                ws[WS_MOCK_STATE].open();
+                rpc.call('foo', 456).catch(() => {});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                deq(sentMessages(ws).map(m => [m.method, m.params]), [['foo', [456]]]);
+            });
+
+            it('Should queue calls but reject notifications in "drop-notifications" mode', async () => {
+                rpc.offlinePolicy = 'drop-notifications';
+                const fooCall = rpc.call('foo', 123);
+                await isRejected(rpc.notify('bar'), NotConnectedError);
+                await delay(1);
+                eq(rpc.offlineQueueLength, 1);
+
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                wsMockState.open();
+                eq(rpc.offlineQueueLength, 0);
+                const [message] = sentMessages(ws);
+                deq(message, {jsonrpc: '2.0', id: message.id, method: 'foo', params: [123]});
+                ws.dispatchEvent({
+                    type: 'message',
+                    data: JSON.stringify({jsonrpc: '2.0', id: message.id, result: 456}),
+                });
+                eq(await fooCall, 456);
+            });
+
+            it('Should send the params as they were when call() or notify() was used', async () => {
+                const params = {x: 1};
+                const fooCall = rpc.call('foo', params);
+                const barNotify = rpc.notify('bar', params);
+                await barNotify;
+                params.x = 2;
+
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                deq(sentMessages(ws).map(m => [m.method, m.params]), [['foo', [{x: 1}]], ['bar', [{x: 1}]]]);
+                ws.dispatchEvent({
+                    type: 'message',
+                    data: JSON.stringify({jsonrpc: '2.0', id: sentMessages(ws)[0].id, result: true}),
+                });
+                eq(await fooCall, true);
+            });
+
+            it('Should reject calls and notifications with params which can not be encoded', async () => {
+                const circular = {};
+                circular.self = circular;
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+
+                await isRejected(rpc.call('foo', circular), TypeError, /circular/i);
+                await isRejected(rpc.notify('bar', circular), TypeError, /circular/i);
+                eq(rpc.offlineQueueLength, 0);
+                await delay(1);
+                eq(rpc.rpc.clientPending, 0, 'the rejected call should no longer be pending within jsonbird');
+
+                ws[WS_MOCK_STATE].open();
+                await isRejected(rpc.call('foo', circular), TypeError, /circular/i);
+                eq(ws.send.callCount, 0);
+                eq(events.error.callCount, 0);
+                eq(Object.prototype.hasOwnProperty.call(rpc.rpc, 'generateId'), false, 'jsonbird should not be patched');
+            });
+
+            it('Should drop messages which exceed maxCount or maxBytes', async () => {
+                rpc.offlinePolicy = {maxCount: 2, maxBytes: 150};
+                const firstCall = rpc.call('first');
+                const secondCall = rpc.call('second', 'x'.repeat(100));
+                rpc.call('third').catch(() => {});
+                const fourthCall = rpc.call('fourth');
+                await isRejected(secondCall, NotConnectedError, /"second" has been dropped.*maxBytes/);
+                await isRejected(fourthCall, NotConnectedError, /"fourth" has been dropped.*maxCount/);
+                deq(events.offlineMessageDropped.args.map(([{reason, method}]) => [reason, method]), [
+                    ['maxBytes', 'second'],
+                    ['maxCount', 'fourth'],
+                ]);
+                eq(rpc.offlineQueueLength, 2);
+
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                deq(sentMessages(ws).map(m => m.method), ['first', 'third']);
+                await delay(1);
+                eq(rpc.rpc.clientPending, 2, 'dropped calls should no longer be pending within jsonbird');
+
+                const thirdMessage = sentMessages(ws)[1];
+                ws.dispatchEvent({
+                    type: 'message',
+                    data: JSON.stringify({jsonrpc: '2.0', id: thirdMessage.id, result: 'ignored'}),
+                });
+                eq(await Promise.race([firstCall, delay(10).then(() => 'pending')]), 'pending');
+            });
+
+            it('Should expire messages which have been queued longer than maxAge', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    rpc.offlinePolicy = {maxAge: 5000};
+                    const fooCall = rpc.call('foo');
+                    rpc.notify('bar');
+                    await Promise.resolve();
+                    clock.tick(1000);
+                    const bazCall = rpc.call('baz');
+                    await delay(1);
+                    eq(rpc.offlineQueueLength, 3);
+
+                    clock.tick(4000);
+                    eq(invokeOfflineQueueTimer().args[1], 5000);
+                    await isRejected(fooCall, NotConnectedError, /"foo" has been dropped.*maxAge/);
+                    deq(events.offlineMessageDropped.args.map(([{reason, method}]) => [reason, method]), [
+                        ['maxAge', 'foo'],
+                        ['maxAge', 'bar'],
+                    ]);
+                    eq(rpc.offlineQueueLength, 1);
+
+                    clock.tick(500);
+                    rpc.start();
+                    const ws = wsMock.firstCall.returnValue;
+                    ws[WS_MOCK_STATE].open();
+                    deq(sentMessages(ws).map(m => m.method), ['baz']);
+                    eq(rpc.offlineQueueLength, 0);
+                    for (const call of timerMock.setTimeoutCalls.offlineQueue()) {
+                        assert(timerMock.clearedTimers.has(call.returnValue), 'Should have cleaned up all offline queue timers');
+                    }
+                    eq(await Promise.race([bazCall, delay(10).then(() => 'pending')]), 'pending');
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+
+            it('Should drop responses to incoming calls in "reject" mode', async () => {
+                rpc.offlinePolicy = 'reject';
+                rpc.method('foo', () => delay(5).then(() => 123));
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                wsMockState.open();
+                ws.dispatchEvent({
+                    type: 'message',
+                    data: JSON.stringify({jsonrpc: '2.0', id: 'abc', method: 'foo', params: []}),
+                });
+                wsMockState.close(3000, 'bye');
+                await eventWaits.offlineMessageDropped.waitUntil(1);
+                deq(events.offlineMessageDropped.args, [[{reason: 'offline', method: null, id: 'abc'}]]);
+            });
+        });
+
+        describe('failover', () => {
+            const invokeFailbackTimer = () => {
+                const calls = timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.failbackTimerId);
+                lengthOf(calls, 1);
+                calls[0].args[0]();
+                return calls[0];
+            };
+
+            beforeEach(() => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+            });
+
+            it('Should move to the next URL after repeated connection failures and go back to the first URL later', async () => {
+                rpc.url = ['ws://a.example.com/', 'ws://b.example.com/'];
+                rpc.failoverAttempts = 2;
+                rpc.failbackDelay = 60000;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                eq(rpc.currentUrl, 'ws://a.example.com/');
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                eq(rpc.currentUrl, 'ws://b.example.com/');
+                const ws3 = wsMock.getCall(2).returnValue;
+                ws3[WS_MOCK_STATE].open();
+
+                deq(wsMock.args.map(([{url}]) => url), ['ws://a.example.com/', 'ws://a.example.com/', 'ws://b.example.com/']);
+                deq(events.webSocketConnecting.args, [
+                    [{url: 'ws://a.example.com/'}],
+                    [{url: 'ws://a.example.com/'}],
+                    [{url: 'ws://b.example.com/'}],
+                ]);
+                deq(events.webSocketOpen.args, [[{url: 'ws://b.example.com/', protocol: ''}]]);
+
+                eq(invokeFailbackTimer().args[1], 60000);
+                deq(ws3.close.args, [[1000, 'Reconnecting to the preferred endpoint']]);
+                eq(events.webSocketClose.args[2][0].reconnect, true);
+                await invokeReconnectTimer();
+                eq(rpc.currentUrl, 'ws://a.example.com/');
+                wsMock.getCall(3).returnValue[WS_MOCK_STATE].open();
+                lengthOf(timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.failbackTimerId), 1);
+            });
+
+            it('Should reset the failure count after a successful connection', async () => {
+                rpc.url = ['ws://a.example.com/', 'ws://b.example.com/'];
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(1).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                wsMock.getCall(2).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                deq(wsMock.args.map(([{url}]) => url), [
+                    'ws://a.example.com/',
+                    'ws://a.example.com/',
+                    'ws://a.example.com/',
+                    'ws://a.example.com/',
+                ]);
+            });
+
+            it('Should ask an URL provider for the list of URLs before each connection attempt', async () => {
+                const lists = [['ws://a.example.com/'], ['ws://b.example.com/', 'ws://c.example.com/']];
+                const provider = {getUrls: sinon.spy(() => lists.shift())};
+                rpc.url = provider;
+                rpc.failoverAttempts = 1;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                eq(provider.getUrls.callCount, 2);
+                deq(wsMock.args.map(([{url}]) => url), ['ws://a.example.com/', 'ws://c.example.com/']);
+            });
+
+            it('Should treat a failing URL provider as a failed connection attempt and reconnect', async () => {
+                const error = Error('Error from test: unable to fetch the list of URLs');
+                const lists = [['ws://a.example.com/'], error, [], ['ws://b.example.com/']];
+                const provider = {getUrls: sinon.spy(() => {
+                    const list = lists.shift();
+                    if (list instanceof Error) {
+                        throw list;
+                    }
+                    return list;
+                })};
+                rpc.url = provider;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                eq(rpc.state, 'waiting-to-reconnect');
+                eq(events.webSocketError.args[0][0], error);
+                deq(events.webSocketClose.args[1], [{
+                    code: 1006,
+                    reason: 'Error from test: unable to fetch the list of URLs',
+                    closedByRemote: false,
+                    reconnect: true,
+                    reconnectDelay: 1000,
+                }]);
+
+                await invokeReconnectTimer();
+                eq(rpc.state, 'waiting-to-reconnect');
+                match(events.webSocketError.args[1][0].message, /url.getUrls\(\) must return at least one URL/);
+                eq(events.error.callCount, 0);
+
+                await invokeReconnectTimer();
+                eq(provider.getUrls.callCount, 4);
+                eq(rpc.state, 'connecting');
+                deq(wsMock.args.map(([{url}]) => url), ['ws://a.example.com/', 'ws://b.example.com/']);
+                eq(rpc.getStats().connectAttempts, 4);
+            });
+        });
+
+        describe('async connection callbacks', () => {
+            let deferred;
+            let waitCreateConnection;
+
+            beforeEach(() => {
+                deferred = null;
+                waitCreateConnection = new Wait();
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+                rpc.urlCallback = async ({url}) => `${url}?token=abc`;
+                rpc.createConnectionCallback = options => new Promise((resolve, reject) => {
+                    deferred = {resolve: () => resolve(wsMock(options)), reject};
+                    waitCreateConnection.advance();
+                });
+            });
+
+            it('Should wait for the promises returned by urlCallback and createConnectionCallback', async () => {
+                rpc.start();
+                deq(events.ALL, [['webSocketConnecting', [{url: 'ws://localhost/'}]]]);
+                await waitCreateConnection.waitUntil(1);
+                eq(wsMock.callCount, 0);
+                deferred.resolve();
+                await delay(1);
+                eq(wsMock.callCount, 1);
+                eq(wsMock.firstCall.args[0].url, 'ws://localhost/?token=abc');
+
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                eq(rpc.hasActiveConnection, true);
+                deq(events.webSocketOpen.args, [[{url: 'ws://localhost/', protocol: ''}]]);
+                deq(timerMock.setTimeoutCalls.connectTimeout().map(call => timerMock.clearedTimers.has(call.returnValue)), [true]);
+            });
+
+            it('Should treat a rejection as a failed connection and reconnect', async () => {
+                const error = Error('Error from test: unable to fetch token');
+                rpc.start();
+                await waitCreateConnection.waitUntil(1);
+                deferred.reject(error);
+                await eventWaits.webSocketClose.waitUntil(1);
+                deq(events.webSocketError.args, [[error]]);
+                deq(events.webSocketClose.args, [[{
+                    code: 1006,
+                    reason: 'Error from test: unable to fetch token',
+                    closedByRemote: false,
+                    reconnect: true,
+                    reconnectDelay: 1000,
+                }]]);
+                eq(rpc.hasActiveConnection, false);
+                eq(wsMock.callCount, 0);
+
+                await invokeReconnectTimer();
+                await waitCreateConnection.waitUntil(2);
+                deferred.resolve();
+                await delay(1);
+                eq(wsMock.callCount, 1);
+            });
+
+            it('Should treat an exception thrown by the callbacks as a failed connection and reconnect', async () => {
+                const error = Error('Error from test: unable to fetch token');
+                rpc.urlCallback = () => {
+                    throw error;
+                };
+                rpc.start();
+                eq(rpc.state, 'connecting');
+                await eventWaits.webSocketClose.waitUntil(1);
+                deq(events.webSocketError.args, [[error]]);
+                eq(events.webSocketClose.firstCall.args[0].reconnect, true);
+                eq(rpc.state, 'waiting-to-reconnect');
+
+                rpc.urlCallback = null;
+                rpc.createConnectionCallback = () => {
+                    throw Error('Error from test: invalid URL');
+                };
+                await invokeReconnectTimer();
+                await eventWaits.webSocketClose.waitUntil(2);
+                match(events.webSocketError.secondCall.args[0].message, /invalid URL/);
+                eq(rpc.state, 'waiting-to-reconnect');
+                lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 2);
+                deq(timerMock.setTimeoutCalls.connectTimeout().map(call => timerMock.clearedTimers.has(call.returnValue)), [true, true]);
+                eq(events.error.callCount, 0);
+            });
+
+            it('Should abort cleanly if stop() is called while waiting', async () => {
+                rpc.start();
+                await waitCreateConnection.waitUntil(1);
+                rpc.stop(3123, 'bye forever!');
+                deq(events.webSocketClose.args, [[{code: 3123, reason: 'bye forever!', closedByRemote: false, reconnect: false}]]);
+                deferred.resolve();
+                await delay(1);
+                const ws = wsMock.firstCall.returnValue;
+                deq(ws.close.args, [[1000, 'Connection attempt aborted']]);
+                ws[WS_MOCK_STATE].open();
+                eq(events.webSocketOpen.callCount, 0);
+                eq(rpc.hasActiveConnection, false);
+                lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 0);
+            });
+
+            it('Should include the async step in the connect timeout', async () => {
+                rpc.connectTimeout = 5000;
+                rpc.timeoutCloseCode = 4100;
+                rpc.start();
+                await waitCreateConnection.waitUntil(1);
+                await invokeConnectTimeoutTimer();
+                deq(events.webSocketClose.args, [[{
+                    code: 4100,
+                    reason: 'Timeout: Opening WebSocket took longer than 5000ms',
+                    closedByRemote: false,
+                    reconnect: true,
+                    reconnectDelay: 1000,
+                }]]);
+                deferred.resolve();
+                await delay(1);
+                deq(wsMock.firstCall.returnValue.close.args, [[1000, 'Connection attempt aborted']]);
+            });
+        });
+
+        describe('onOpen hook', () => {
+            const respond = (ws, id, result) => ws.dispatchEvent({
+                type: 'message',
+                data: JSON.stringify({jsonrpc: '2.0', id, result}),
+            });
+
+            it('Should hold other traffic until the onOpen hook has completed', async () => {
+                const hookArgs = [];
+                rpc.onOpen = async args => {
+                    hookArgs.push(args);
+                    await args.notify('hello', 1);
+                    eq(await args.call('login', 'secret'), 'welcome');
+                };
+                rpc.notify('queued', 2);
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                lengthOf(hookArgs, 1);
+                eq(hookArgs[0].url, 'ws://localhost/');
+                eq(rpc.hasActiveConnection, false);
+                const appCall = rpc.call('app');
+
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                await delay(1);
+                const sent = ws.send.args.map(([data]) => JSON.parse(data));
+                deq(sent.map(m => m.method), ['hello', 'login']);
+                deq(sent[0], {jsonrpc: '2.0', method: 'hello', params: [1]});
+                eq(events.ready.callCount, 0);
+
+                respond(ws, sent[1].id, 'welcome');
+                await eventWaits.ready.waitUntil(1);
+                deq(events.ready.args, [[{url: 'ws://localhost/'}]]);
+                eq(rpc.hasActiveConnection, true);
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(4);
+                const released = ws.send.args.slice(2).map(([data]) => JSON.parse(data));
+                deq(released.map(m => m.method), ['queued', 'app']);
+                respond(ws, released[1].id, 'app result');
+                eq(await appCall, 'app result');
+                deq(timerMock.setTimeoutCalls.connectTimeout().map(call => timerMock.clearedTimers.has(call.returnValue)), [true]);
+            });
+
+            it('Should close the connection if the onOpen hook fails', async () => {
+                const error = Error('Error from test: login failed');
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+                rpc.onOpenFailCloseCode = 4321;
+                rpc.onOpen = async () => { throw error; };
+                rpc.notify('queued');
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                await eventWaits.onOpenFail.waitUntil(1);
+                deq(events.onOpenFail.args, [[error]]);
+                deq(ws.close.args, [[4321, 'onOpen hook failed']]);
+                deq(events.webSocketClose.args, [[{
+                    code: 4321,
+                    reason: 'onOpen hook failed',
+                    closedByRemote: false,
+                    reconnect: true,
+                    reconnectDelay: 1000,
+                }]]);
+                eq(events.ready.callCount, 0);
+                eq(ws.send.callCount, 0);
+                eq(rpc.offlineQueueLength, 1);
+            });
+
+            it('Should close the connection if the onOpen hook does not complete within the connect timeout', async () => {
+                rpc.connectTimeout = 5000;
+                rpc.onOpen = () => new Promise(() => {});
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                await invokeConnectTimeoutTimer();
+                deq(ws.close.args, [[4100, 'Timeout: Opening WebSocket took longer than 5000ms']]);
+                eq(events.ready.callCount, 0);
+            });
+        });
+
+        describe('subscriptions', () => {
+            const sentMessages = ws => ws.send.args.map(([data]) => JSON.parse(data)).filter(m => m.method !== 'jsonbird.ping');
+            const receive = (ws, message) => ws.dispatchEvent({
+                type: 'message',
+                data: JSON.stringify(Object.assign({jsonrpc: '2.0'}, message)),
+            });
+
+            beforeEach(() => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+            });
+
+            it('Should subscribe on every new connection and pass notifications to the handler', async () => {
+                const handler = sinon.spy();
+                const unsubscribe = rpc.subscribe('prices', {symbol: 'ACME'}, handler);
+                deq(rpc.subscriptions, [{topic: 'prices', params: {symbol: 'ACME'}}]);
+                await delay(1);
+                eq(rpc.offlineQueueLength, 0, 'Should not queue the subscribe call while there is no connection');
+
+                rpc.start();
+                const ws1 = wsMock.getCall(0).returnValue;
+                ws1[WS_MOCK_STATE].open();
+                await ws1[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                const [subscribe1] = sentMessages(ws1);
+                deq(subscribe1, {jsonrpc: '2.0', id: subscribe1.id, method: 'subscribe', params: ['prices', {symbol: 'ACME'}]});
+                receive(ws1, {id: subscribe1.id, result: true});
+                receive(ws1, {method: 'prices', params: [123.5]});
+                await delay(1);
+                deq(handler.args, [[123.5]]);
+
+                ws1[WS_MOCK_STATE].close(1006, '');
+                await invokeReconnectTimer();
+                const ws2 = wsMock.getCall(1).returnValue;
+                ws2[WS_MOCK_STATE].open();
+                await delay(1);
+                deq(sentMessages(ws2).map(m => [m.method, m.params]), [['subscribe', ['prices', {symbol: 'ACME'}]]]);
+                receive(ws2, {id: sentMessages(ws2)[0].id, result: true});
+
+                const unsubscribePromise = unsubscribe();
+                deq(rpc.subscriptions, []);
+                await delay(1);
+                const unsubscribeMessage = sentMessages(ws2)[1];
+                eq(unsubscribeMessage.method, 'unsubscribe');
+                deq(unsubscribeMessage.params, ['prices', {symbol: 'ACME'}]);
+                receive(ws2, {id: unsubscribeMessage.id, result: true});
+                await unsubscribePromise;
+                await unsubscribe(); // no-op
+
+                receive(ws2, {method: 'prices', params: [124]});
+                await delay(1);
+                lengthOf(handler.args, 1, 'Should not call the handler after unsubscribing');
+                lengthOf(sentMessages(ws2), 2);
+            });
+
+            it('Should pass notifications through the middleware and register a single handler per topic', async () => {
+                const contexts = [];
+                rpc.use((context, next) => {
+                    contexts.push([context.direction, context.type, context.method]);
+                    return next();
+                });
+                const notificationSpy = sinon.spy(rpc.rpc, 'notification');
+                const [handler1, handler2] = [sinon.spy(), sinon.spy()];
+                const unsubscribe1 = rpc.subscribe('prices', {symbol: 'ACME'}, handler1);
+                rpc.subscribe('prices', {symbol: 'INITECH'}, handler2);
+                eq(notificationSpy.callCount, 1);
+
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                contexts.length = 0;
+                receive(ws, {method: 'prices', params: [123.5]});
+                await delay(1);
+                deq(contexts, [['incoming', 'notification', 'prices']]);
+                deq(handler1.args, [[123.5]]);
+                deq(handler2.args, [[123.5]]);
+
+                const unsubscribePromise = unsubscribe1();
+                await delay(1);
+                receive(ws, {id: sentMessages(ws).find(m => m.method === 'unsubscribe').id, result: true});
+                await unsubscribePromise;
+                rpc.subscribe('prices', {symbol: 'ACME'}, handler1);
+                eq(notificationSpy.callCount, 1);
+                receive(ws, {method: 'prices', params: [124]});
+                await delay(1);
+                deq(handler1.args, [[123.5], [124]], 'Should call the handler once per notification after subscribing again');
+                deq(handler2.args, [[123.5], [124]]);
+            });
+
+            it('Should emit subscriptionError if the server rejects a subscribe call', async () => {
+                rpc.subscribeMethod = 'topic.subscribe';
+                rpc.start();
+                const ws = wsMock.getCall(0).returnValue;
+                ws[WS_MOCK_STATE].open();
+                rpc.subscribe('news', ['sports'], () => {});
+                await delay(1);
+                const [message] = sentMessages(ws);
+                eq(message.method, 'topic.subscribe');
+                receive(ws, {id: message.id, error: {code: 123, message: 'Unknown topic'}});
+
+                await eventWaits.subscriptionError.waitUntil(1);
+                const [[error, subscription]] = events.subscriptionError.args;
+                assert.match(error.message, /Unknown topic/);
+                deq(subscription, {topic: 'news', params: ['sports']});
+            });
+
+            it('Should not emit subscriptionError if the connection is lost during the subscribe call', async () => {
+                rpc.start();
+                const ws1 = wsMock.getCall(0).returnValue;
+                ws1[WS_MOCK_STATE].open();
+                rpc.subscribe('news', null, () => {});
+                await ws1[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                ws1[WS_MOCK_STATE].close(1006, '');
+                await delay(1);
+                eq(events.subscriptionError.callCount, 0);
+            });
+        });
+
+        describe('connection state', () => {
+            let stateChanges;
+
+            beforeEach(() => {
+                stateChanges = [];
+                rpc.on('stateChange', info => stateChanges.push(info));
+            });
+
+            it('Should transition through all states while connecting, reconnecting and stopping', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    rpc.reconnect = true;
+                    rpc.reconnectDelayCallback = () => 1000;
+                    rpc.start();
+                    eq(rpc.state, connectionState.CONNECTING);
+                    const ws1 = wsMock.getCall(0).returnValue;
+                    ws1[WS_MOCK_STATE].open();
+                    eq(rpc.state, connectionState.READY);
+
+                    ws1[WS_MOCK_STATE].close(4000, 'Closed by the server');
+                    eq(rpc.state, connectionState.WAITING_TO_RECONNECT);
+                    eq(rpc.reconnectDelayRemaining, 1000);
+                    clock.tick(400);
+                    eq(rpc.reconnectDelayRemaining, 600);
+
+                    await invokeReconnectTimer();
+                    eq(rpc.state, connectionState.CONNECTING);
+                    eq(rpc.reconnectDelayRemaining, 0);
+                    wsMock.getCall(1).returnValue[WS_MOCK_STATE].open();
+                    rpc.stop(3000, 'Stopped by the test');
+                    eq(rpc.state, connectionState.STOPPED);
+
+                    deq(stateChanges, [
+                        {previous: 'stopped', state: 'connecting', cause: 'start'},
+                        {previous: 'connecting', state: 'open', cause: 'open'},
+                        {previous: 'open', state: 'ready', cause: 'ready'},
+                        {
+                            previous: 'ready',
+                            state: 'waiting-to-reconnect',
+                            cause: 'close',
+                            code: 4000,
+                            reason: 'Closed by the server',
+                            closedByRemote: true,
+                            reconnectDelay: 1000,
+                        },
+                        {previous: 'waiting-to-reconnect', state: 'connecting', cause: 'reconnect'},
+                        {previous: 'connecting', state: 'open', cause: 'open'},
+                        {previous: 'open', state: 'ready', cause: 'ready'},
+                        {previous: 'ready', state: 'closing', cause: 'closeConnection', code: 3000, reason: 'Stopped by the test'},
+                        {
+                            previous: 'closing',
+                            state: 'stopped',
+                            cause: 'close',
+                            code: 3000,
+                            reason: 'Stopped by the test',
+                            closedByRemote: false,
+                        },
+                    ]);
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+
+            it('Should stay in the "open" state until the onOpen hook has completed', async () => {
+                let completeHook;
+                rpc.onOpen = () => new Promise(resolve => { completeHook = resolve; });
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                eq(rpc.state, connectionState.OPEN);
+                eq(rpc.hasActiveConnection, false);
+                completeHook();
+                await eventWaits.ready.waitUntil(1);
+                eq(rpc.state, connectionState.READY);
+            });
+
+            it('Should transition to "stopped" when stopping while waiting to reconnect', async () => {
+                rpc.reconnect = true;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                eq(rpc.state, connectionState.WAITING_TO_RECONNECT);
+                rpc.stop();
+                eq(rpc.state, connectionState.STOPPED);
+                deq(stateChanges.map(({state, cause}) => [state, cause]), [
+                    ['connecting', 'start'],
+                    ['waiting-to-reconnect', 'close'],
+                    ['stopped', 'stop'],
+                ]);
+            });
+
+            it('Should transition to "stopped" when the connection closes while reconnect is disabled', () => {
+                rpc.reconnect = false;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1001, 'Going away');
+                eq(rpc.state, connectionState.STOPPED);
+                deq(stateChanges[stateChanges.length - 1], {
+                    previous: 'ready',
+                    state: 'stopped',
+                    cause: 'close',
+                    code: 1001,
+                    reason: 'Going away',
+                    closedByRemote: true,
+                });
+            });
+        });
+
+        describe('waiting for a connection', () => {
+            it('Should resolve waitForConnection() immediately or on the next open', async () => {
+                rpc.start();
+                const waitPromise = rpc.waitForConnection();
+                const connectedPromise = rpc.connected();
+                await delay(1);
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                deq(await waitPromise, {url: 'ws://localhost/'});
+                deq(await connectedPromise, {url: 'ws://localhost/'});
+                deq(await rpc.waitForConnection(), {url: 'ws://localhost/'});
+                eq(rpc.listenerCount('ready'), 1, 'Should remove its event listeners');
+                eq(rpc.listenerCount('stateChange'), 0, 'Should remove its event listeners');
+            });
+
+            it('Should keep waiting while reconnecting, but reject if stopped', async () => {
+                await isRejected(rpc.waitForConnection(), NotConnectedError, /not been started/);
+                rpc.reconnect = true;
+                rpc.start();
+                const waitPromise = rpc.waitForConnection();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await delay(1);
+                rpc.stop();
+                const error = await isRejected(waitPromise, NotConnectedError, /waitForConnection\(\).*stopped/);
+                eq(error.reason, 'stopped');
+            });
+
+            it('Should reject waitForConnection() if the connection closes while reconnect is disabled', async () => {
+                rpc.reconnect = false;
+                rpc.start();
+                const waitPromise = rpc.waitForConnection();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(1006, '');
+                await isRejected(waitPromise, NotConnectedError, /stopped/);
+            });
+
+            it('Should reject waitForConnection() after the timeout or when aborted', async () => {
+                rpc.start();
+                const timeoutPromise = rpc.waitForConnection({timeout: 1234});
+                const calls = timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.waitTimerId);
+                lengthOf(calls, 1);
+                eq(calls[0].args[1], 1234);
+                calls[0].args[0]();
+                const error = await isRejected(timeoutPromise, NotConnectedError, /Timed out after 1234ms/);
+                eq(error.reason, 'timeout');
+
+                const controller = new AbortController();
+                const abortPromise = rpc.waitForConnection({timeout: 5000, signal: controller.signal});
+                controller.abort();
+                await isRejected(abortPromise, /abort/i);
+                const timerCall = timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.waitTimerId)[1];
+                assert(timerMock.clearedTimers.has(timerCall.returnValue), 'Should clear the timeout timer');
+                await isRejected(rpc.waitForConnection({signal: controller.signal}), /abort/i);
+            });
+
+            it('Should resolve waitForClose() on the next webSocketClose event', async () => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+                rpc.start();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].open();
+                const closePromise = rpc.waitForClose();
+                wsMock.getCall(0).returnValue[WS_MOCK_STATE].close(4000, 'bye');
+                deq(await closePromise, {code: 4000, reason: 'bye', closedByRemote: true, reconnect: true, reconnectDelay: 1000});
+            });
+        });
+
+        describe('in-flight calls', () => {
+            const respond = (ws, id, result) => ws.dispatchEvent({
+                type: 'message',
+                data: JSON.stringify({jsonrpc: '2.0', id, result}),
+            });
+
+            it('Should reject calls which have been sent when the connection is lost, but not calls which are still queued', async () => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+                rpc.start();
+                const ws1 = wsMock.firstCall.returnValue;
+                ws1[WS_MOCK_STATE].open();
+
+                const fooCall = rpc.call('foo');
+                await ws1[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                ws1[WS_MOCK_STATE].close(4000, 'Going away for a while');
+                const barCall = rpc.call('bar');
+
+                const fooError = await isRejected(fooCall, ConnectionLostError, /"foo".*closed \(4000 Going away for a while\)/);
+                deq(
+                    [fooError.name, fooError.code, fooError.reason, fooError.closedByRemote],
+                    ['ConnectionLostError', 4000, 'Going away for a while', true],
+                );
+                await delay(1);
+                eq(rpc.rpc.clientPending, 1, 'the rejected call should no longer be pending within jsonbird');
+                eq(rpc.offlineQueueLength, 1);
+
+                await invokeReconnectTimer();
+                const ws2 = wsMock.secondCall.returnValue;
+                ws2[WS_MOCK_STATE].open();
+                eq(ws2.send.callCount, 1);
+                const barMessage = JSON.parse(ws2.send.args[0][0]);
+                eq(barMessage.method, 'bar');
+                respond(ws2, barMessage.id, 'bar result');
+                eq(await barCall, 'bar result');
+            });
+
+            it('Should send calls with retryOnReconnect again after reconnecting', async () => {
+                rpc.reconnect = true;
+                rpc.reconnectDelayCallback = () => 1000;
+                rpc.start();
+                const ws1 = wsMock.firstCall.returnValue;
+                ws1[WS_MOCK_STATE].open();
+
+                const fooCall = rpc.call({name: 'foo', retryOnReconnect: true}, 123);
+                await ws1[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                const fooMessage = JSON.parse(ws1.send.args[0][0]);
+                ws1[WS_MOCK_STATE].close(1006, '');
+                eq(rpc.offlineQueueLength, 1);
+
+                await invokeReconnectTimer();
+                const ws2 = wsMock.secondCall.returnValue;
+                ws2[WS_MOCK_STATE].open();
+                eq(ws2.send.callCount, 1);
+                deq(JSON.parse(ws2.send.args[0][0]), fooMessage, 'Should send the same request, with the same id');
+                respond(ws2, fooMessage.id, 'foo result');
+                eq(await fooCall, 'foo result');
+
+                rpc.offlinePolicy = 'reject';
+                const barCall = rpc.call({name: 'bar', retryOnReconnect: true});
+                await ws2[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                ws2[WS_MOCK_STATE].close(1006, '');
+                await isRejected(barCall, ConnectionLostError);
+            });
+        });
+
+        describe('aborting calls and notifications', () => {
+            it('Should reject with an AbortError and remove queued messages from the offline queue', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const callController = new AbortController();
+                const notifyController = new AbortController();
+
+                const fooCall = rpc.call({name: 'foo', signal: callController.signal}, 1);
+                await rpc.notify({name: 'bar', signal: notifyController.signal}, 2);
+                await rpc.notify('baz', 3);
+                eq(rpc.offlineQueueLength, 3);
+
+                callController.abort();
+                notifyController.abort();
+                const error = await isRejected(fooCall, Error);
+                eq(error.name, 'AbortError');
+                eq(rpc.offlineQueueLength, 1);
+                await delay(1);
+                eq(rpc.rpc.clientPending, 0, 'the aborted call should no longer be pending within jsonbird');
+
+                ws[WS_MOCK_STATE].open();
+                eq(ws.send.callCount, 1);
+                eq(JSON.parse(ws.send.args[0][0]).method, 'baz');
+            });
+
+            it('Should keep track of the signal of each notification until it leaves the offline queue', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const firstController = new AbortController();
+                const secondController = new AbortController();
+                const removeEventListener = sinon.spy(secondController.signal, 'removeEventListener');
+
+                // identical notifications, only the signal tells them apart
+                await rpc.notify({name: 'foo', signal: firstController.signal}, 1);
+                await rpc.notify({name: 'foo', signal: secondController.signal}, 1);
+                firstController.abort();
+                eq(rpc.offlineQueueLength, 1);
+
+                ws[WS_MOCK_STATE].open();
+                eq(ws.send.callCount, 1);
+                eq(removeEventListener.callCount, 1, 'the abort listener should be removed once the notification has been sent');
+
+                const thirdController = new AbortController();
+                const notifyPromise = rpc.notify({name: 'foo', signal: thirdController.signal}, 1);
+                thirdController.abort();
+                await notifyPromise;
+                await rpc.notify('bar');
+                deq(ws.send.args.map(([data]) => JSON.parse(data).method), ['foo', 'bar']);
+            });
+
+            it('Should not send a call which is aborted before it has been emitted', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                const controller = new AbortController();
+                const fooCall = rpc.call({name: 'foo', signal: controller.signal});
+                controller.abort(new Error('Changed my mind'));
+                await isRejected(fooCall, Error, 'Changed my mind');
+                await rpc.notify('bar');
+                deq(ws.send.args.map(([data]) => JSON.parse(data).method), ['bar']);
+            });
+
+            it('Should reject immediately if the signal has already been aborted', async () => {
+                rpc.start();
+                const controller = new AbortController();
+                controller.abort();
+                const callError = await isRejected(rpc.call({name: 'foo', signal: controller.signal}), Error);
+                eq(callError.name, 'AbortError');
+                const notifyError = await isRejected(rpc.notify({name: 'foo', signal: controller.signal}), Error);
+                eq(notifyError.name, 'AbortError');
+                eq(rpc.offlineQueueLength, 0);
+                eq(rpc.rpc.clientPending, 0);
+            });
+
+            it('Should send the cancelNotification for an aborted call which has already been sent', async () => {
+                eq(rpc.cancelNotification, null);
+                rpc.cancelNotification = '$/cancelRequest';
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                const controller = new AbortController();
+                const fooCall = rpc.call({name: 'foo', signal: controller.signal});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                const {id} = JSON.parse(ws.send.args[0][0]);
+                controller.abort();
+                await isRejected(fooCall, Error, /aborted/);
+
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                deq(JSON.parse(ws.send.args[1][0]), {jsonrpc: '2.0', method: '$/cancelRequest', params: [{id}]});
+            });
+        });
+
+        describe('middleware', () => {
+            const receive = (ws, object) => ws.dispatchEvent({
+                type: 'message',
+                data: JSON.stringify(object),
+            });
+
+            it('Should validate the middleware', () => {
+                throws(() => rpc.use('foo'), Error, /middleware must be a function/);
+            });
+
+            it('Should pass outgoing calls and notifications through the middleware in order', async () => {
+                const contexts = [];
+                rpc.use(async (context, next) => {
+                    contexts.push(Object.assign({}, context));
+                    context.params = [{token: 'secret'}, ...context.params];
+                    const result = await next();
+                    return context.type === 'call' ? result * 10 : result;
+                });
+                rpc.use((context, next) => {
+                    context.method = `v2.${context.method}`;
+                    return next();
+                });
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                const sumCall = rpc.call({name: 'sum', timeout: 5000}, 1, 2);
+                await rpc.notify('log', 'Hello!');
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                const messages = ws.send.args.map(([data]) => JSON.parse(data));
+                deq(messages.map(({method, params}) => [method, params]), [
+                    ['v2.sum', [{token: 'secret'}, 1, 2]],
+                    ['v2.log', [{token: 'secret'}, 'Hello!']],
+                ]);
+                deq(contexts, [
+                    {direction: 'outgoing', type: 'call', method: 'sum', params: [1, 2], options: {timeout: 5000}},
+                    {direction: 'outgoing', type: 'notification', method: 'log', params: ['Hello!'], options: null},
+                ]);
+
+                receive(ws, {jsonrpc: '2.0', id: messages[0].id, result: 3});
+                eq(await sumCall, 30);
+            });
+
+            it('Should allow middleware to short-circuit or reject outgoing calls', async () => {
+                rpc.use(async (context, next) => {
+                    if (context.method === 'cached') {
+                        return 'from cache';
+                    }
+                    if (context.method === 'forbidden') {
+                        throw new Error('Not allowed by the middleware');
+                    }
+                    return next();
+                });
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                eq(await rpc.call('cached'), 'from cache');
+                await isRejected(rpc.call('forbidden'), Error, 'Not allowed by the middleware');
+                eq(ws.send.callCount, 0);
+            });
+
+            it('Should pass incoming requests through the middleware before they reach the registered methods', async () => {
+                const greet = sinon.spy(name => `Hello ${name}!`);
+                const shutdown = sinon.spy();
+                const log = sinon.spy();
+                rpc.method('greet', greet);
+                rpc.methods({'admin.shutdown': shutdown});
+                rpc.notification('log', log);
+                rpc.use(async (context, next) => {
+                    eq(context.direction, 'incoming');
+                    if (context.method === 'admin.shutdown') {
+                        throw Object.assign(new Error('Forbidden'), {code: 4003, data: {role: 'guest'}});
+                    }
+                    if (context.method === 'log') {
+                        return undefined; // drop this notification
+                    }
+                    context.params = context.params.map(param => param.toUpperCase());
+                    return next();
+                });
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                receive(ws, {jsonrpc: '2.0', id: 1, method: 'greet', params: ['world']});
+                receive(ws, {jsonrpc: '2.0', id: 2, method: 'admin.shutdown', params: []});
+                receive(ws, {jsonrpc: '2.0', method: 'log', params: ['dropped']});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                const responses = ws.send.args.map(([data]) => JSON.parse(data));
+                responses.sort((a, b) => a.id - b.id);
+                deq(responses, [
+                    {jsonrpc: '2.0', id: 1, result: 'Hello WORLD!'},
+                    {jsonrpc: '2.0', id: 2, error: {code: 4003, message: 'Forbidden', data: {role: 'guest'}}},
+                ]);
+                deq(greet.args, [['WORLD']]);
+                eq(shutdown.callCount, 0);
+                await delay(1);
+                eq(log.callCount, 0);
+            });
+
+            it('Should apply the middleware to methods and notifications registered using objects and Maps', async () => {
+                const api = {
+                    prefix: 'Hi',
+                    greet(name) {
+                        return `${this.prefix} ${name}`;
+                    },
+                };
+                const ticks = [];
+                const errors = [];
+                rpc.on('error', error => errors.push(error.message));
+                rpc.methods(api);
+                rpc.methods(new Map([['double', x => x * 2]]));
+                rpc.notifications(new Map([['tick', [x => ticks.push(`a${x}`), x => ticks.push(`b${x}`)]]]));
+                const contexts = [];
+                rpc.use(async (context, next) => {
+                    contexts.push(`${context.type} ${context.method}`);
+                    if (context.method === 'tick' && context.params[0] === 0) {
+                        throw new Error('Invalid tick');
+                    }
+                    context.params = context.params.map(param => (typeof param === 'number' ? param + 1 : param));
+                    return next();
+                });
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                receive(ws, {jsonrpc: '2.0', id: 1, method: 'greet', params: ['you']});
+                receive(ws, {jsonrpc: '2.0', id: 2, method: 'double', params: [20]});
+                receive(ws, {jsonrpc: '2.0', id: 3, method: 'toString', params: []});
+                receive(ws, {jsonrpc: '2.0', method: 'tick', params: [1]});
+                receive(ws, {jsonrpc: '2.0', method: 'tick', params: [0]});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(3);
+                const responses = ws.send.args.map(([data]) => JSON.parse(data));
+                responses.sort((a, b) => a.id - b.id);
+                deq(responses.map(({result, error}) => (error ? error.message : result)), ['Hi you', 42, 'JSONBird: Method not found']);
+                await delay(1);
+                deq(ticks.sort(), ['a2', 'b2']);
+                deq(errors, ['Invalid tick', 'Invalid tick']);
+                eq(rpc.hasActiveConnection, true, 'errors thrown by the middleware should not close the connection');
+                deq(contexts.sort(), ['call double', 'call greet', 'notification tick', 'notification tick', 'notification tick',
+                    'notification tick']);
+            });
+        });
+
+        describe('schemas', () => {
+            // a minimal stand-in for a JSON Schema implementation such as ajv: these "schemas" contain a check function
+            const compileSchema = ({check, message}) => {
+                const validate = value => {
+                    validate.errors = check(value) ? null : [{instancePath: '/0', message}];
+                    return !validate.errors;
+                };
+                return validate;
+            };
+            const isNumber = {check: value => typeof value === 'number', message: 'must be number'};
+            const isNumberArray = {check: value => value.every(item => typeof item === 'number'), message: 'must be number'};
+            const receive = (ws, object) => ws.dispatchEvent({
+                type: 'message',
+                data: JSON.stringify(object),
+            });
+
+            beforeEach(() => {
+                rpc.compileSchema = compileSchema;
+            });
+
+            it('Should validate the params and result of outgoing calls', async () => {
+                rpc.callSchemas = {sum: {paramsSchema: isNumberArray, resultSchema: isNumber}};
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                const invalidParams = await isRejected(rpc.call('sum', 1, '2'), SchemaValidationError);
+                eq(invalidParams.message, 'Invalid params for "sum": /0 must be number');
+                eq(invalidParams.code, -32602);
+                eq(invalidParams.target, 'params');
+                eq(ws.send.callCount, 0);
+
+                const validCall = rpc.call('sum', 1, 2);
+                const invalidResultCall = rpc.call('sum', 3, 4);
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                const [validRequest, invalidResultRequest] = ws.send.args.map(([data]) => JSON.parse(data));
+                receive(ws, {jsonrpc: '2.0', id: validRequest.id, result: 3});
+                receive(ws, {jsonrpc: '2.0', id: invalidResultRequest.id, result: 'seven'});
+                eq(await validCall, 3);
+                const invalidResult = await isRejected(invalidResultCall, SchemaValidationError, 'Invalid result for "sum"');
+                deq(invalidResult.errors, [{instancePath: '/0', message: 'must be number'}]);
+                eq(invalidResult.target, 'result');
+            });
+
+            it('Should validate the params and result of incoming calls', async () => {
+                const sum = sinon.spy((a, b) => (a === 0 ? 'zero' : a + b));
+                rpc.method('sum', sum, {paramsSchema: isNumberArray, resultSchema: isNumber});
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                receive(ws, {jsonrpc: '2.0', id: 1, method: 'sum', params: [1, 2]});
+                receive(ws, {jsonrpc: '2.0', id: 2, method: 'sum', params: [1, 'two']});
+                receive(ws, {jsonrpc: '2.0', id: 3, method: 'sum', params: [0, 2]});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(3);
+                const responses = ws.send.args.map(([data]) => JSON.parse(data));
+                responses.sort((a, b) => a.id - b.id);
+                deq(responses, [
+                    {jsonrpc: '2.0', id: 1, result: 3},
+                    {
+                        jsonrpc: '2.0',
+                        id: 2,
+                        error: {
+                            code: -32602,
+                            message: 'Invalid params for "sum": /0 must be number',
+                            data: {method: 'sum', target: 'params', errors: [{instancePath: '/0', message: 'must be number'}]},
+                        },
+                    },
+                    {
+                        jsonrpc: '2.0',
+                        id: 3,
+                        error: {
+                            code: -32603,
+                            message: 'Invalid result for "sum": /0 must be number',
+                            data: {method: 'sum', target: 'result', errors: [{instancePath: '/0', message: 'must be number'}]},
+                        },
+                    },
+                ]);
+                deq(sum.args, [[1, 2], [0, 2]]);
+            });
+        });
+
+        describe('proxy', () => {
+            const sentMessages = ws => ws.send.args.map(([data]) => JSON.parse(data));
+
+            it('Should map property access to method calls and notifications', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                const api = rpc.proxy();
+                const getCall = api.users.get(123);
+                await api.$notify.audit.log('Hello!');
+                const reportCall = api.$options({timeout: 5000}).reports.generate('monthly');
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(3);
+
+                const messages = sentMessages(ws);
+                deq(messages.map(object => [object.method, object.params, 'id' in object]), [
+                    ['users.get', [123], true],
+                    ['audit.log', ['Hello!'], false],
+                    ['reports.generate', ['monthly'], true],
+                ]);
+                ws.dispatchEvent({
+                    type: 'message',
+                    data: JSON.stringify({jsonrpc: '2.0', id: messages[0].id, result: {name: 'Joris'}}),
+                });
+                deq(await getCall, {name: 'Joris'});
+
+                const timer = timerMock.setTimeout.getCalls().find(call => call.args[1] === 5000);
+                timer.args[0]();
+                await isRejected(reportCall, /timed out after 5000ms/);
+            });
+
+            it('Should prefix the namespace and reject unknown names without sending anything', async () => {
+                rpc.offlinePolicy = 'reject';
+                const users = rpc.proxy('users', {methods: ['users.get'], notifications: ['users.changed']});
+                await isRejected(users.remove(123), /Method not found "users.remove"/);
+                await isRejected(users.$notify.removed(123), /Unknown notification "users.removed"/);
+                await isRejected(users.get(123), NotConnectedError);
+                await isRejected(users.$notify.changed(123), NotConnectedError);
+            });
+
+            it('Should not look like a Promise or a writable object', async () => {
+                const api = rpc.proxy();
+                eq(api.then, undefined);
+                eq(api.users.then, undefined);
+                eq(typeof await Promise.resolve(api.users), 'function', 'awaiting the proxy must not perform a call');
+                eq('users' in api, false);
+                throws(() => { api.users = 123; }, TypeError);
+                throws(() => rpc.proxy(123), Error, /namespace must be a string/);
+                throws(() => rpc.proxy('', {methods: 'users.get'}), Error, /methods must be an array/);
+            });
+        });
+
+        describe('batches', () => {
+            const receive = (ws, object) => ws.dispatchEvent({
+                type: 'message',
+                data: JSON.stringify(object),
+            });
+
+            it('Should send the calls and notifications of a batch as a single message', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                const batch = rpc.batch();
+                const sumCall = batch.call('sum', 1, 2);
+                const productCall = batch.call({name: 'product', timeout: 5000}, 3, 4);
+                const logNotify = batch.notify('log', 'Hello!');
+                eq(batch.length, 3);
+                eq(batch.sent, false);
+                batch.send();
+                eq(batch.sent, true);
+                throws(() => batch.send(), /already been sent/);
+                throws(() => batch.call('foo'), /already been sent/);
+
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                const messages = JSON.parse(ws.send.args[0][0]);
+                deq(messages.map(({method, params}) => [method, params]), [['sum', [1, 2]], ['product', [3, 4]], ['log', ['Hello!']]]);
+                eq(messages[2].id, undefined);
+                eq(await logNotify, undefined);
+
+                receive(ws, [
+                    {jsonrpc: '2.0', id: messages[1].id, result: 12},
+                    {jsonrpc: '2.0', id: messages[0].id, result: 3},
+                ]);
+                eq(await sumCall, 3);
+                eq(await productCall, 12);
+                eq(ws.send.callCount, 1);
+            });
+
+            it('Should queue a batch while offline and send it as a single message again', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const controller = new AbortController();
+
+                const batch = rpc.batch();
+                const fooCall = batch.call('foo');
+                const barCall = batch.call({name: 'bar', signal: controller.signal});
+                batch.notify('baz');
+                batch.send();
+                await rpc.notify('qux');
+                eq(rpc.offlineQueueLength, 4);
+
+                controller.abort();
+                await isRejected(barCall, /aborted/);
+                eq(rpc.offlineQueueLength, 3);
+
+                ws[WS_MOCK_STATE].open();
+                eq(ws.send.callCount, 2);
+                const messages = JSON.parse(ws.send.args[0][0]);
+                deq(messages.map(({method}) => method), ['foo', 'baz']);
+                eq(JSON.parse(ws.send.args[1][0]).method, 'qux');
+
+                receive(ws, [{jsonrpc: '2.0', id: messages[0].id, result: 'foo result'}]);
+                eq(await fooCall, 'foo result');
+            });
+
+            it('Should keep the entries of a batch together if the middleware delays some of them', async () => {
+                rpc.use(async (context, next) => {
+                    if (context.method === 'slow') {
+                        await delay(5);
+                    }
+                    if (context.method === 'forbidden') {
+                        throw new Error('Forbidden');
+                    }
+                    return next();
+                });
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+
+                const batch = rpc.batch();
+                const slowCall = batch.call('slow', 1);
+                const fastCall = batch.call('fast', 2);
+                const forbiddenCall = batch.call('forbidden', 3);
+                batch.notify('log', 'Hello!');
+                batch.send();
+                await isRejected(forbiddenCall, /Forbidden/);
+
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                await delay(10);
+                eq(ws.send.callCount, 1);
+                const messages = JSON.parse(ws.send.args[0][0]);
+                deq(messages.map(({method, params}) => [method, params]), [['slow', [1]], ['fast', [2]], ['log', ['Hello!']]]);
+
+                receive(ws, messages.slice(0, 2).map(({id, params}) => ({jsonrpc: '2.0', id, result: params[0] * 10})));
+                eq(await slowCall, 10);
+                eq(await fastCall, 20);
+            });
+
+            it('Should respond to a batch from the server with a single message', async () => {
+                rpc.method('double', async x => x * 2);
+                rpc.method('fail', async () => {
+                    throw new Error('Nope');
+                });
+                const notified = new Wait();
+                rpc.notification('log', notified.spy);
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                await delay(1);
+                ws.send.resetHistory();
+
+                receive(ws, [
+                    {jsonrpc: '2.0', id: 'a', method: 'double', params: [21]},
+                    {jsonrpc: '2.0', method: 'log', params: ['batched']},
+                    {jsonrpc: '2.0', id: 'b', method: 'fail', params: []},
+                ]);
+                await notified.waitUntil(1);
+                deq(notified.spy.args, [['batched']]);
+
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                await delay(1);
+                const sent = ws.send.args.map(([data]) => JSON.parse(data)).filter(message => message.method !== 'jsonbird.ping');
+                lengthOf(sent, 1);
+                const responses = sent[0];
+                lengthOf(responses, 2);
+                const byId = new Map(responses.map(response => [response.id, response]));
+                eq(byId.get('a').result, 42);
+                eq(byId.get('b').error.message, 'Nope');
+            });
+
+            it('Should include the errors for invalid requests and duplicate ids in the response to a batch', async () => {
+                rpc.method('double', async x => x * 2);
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                await delay(1);
+                ws.send.resetHistory();
+
+                receive(ws, [
+                    {jsonrpc: '2.0', id: 'a', method: 'double', params: [21]},
+                    {jsonrpc: '2.0', id: 'a', method: 'double', params: [1]},
+                    {jsonrpc: '1.0', id: 'b', method: 'double', params: [2]},
+                    'foo',
+                ]);
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                await delay(1);
+                const sent = ws.send.args.map(([data]) => JSON.parse(data)).filter(message => message.method !== 'jsonbird.ping');
+                lengthOf(sent, 1);
+                deq(
+                    sent[0].map(({id, result, error}) => [id, result, error && error.code]),
+                    [['b', undefined, -32600], [null, undefined, -32600], ['a', 42, undefined], ['a', 2, undefined]],
+                );
+                eq(events.protocolError.callCount, 2);
+            });
+        });
+
+        describe('codec', () => {
+            // reversed JSON, so that it is easy to tell apart from JSON text
+            const reversedCodec = {
+                protocol: 'jsonrpc.reversed',
+                encode: object => Buffer.from(JSON.stringify(object)).reverse(),
+                decode: buffer => JSON.parse(Buffer.from(buffer).reverse().toString()),
+            };
+            const toArrayBuffer = buffer => buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+
+            it('Should use the codec if the server agrees on its subprotocol', async () => {
+                rpc.codec = reversedCodec;
+                rpc.method('double', async x => x * 2);
+                rpc.start();
+                deq(wsMock.firstCall.args[0].protocols, ['jsonrpc.reversed']);
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open('jsonrpc.reversed');
+
+                const fooCall = rpc.call('foo', 'bar');
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                const [sent] = ws.send.args[0];
+                eq(Buffer.isBuffer(sent), true);
+                const request = reversedCodec.decode(sent);
+                deq([request.method, request.params], ['foo', ['bar']]);
+
+                const response = reversedCodec.encode({jsonrpc: '2.0', id: request.id, result: 'baz'});
+                ws.dispatchEvent({type: 'message', data: toArrayBuffer(response)});
+                eq(await fooCall, 'baz');
+
+                // text frames are still accepted
+                const incoming = JSON.stringify({jsonrpc: '2.0', id: 'x', method: 'double', params: [21]});
+                ws.dispatchEvent({type: 'message', data: incoming});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(2);
+                deq(reversedCodec.decode(ws.send.args[1][0]), {jsonrpc: '2.0', id: 'x', result: 42});
+            });
+
+            it('Should use JSON text if the server does not agree on the subprotocol', async () => {
+                rpc.codec = reversedCodec;
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open('');
+                rpc.notify('foo').catch(() => {});
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                deq(JSON.parse(ws.send.args[0][0]), {jsonrpc: '2.0', method: 'foo', params: []});
+            });
+
+            it('Should respond with a parse error if a binary frame can not be decoded', async () => {
+                const waitProtocolError = new Wait();
+                rpc.on('protocolError', waitProtocolError.spy);
+                rpc.codec = reversedCodec;
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open('jsonrpc.reversed');
+
+                ws.dispatchEvent({type: 'message', data: toArrayBuffer(Buffer.from('{"not": "reversed"}'))});
+                await waitProtocolError.waitUntil(1);
+                assert.match(waitProtocolError.spy.args[0][0].message, /Error decoding your "jsonrpc.reversed" message/);
+                await ws[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                const {error, id} = reversedCodec.decode(ws.send.args[0][0]);
+                deq([error.code, id], [-32700, null]);
+            });
+        });
+
+        describe('subprotocols', () => {
+            it('Should request the protocols and expose the one the server agreed on', async () => {
+                rpc.protocols = 'chat.v2';
+                deq(rpc.protocols, ['chat.v2']);
+                rpc.protocols = ['chat.v2', 'chat.v1'];
+                rpc.start();
+                deq(wsMock.firstCall.args[0].protocols, ['chat.v2', 'chat.v1']);
+                eq(rpc.protocol, null);
+
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open('chat.v1');
+                eq(rpc.protocol, 'chat.v1');
+                deq(events.webSocketOpen.args, [[{url: 'ws://localhost/', protocol: 'chat.v1'}]]);
+                eq(rpc.state, 'ready');
+
+                ws[WS_MOCK_STATE].close(1006, '');
+                eq(rpc.protocol, null);
+            });
+
+            it('Should close with PROTOCOL_ERROR and stop reconnecting if the server picked a different protocol', async () => {
+                rpc.reconnect = true;
+                rpc.protocols = ['chat.v2'];
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open('');
+
+                eq(events.webSocketOpen.callCount, 0);
+                deq(ws.close.args, [[1002, 'Unexpected WebSocket subprotocol ""']]);
+                deq(events.webSocketClose.args, [[{
+                    code: 1002,
+                    reason: 'Unexpected WebSocket subprotocol ""',
+                    closedByRemote: false,
+                    reconnect: false,
+                }]]);
+                eq(rpc.started, false);
+                eq(rpc.state, 'stopped');
+                lengthOf(timerMock.setTimeoutCalls.reconnectTimer(), 0);
+            });
+
+            it('Should fall back to a normal close frame if the WebSocket refuses to send PROTOCOL_ERROR', async () => {
+                rpc.protocols = ['chat.v2'];
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws.close = sinon.spy(code => {
+                    if (code !== 1000) {
+                        throw new Error('InvalidAccessError');
+                    }
+                });
+                ws[WS_MOCK_STATE].open('chat.v1');
+
+                deq(ws.close.args.map(([code]) => code), [1002, 1000]);
+                eq(events.webSocketClose.firstCall.args[0].code, 1002);
+            });
+        });
+
+        describe('heartbeat', () => {
+            const heartbeatTimers = () => timerMock.setTimeout.getCalls().filter(call =>
+                call.args[2] === symbols.heartbeatTimerId &&
+                !timerMock.clearedTimers.has(call.returnValue),
+            );
+            const invokeHeartbeatTimer = () => {
+                const calls = heartbeatTimers();
+                lengthOf(calls, 1);
+                timerMock.clearedTimers.add(calls[0].returnValue);
+                calls[0].args[0]();
+                return calls[0];
+            };
+
+            it('Should use ping control frames in the "websocket" mode', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    wsMock = webSocketClientMock({controlFrames: true});
+                    rpc.createConnectionCallback = wsMock;
+                    rpc.heartbeat = 'websocket';
+                    rpc.pingInterval = 5000;
+                    rpc.pingTimeout = 2000;
+                    rpc.consecutivePingFailClose = 2;
+                    rpc.start();
+                    const ws = wsMock.firstCall.returnValue;
+                    ws[WS_MOCK_STATE].open();
+                    eq(heartbeatTimers()[0].args[1], 1);
+
+                    invokeHeartbeatTimer();
+                    eq(ws.ping.callCount, 1);
+                    eq(heartbeatTimers()[0].args[1], 2000);
+                    clock.tick(25);
+                    ws[WS_MOCK_STATE].pong();
+                    deq(events.pingSuccess.args, [[25]]);
+                    eq(heartbeatTimers()[0].args[1], 5000);
+
+                    invokeHeartbeatTimer(); // ping
+                    invokeHeartbeatTimer(); // no pong within pingTimeout
+                    eq(events.pingFail.callCount, 1);
+                    eq(events.pingFail.firstCall.args[0], 1);
+                    match(events.pingFail.firstCall.args[1].message, /No pong received within 2000ms/);
+                    lengthOf(ws.close.args, 0);
+
+                    invokeHeartbeatTimer();
+                    invokeHeartbeatTimer();
+                    eq(events.pingFail.secondCall.args[0], 2);
+                    deq(ws.close.args, [[4100, 'Timeout: No responses received to ping calls']]);
+                    lengthOf(heartbeatTimers(), 0);
+                    eq(ws.ping.callCount, 3);
+                    assert(!ws.send.called, 'Should not have sent any rpc pings');
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+
+            it('Should fall back to rpc pings in the "websocket" mode if ping control frames are not available', async () => {
+                rpc.heartbeat = 'websocket';
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                ws[WS_MOCK_STATE].open();
+                lengthOf(heartbeatTimers(), 0);
+                await invokePingTimers(ws, call => call.args[1] === 1);
+                eq(JSON.parse(ws.send.firstCall.args[0]).method, 'jsonbird.ping');
+            });
+
+            it('Should treat incoming messages as proof of life in the "passive" mode', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    rpc.heartbeat = 'passive';
+                    rpc.pingInterval = 5000;
+                    rpc.consecutivePingFailClose = 2;
+                    rpc.start();
+                    const ws = wsMock.firstCall.returnValue;
+                    ws[WS_MOCK_STATE].open();
+                    eq(heartbeatTimers()[0].args[1], 5000);
+
+                    clock.tick(3000);
+                    ws.dispatchEvent({type: 'message', data: '{"jsonrpc":"2.0","method":"tick"}'});
+                    clock.tick(2000);
+                    invokeHeartbeatTimer();
+                    deq(events.pingSuccess.args, [[2000]]);
+
+                    clock.tick(5000);
+                    invokeHeartbeatTimer();
+                    match(events.pingFail.firstCall.args[1].message, /No messages received within 5000ms/);
+                    clock.tick(5000);
+                    invokeHeartbeatTimer();
+                    deq(ws.close.args, [[4100, 'Timeout: No responses received to ping calls']]);
+                    assert(!ws.send.called, 'Should not have sent any pings');
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+        });
+
+        describe('backpressure', () => {
+            const drainTimers = () => timerMock.setTimeout.getCalls().filter(call => call.args[2] === symbols.drainTimerId);
+            const sentMethods = ws => ws.send.args.map(([data]) => JSON.parse(data).method);
+
+            beforeEach(() => {
+                rpc.sendHighWaterMark = 1000;
+                rpc.sendLowWaterMark = 100;
+            });
+
+            it('Should pause sending above the high watermark and resume at the low watermark', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                wsMockState.open();
+
+                ws.bufferedAmount = 1000;
+                await rpc.notify('first');
+                await wsMockState.waitForSend.waitUntil(1);
+                eq(rpc.sendingPaused, false, 'bufferedAmount equal to the high watermark should not pause');
+
+                ws.bufferedAmount = 5000;
+                await rpc.notify('second');
+                await wsMockState.waitForSend.waitUntil(2);
+                eq(rpc.sendingPaused, true);
+                await rpc.notify('third');
+                await delay(10);
+                deq(sentMethods(ws), ['first', 'second']);
+
+                lengthOf(drainTimers(), 1);
+                eq(drainTimers()[0].args[1], 50);
+                ws.bufferedAmount = 101;
+                drainTimers()[0].args[0]();
+                eq(rpc.sendingPaused, true);
+                eq(events.drain.callCount, 0);
+
+                lengthOf(drainTimers(), 2);
+                ws.bufferedAmount = 100;
+                await wsMockState.waitForSend.waitForSideEffect(1, () => drainTimers()[1].args[0]());
+                eq(rpc.sendingPaused, false);
+                deq(events.drain.args, [[{bufferedAmount: 100}]]);
+                deq(sentMethods(ws), ['first', 'second', 'third']);
+            });
+
+            it('Should stop flushing the offline queue above the high watermark and continue after the drain event', async () => {
+                const sentFrames = ws => ws.send.args.map(([data]) => JSON.parse(data)).map(value => (
+                    Array.isArray(value) ? value.map(message => message.method) : value.method
+                ));
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                await rpc.notify('first');
+                await rpc.notify('second');
+                const batch = rpc.batch();
+                const batchPromises = [batch.notify('third'), batch.notify('fourth')];
+                batch.send();
+                await Promise.all(batchPromises);
+                eq(rpc.offlineQueueLength, 4);
+
+                ws.bufferedAmount = 5000;
+                wsMockState.open();
+                deq(sentFrames(ws), ['first']);
+                eq(rpc.sendingPaused, true);
+                eq(rpc.offlineQueueLength, 3);
+                await rpc.notify('fifth');
+                await delay(10);
+                eq(ws.send.callCount, 1);
+
+                ws.bufferedAmount = 0;
+                await wsMockState.waitForSend.waitForSideEffect(3, () => drainTimers()[0].args[0]());
+                eq(rpc.sendingPaused, false);
+                eq(rpc.offlineQueueLength, 0);
+                deq(sentFrames(ws), ['first', 'second', ['third', 'fourth'], 'fifth']);
+                deq(events.drain.args, [[{bufferedAmount: 0}]]);
+            });
+
+            it('Should make call() and notify() wait for the drain event if backpressure is "wait"', async () => {
+                rpc.backpressure = 'wait';
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                wsMockState.open();
+
+                ws.bufferedAmount = 5000;
+                await rpc.notify('first');
+                await wsMockState.waitForSend.waitUntil(1);
+                eq(rpc.sendingPaused, true);
+
+                let notified = false;
+                const notifyPromise = rpc.notify('second').then(() => { notified = true; });
+                const controller = new AbortController();
+                const abortedCall = rpc.call({name: 'aborted', signal: controller.signal});
+                controller.abort();
+                await isRejected(abortedCall, /abort/i);
+                await delay(10);
+                eq(notified, false);
+
+                ws.bufferedAmount = 0;
+                drainTimers()[drainTimers().length - 1].args[0]();
+                await notifyPromise;
+                await rpc.waitForDrain();
+                await wsMockState.waitForSend.waitUntil(2);
+                deq(sentMethods(ws), ['first', 'second']);
+            });
+
+            it('Should keep the entries of a batch together while waiting for the drain event', async () => {
+                rpc.backpressure = 'wait';
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                wsMockState.open();
+
+                ws.bufferedAmount = 5000;
+                await rpc.notify('first');
+                await wsMockState.waitForSend.waitUntil(1);
+                eq(rpc.sendingPaused, true);
+
+                const batch = rpc.batch();
+                batch.call('second').catch(() => {});
+                const thirdNotify = batch.notify('third');
+                batch.send();
+                await delay(10);
+                eq(ws.send.callCount, 1);
+
+                ws.bufferedAmount = 0;
+                drainTimers()[drainTimers().length - 1].args[0]();
+                await thirdNotify;
+                await wsMockState.waitForSend.waitUntil(2);
+                eq(ws.send.callCount, 2);
+                deq(JSON.parse(ws.send.args[1][0]).map(({method}) => method), ['second', 'third']);
+            });
+
+            it('Should resume sending when the connection is closed, leaving the remaining messages to the offlinePolicy', async () => {
+                rpc.start();
+                const ws = wsMock.firstCall.returnValue;
+                const wsMockState = ws[WS_MOCK_STATE];
+                wsMockState.open();
+
+                ws.bufferedAmount = 5000;
+                await rpc.notify('first');
+                await wsMockState.waitForSend.waitUntil(1);
+                await rpc.notify('second');
+
+                wsMockState.close(3000, 'bye');
+                eq(rpc.sendingPaused, false);
+                deq(events.drain.args, [[{bufferedAmount: 0}]]);
+                await delay(10);
+                eq(rpc.offlineQueueLength, 1);
+                assert(timerMock.clearedTimers.has(drainTimers()[0].returnValue), 'Should have cleared the drain timer');
+            });
+        });
+
+        describe('traffic recording', () => {
+            it('Should record frames and connection lifecycle events until detached', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    const lines = [];
+                    const recorder = new TrafficRecorder({stream: {write: line => void lines.push(line)}});
+                    const detach = recorder.attach(rpc);
+
+                    rpc.start();
+                    const ws = wsMock.firstCall.returnValue;
+                    const wsMockState = ws[WS_MOCK_STATE];
+                    wsMockState.open();
+                    clock.tick(10);
+                    await rpc.notify('hello', 123);
+                    await wsMockState.waitForSend.waitUntil(1);
+                    ws.dispatchEvent({type: 'message', data: '{"jsonrpc":"2.0","method":"tick","params":[]}'});
+                    ws.dispatchEvent({type: 'message', data: new Uint8Array([1, 2, 3]).buffer});
+                    clock.tick(10);
+                    wsMockState.close(4000, 'bye');
+
+                    deq(recorder.entries, [
+                        {time: 100000, type: 'connecting', url: 'ws://localhost/'},
+                        {time: 100000, type: 'open', url: 'ws://localhost/', protocol: ''},
+                        {time: 100010, type: 'send', data: '{"jsonrpc":"2.0","method":"hello","params":[123]}'},
+                        {time: 100010, type: 'receive', data: '{"jsonrpc":"2.0","method":"tick","params":[]}'},
+                        {time: 100010, type: 'receive', binary: true, data: 'AQID'},
+                        {time: 100020, type: 'close', code: 4000, reason: 'bye', closedByRemote: true},
+                    ]);
+                    eq(lines.join(''), recorder.toJSONL());
+                    deq(TrafficRecorder.parse(recorder.toJSONL()), recorder.entries);
+
+                    detach();
+                    recorder.clear();
+                    clock.tick(10);
+                    timerMock.setTimeoutCalls.reconnectTimer()[0].args[0]();
+                    wsMock.secondCall.returnValue[WS_MOCK_STATE].open();
+                    deq(recorder.entries, []);
+                    eq(Object.prototype.hasOwnProperty.call(rpc, '_sendFrame'), false, 'detach() should remove the hooks');
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+
+            it('Should keep at most maxEntries entries in memory', () => {
+                const recorder = new TrafficRecorder({maxEntries: 2});
+                recorder.record({type: 'marker', name: 'a'});
+                recorder.record({type: 'marker', name: 'b'});
+                recorder.record({type: 'marker', name: 'c'});
+                deq(recorder.entries.map(entry => entry.name), ['b', 'c']);
+                throws(() => new TrafficRecorder({stream: {}}), Error, /stream must be null or have a write\(\) function/);
+            });
+        });
+
+        describe('statistics', () => {
+            it('Should count connections, reconnects, traffic and ping results', async () => {
+                const clock = sinon.useFakeTimers({now: 100000, toFake: ['Date']});
+                try {
+                    rpc.reconnect = true;
+                    rpc.reconnectDelayCallback = () => 1000;
+                    rpc.resetStats();
+                    rpc.start();
+                    const ws1 = wsMock.firstCall.returnValue;
+                    clock.tick(100);
+                    ws1[WS_MOCK_STATE].open();
+                    clock.tick(400);
+
+                    const fooCall = rpc.call('foo');
+                    await ws1[WS_MOCK_STATE].waitForSend.waitUntil(1);
+                    const {id} = JSON.parse(ws1.send.args[0][0]);
+                    eq(rpc.getStats().callsInFlight, 1);
+                    const response = JSON.stringify({jsonrpc: '2.0', id, result: 'résumé'});
+                    ws1.dispatchEvent({type: 'message', data: response});
+                    eq(await fooCall, 'résumé');
+
+                    for (const pingDelay of [30, 10, 20]) {
+                        rpc.rpc.emit('pingSuccess', pingDelay);
+                    }
+                    rpc.rpc.emit('pingFail', 1, new Error('Ping timed out'));
+
+                    deq(rpc.getStats(), {
+                        since: 100000,
+                        connectAttempts: 1,
+                        connectSuccesses: 1,
+                        connectTimeouts: 0,
+                        connectedTime: 400,
+                        uptime: 400,
+                        reconnects: 0,
+                        reconnectsByCloseCode: {},
+                        messagesSent: 1,
+                        bytesSent: Buffer.byteLength(ws1.send.args[0][0]),
+                        messagesReceived: 1,
+                        bytesReceived: Buffer.byteLength(response),
+                        callsInFlight: 0,
+                        callTimeouts: 0,
+                        pingFailures: 1,
+                        rtt: {samples: 3, min: 10, avg: 20, p95: 30},
+                    });
+
+                    ws1[WS_MOCK_STATE].close(4000, 'Going away for a while');
+                    clock.tick(1000);
+                    await invokeReconnectTimer();
+                    const ws2 = wsMock.secondCall.returnValue;
+                    ws2[WS_MOCK_STATE].open();
+                    clock.tick(50);
+
+                    const stats = rpc.getStats();
+                    deq(
+                        [stats.connectAttempts, stats.connectSuccesses, stats.connectedTime, stats.uptime, stats.reconnects],
+                        [2, 2, 450, 50, 1],
+                    );
+                    deq(stats.reconnectsByCloseCode, {4000: 1});
+
+                    rpc.resetStats();
+                    clock.tick(25);
+                    const {since, connectAttempts, connectedTime, uptime, messagesSent, rtt} = rpc.getStats();
+                    deq([since, connectAttempts, connectedTime, uptime, messagesSent], [101550, 0, 25, 25, 0]);
+                    deq(rtt, {samples: 0, min: null, avg: null, p95: null});
+                }
+                finally {
+                    clock.restore();
+                }
+            });
+
+            it('Should count call timeouts and connect timeouts', async () => {
+                rpc.start();
+                const ws1 = wsMock.firstCall.returnValue;
+                ws1[WS_MOCK_STATE].open();
+                const fooCall = rpc.call({name: 'foo', timeout: 1234});
+                const [timeoutCall] = timerMock.setTimeout.getCalls().filter(call => call.args[1] === 1234);
+                timeoutCall.args[0]();
+                await isRejected(fooCall, /timed out after 1234ms/);
+                eq(rpc.getStats().callTimeouts, 1);
+
+                rpc.reconnect = false;
+                rpc.closeConnection(4000, 'Reconnect please');
+                rpc.start();
+                await invokeConnectTimeoutTimer();
+                eq(rpc.getStats().connectTimeouts, 1);
+            });
+        });
     });
 
     describe('RPC handling', () => {
@@ -819,7 +3042,7 @@ describe('WebSocketClient', () => {
 
             lengthOf(errors, 0);
             await wait.waitForSideEffect(1, () => {
-                wsMockState.mockEvents.emit('message', {
+                ws.dispatchEvent({
                     // (MessageEvent)
                     type: 'message',
                     data: JSON.stringify({jsonrpc: '1.5', id: 'foo', method: 'foo'}),
@@ -871,8 +3094,8 @@ describe('WebSocketClient', () => {
             const wsMockState = ws[WS_MOCK_STATE];
             wsMockState.open();
 
-            rpc.call('oof', 123);
-            rpc.bindCall('rab')(456);
+            rpc.call('oof', 123).catch(() => {});
+            rpc.bindCall('rab')(456).catch(() => {});
             rpc.notify('zab', 789);
             rpc.bindNotify('xuuq')(12);
             await wsMockState.waitForSend.waitUntil(4);
@@ -913,4 +3136,323 @@ describe('WebSocketClient', () => {
             }
         });
     });
+
+    describe('ReplayServer', () => {
+        let rpc;
+
+        afterEach(() => rpc && rpc.stop());
+
+        const frame = object => JSON.stringify(Object.assign({jsonrpc: '2.0'}, object));
+        const RECORDING = [
+            {type: 'connecting', url: 'ws://replay/'},
+            {type: 'open', url: 'ws://replay/', protocol: ''},
+            {type: 'send', data: frame({id: 'recorded-1', method: 'sum', params: [1, 2]})},
+            {type: 'send', data: frame({id: 'recorded-2', method: 'multiply', params: [2, 3]})},
+            {type: 'receive', data: frame({id: 'recorded-2', result: 6})},
+            {type: 'receive', data: frame({id: 'recorded-1', result: 3})},
+            {type: 'receive', data: frame({method: 'tick', params: [1]})},
+            {type: 'close', code: 4000, reason: 'bye', closedByRemote: true},
+        ];
+
+        const createClient = replay => {
+            rpc = new WebSocketClient({
+                url: 'ws://replay/',
+                reconnect: false,
+                heartbeat: 'passive',
+                createConnectionCallback: replay.createConnectionCallback,
+            });
+            return rpc;
+        };
+
+        it('Should play back a recording and rewrite the ids of responses', async () => {
+            const replay = new ReplayServer(RECORDING.map(entry => JSON.stringify(entry)).join('\n'));
+            eq(replay.ordering, 'strict');
+            createClient(replay);
+            const tick = sinon.spy();
+            rpc.notification('tick', tick);
+            const closed = rpc.waitForClose();
+            rpc.start();
+            await rpc.waitForConnection();
+
+            const results = await Promise.all([rpc.call('sum', 1, 2), rpc.call('multiply', 2, 3)]);
+            deq(results, [3, 6]);
+            const {code, reason} = await closed;
+            eq(code, 4000);
+            eq(reason, 'bye');
+            deq(tick.args, [[1]]);
+            deq(replay.mismatches, []);
+            eq(replay.finished, true);
+        });
+
+        it('Should report frames which do not match the recording with strict ordering', async () => {
+            const replay = new ReplayServer(RECORDING);
+            createClient(replay);
+            const mismatch = new Promise(resolve => replay.once('mismatch', resolve));
+            rpc.start();
+            await rpc.waitForConnection();
+
+            rpc.call('multiply', 2, 3).catch(() => {});
+            const {connection, expected, actual} = await mismatch;
+            eq(connection, 0);
+            eq(expected, RECORDING[2].data);
+            eq(JSON.parse(actual).method, 'multiply');
+            lengthOf(replay.mismatches, 1);
+            eq(replay.finished, false);
+        });
+
+        it('Should match frames in any order with loose ordering', async () => {
+            const replay = new ReplayServer(RECORDING, {ordering: 'loose'});
+            createClient(replay);
+            const closed = rpc.waitForClose();
+            rpc.start();
+            await rpc.waitForConnection();
+
+            const multiplyCall = rpc.call('multiply', 2, 3);
+            await delay(10);
+            const sumCall = rpc.call('sum', 1, 2);
+            eq(await multiplyCall, 6);
+            eq(await sumCall, 3);
+            await closed;
+            deq(replay.mismatches, []);
+            eq(replay.finished, true);
+        });
+
+        it('Should decode and encode binary frames using the codec of the recorded subprotocol', async () => {
+            const reversedCodec = {
+                protocol: 'jsonrpc.reversed',
+                encode: object => Buffer.from(JSON.stringify(object)).reverse(),
+                decode: buffer => JSON.parse(Buffer.from(buffer).reverse().toString()),
+            };
+            const binaryEntry = (type, object) => ({
+                type,
+                binary: true,
+                data: reversedCodec.encode(Object.assign({jsonrpc: '2.0'}, object)).toString('base64'),
+            });
+            const replay = new ReplayServer([
+                {type: 'connecting', url: 'ws://replay/'},
+                {type: 'open', url: 'ws://replay/', protocol: 'jsonrpc.reversed'},
+                binaryEntry('send', {id: 'recorded-1', method: 'sum', params: [1, 2]}),
+                binaryEntry('receive', {id: 'recorded-1', result: 3}),
+            ], {codecs: [reversedCodec]});
+            createClient(replay);
+            rpc.codec = reversedCodec;
+            rpc.start();
+            await rpc.waitForConnection();
+
+            eq(rpc.protocol, 'jsonrpc.reversed');
+            eq(await rpc.call('sum', 1, 2), 3);
+            deq(replay.mismatches, []);
+            eq(replay.finished, true);
+            throws(() => new ReplayServer([], {codecs: [{}]}), Error, /Invalid value for codecs/);
+        });
+
+        it('Should close connections made after the recording has been exhausted', async () => {
+            const replay = new ReplayServer([]);
+            createClient(replay);
+            const closed = rpc.waitForClose();
+            rpc.start();
+            const {code} = await closed;
+            eq(code, 1011);
+            throws(() => new ReplayServer([], {ordering: 'random'}), Error, /ordering must be one of: strict, loose/);
+        });
+    });
+
+    describe('testing', () => {
+        let rpc;
+
+        afterEach(() => rpc && rpc.stop());
+
+        const createClient = (peer, opts = {}) => {
+            rpc = new WebSocketClient(Object.assign({
+                url: 'ws://fake/',
+                heartbeat: 'passive',
+                createConnectionCallback: peer.createConnectionCallback,
+            }, opts));
+            return rpc;
+        };
+
+        it('Should answer calls using scripted replies, handlers and pings', async () => {
+            const peer = new testing.FakeJsonRpcPeer();
+            peer.method('sum', (a, b) => a + b);
+            peer.method('version', '1.2.3');
+            peer.reply('login', {token: 'abc'}, Object.assign(Error('Invalid password'), {code: 401, data: {attempts: 1}}));
+            createClient(peer).start();
+            await rpc.waitForConnection();
+
+            eq(await rpc.call('sum', 1, 2), 3);
+            eq(await rpc.call('version'), '1.2.3');
+            deq(await rpc.call('login', 'joris', 'secret'), {token: 'abc'});
+            const loginError = await isRejected(rpc.call('login', 'joris', 'wrong'), /Invalid password/);
+            eq(loginError.code, 401);
+            deq(loginError.data, {attempts: 1});
+            await isRejected(rpc.call('login', 'joris', 'secret'), /Method not found: login/);
+            eq(await rpc.call('jsonbird.ping'), true);
+
+            deq(peer.calls().map(call => call.method), ['sum', 'version', 'login', 'login', 'login']);
+            eq(peer.assertCalled('login', 'joris', 'secret').notification, false);
+            peer.assertNotCalled('jsonbird.ping');
+            throws(() => peer.assertCalled('logout'), /Expected "logout" to have been called/);
+            throws(() => peer.assertCalled('sum', 3, 4), /Expected "sum" to have been called with different params/);
+            throws(() => peer.assertNotCalled('sum'), /Expected "sum" not to have been called, but it was called 1 time/);
+            peer.clearCalls();
+            deq(peer.calls(), []);
+        });
+
+        it('Should send notifications and calls to the client and wait for calls from the client', async () => {
+            const peer = new testing.FakeJsonRpcPeer({responseDelay: 5});
+            createClient(peer);
+            const changed = sinon.spy();
+            rpc.notification('userChanged', changed);
+            rpc.method('multiply', (a, b) => a * b);
+            rpc.start();
+            await rpc.waitForConnection();
+
+            const waitForAudit = peer.waitForCall('audit');
+            await rpc.notify('audit', 'hello');
+            deq((await waitForAudit).params, ['hello']);
+            eq(peer.assertCalled('audit', 'hello').notification, true);
+
+            peer.notify('userChanged', {id: 123});
+            eq(await peer.call('multiply', 6, 7), 42);
+            deq(changed.args, [[{id: 123}]]);
+            await isRejected(peer.call('divide', 6, 7), /Method not found/);
+        });
+
+        it('Should simulate errors, server closes and client closes', async () => {
+            const peer = new testing.FakeJsonRpcPeer();
+            createClient(peer, {reconnectDelayCallback: () => 1});
+            const errors = [];
+            const closes = [];
+            rpc.on('webSocketError', event => void errors.push(event.message));
+            rpc.on('webSocketClose', ({code, closedByRemote}) => void closes.push([code, closedByRemote]));
+            rpc.start();
+            await rpc.waitForConnection();
+
+            peer.webSocket.simulateError(Error('Connection reset'));
+            await rpc.waitForConnection();
+            lengthOf(peer.webSockets, 2);
+            deq(errors, ['Connection reset']);
+
+            peer.webSocket.simulateClose(4000, 'bye', {delay: 1});
+            await rpc.waitForClose();
+            await rpc.waitForConnection();
+            lengthOf(peer.webSockets, 3);
+
+            const {webSocket} = peer;
+            rpc.stop();
+            deq(webSocket.closeRequest, {code: 1000, reason: 'Normal Closure'});
+            eq(webSocket.readyState, 2);
+            await delay(1);
+            eq(webSocket.readyState, 3);
+            deq(closes, [[closeCodes.ABNORMAL_CLOSURE, true], [4000, true], [1000, false]]);
+        });
+
+        it('Should make reconnect delays, connect timeouts and call timeouts deterministic using a VirtualClock', async () => {
+            const clock = new testing.VirtualClock({now: 1000, seed: 42});
+            const expectedRandom = new testing.VirtualClock({seed: 42});
+            const peer = new testing.FakeJsonRpcPeer({clock, openDelay: null});
+            const recorder = new TrafficRecorder({clock});
+            createClient(peer, {clock, heartbeat: 'rpc'});
+            recorder.attach(rpc);
+            const closes = [];
+            rpc.on('webSocketClose', ({code, reconnectDelay}) => void closes.push([code, reconnectDelay]));
+            rpc.start();
+            lengthOf(peer.webSockets, 1);
+            eq(recorder.entries[0].time, 1000);
+
+            clock.tick(9999);
+            lengthOf(closes, 0);
+            clock.tick(1);
+            const expectedDelays = [0, 1, 2].map(x => 2 ** x * 100 * (expectedRandom.random() + 0.5));
+            deq(closes, [[4100, expectedDelays[0]]]);
+
+            for (let attempt = 1; attempt < expectedDelays.length; ++attempt) {
+                eq(rpc.reconnectDelayRemaining, expectedDelays[attempt - 1]);
+                clock.tick(Math.ceil(expectedDelays[attempt - 1]) - 1);
+                lengthOf(peer.webSockets, attempt);
+                clock.tick(1);
+                lengthOf(peer.webSockets, attempt + 1);
+                peer.webSocket.simulateError();
+                deq(closes[attempt], [closeCodes.ABNORMAL_CLOSURE, expectedDelays[attempt]]);
+            }
+
+            clock.tick(Math.ceil(expectedDelays[2]));
+            peer.webSocket.simulateOpen();
+            await rpc.waitForConnection();
+            peer.method('slow', () => new Promise(() => {}));
+            const slowCall = rpc.call({name: 'slow', timeout: 500});
+            await peer.waitForCall('slow');
+            clock.tick(500);
+            await isRejected(slowCall, /timed out after 500ms/);
+
+            const isPing = entry => entry.type === 'send' && JSON.parse(entry.data).method === 'jsonbird.ping';
+            await delay(1); // the next ping is scheduled after the response to the previous ping has been handled
+            const pingCount = recorder.entries.filter(isPing).length;
+            clock.tick(rpc.pingInterval);
+            await delay(1);
+            eq(recorder.entries.filter(isPing).length, pingCount + 1, 'pings should be scheduled using the clock');
+            throws(() => new WebSocketClient({clock: {now: () => 0}}), Error, /clock.setTimeout must be a function/);
+        });
+
+        it('Should fire VirtualClock timers in order', () => {
+            const clock = new testing.VirtualClock();
+            const fired = [];
+            clock.setTimeout(() => fired.push('b'), 20);
+            clock.setTimeout(() => {
+                fired.push('a');
+                clock.setTimeout(() => fired.push('a2'), 5);
+            }, 10);
+            const cleared = clock.setTimeout(() => fired.push('cleared'), 15);
+            clock.clearTimeout(cleared);
+            clock.setTimeout(() => fired.push('c'), 100);
+
+            eq(clock.nextTimerAt, 10);
+            eq(clock.tick(20), 3);
+            deq(fired, ['a', 'a2', 'b']);
+            eq(clock.now(), 20);
+            eq(clock.pendingTimers, 1);
+            eq(clock.runAll(), 1);
+            eq(clock.now(), 100);
+            eq(clock.next(), false);
+            eq(clock.nextTimerAt, null);
+
+            const loop = () => clock.setTimeout(loop, 1);
+            loop();
+            throws(() => clock.runAll(10), Error, /Aborted after firing 10 timers/);
+            const [first, second] = [new testing.VirtualClock({seed: 7}), new testing.VirtualClock({seed: 7})];
+            deq([first.random(), first.random()], [second.random(), second.random()]);
+            const sequence = [first.random(), first.random()];
+            assert(sequence[0] !== sequence[1], 'random() should not return a constant');
+        });
+
+        it('Should support FakeWebSocket without a peer', async () => {
+            const sockets = [];
+            rpc = new WebSocketClient({
+                url: 'ws://fake/',
+                heartbeat: 'passive',
+                createConnectionCallback: ({url, protocols}) => {
+                    const webSocket = new testing.FakeWebSocket(url, protocols, {closeDelay: null});
+                    sockets.push(webSocket);
+                    return webSocket;
+                },
+            });
+            const hello = new Promise(resolve => rpc.notification('hello', resolve));
+            rpc.start();
+            const [webSocket] = sockets;
+            eq(webSocket.url, 'ws://fake/');
+            webSocket.simulateOpen('', {delay: 1});
+            await rpc.waitForConnection();
+
+            webSocket.simulateMessage({jsonrpc: '2.0', method: 'hello', params: [1]});
+            eq(await hello, 1);
+            rpc.notify('bye', 2);
+            deq((await webSocket.waitForSend(1)).map(frame => JSON.parse(frame).method), ['bye']);
+
+            rpc.stop();
+            eq(webSocket.readyState, 2, 'closeDelay: null should leave the close event to the test');
+            webSocket.simulateClose(1000, '');
+            eq(webSocket.readyState, 3);
+            throws(() => new testing.FakeWebSocket('ws://fake/', [], {closeDelay: -1}), Error, /closeDelay must be null or a number/);
+        });
+    });
 });
@@ -6,7 +6,7 @@ const ws = require('ws');
 
 const readyState = require('../../lib/readyState');
 const Wait = require('../utilities/Wait');
-const {WebSocketClient} = require('../../');
+const {WebSocketClient, WebSocketServer} = require('../../');
 
 describe('integration/Node.js', () => {
     let httpServer;
@@ -115,6 +115,42 @@ describe('integration/Node.js', () => {
         }
     });
 
+    it('Should send a batch to a WebSocketServer and receive all the responses as a single message', async () => {
+        const server = new WebSocketServer({webSocketServer: wsServer});
+        try {
+            const waitLog = new Wait();
+            server.method('sum', async (a, b) => a + b);
+            server.method('double', async x => x * 2);
+            server.notification('log', waitLog.spy);
+
+            rpc = new WebSocketClient({url: `ws://127.0.0.1:${port()}/my-test`, heartbeat: 'passive'});
+            rpc.start();
+            await rpc.waitForConnection({timeout: 5000});
+            const {messagesReceived} = rpc.getStats();
+
+            const batch = rpc.batch();
+            const sumCall = batch.call('sum', 10, 3);
+            const doubleCall = batch.call('double', 21);
+            const unknownCall = batch.call('unknown').catch(error => error);
+            batch.notify('log', 'hello');
+            batch.send();
+
+            eq(await sumCall, 13);
+            eq(await doubleCall, 42);
+            match((await unknownCall).message, /Method not found/);
+            await waitLog.waitUntil(1);
+            deq(waitLog.spy.args, [['hello']]);
+
+            await connections[0].waitForMessage.waitUntil(1);
+            lengthOf(connections[0].messages, 1);
+            lengthOf(connections[0].messages[0], 4);
+            eq(rpc.getStats().messagesReceived - messagesReceived, 1);
+        }
+        finally {
+            server.close();
+        }
+    });
+
     it('Should send messages and reply to them (binary opcode)', async () => {
         rpc = new WebSocketClient({url: `ws://127.0.0.1:${port()}/my-test`});
         rpc.start();
@@ -222,6 +258,43 @@ describe('integration/Node.js', () => {
         lengthOf(connections, 2);
     });
 
+    it('Should wait for the connection and the close event using promises', async () => {
+        rpc = new WebSocketClient({
+            url: `ws://127.0.0.1:${port()}/my-test`,
+            reconnectDelayCallback: x => 11,
+        });
+
+        rpc.start();
+        deq(await rpc.waitForConnection({timeout: 5000}), {url: `ws://127.0.0.1:${port()}/my-test`});
+        eq(rpc.hasActiveConnection, true);
+        await waitForConnection.waitUntil(1);
+
+        const closePromise = rpc.waitForClose({timeout: 5000});
+        connections[0].webSocket.close(1000, 'Closed by server in a unit test');
+        const closeInfo = await closePromise;
+        eq(closeInfo.code, 1000);
+        eq(closeInfo.reconnect, true);
+        eq(rpc.hasActiveConnection, false);
+
+        await rpc.connected();
+        eq(rpc.hasActiveConnection, true);
+        lengthOf(connections, 2);
+    });
+
+    it('Should request the configured subprotocols', async () => {
+        rpc = new WebSocketClient({
+            url: `ws://127.0.0.1:${port()}/my-test`,
+            protocols: ['chat.v2', 'chat.v1'],
+        });
+
+        rpc.start();
+        await rpc.waitForConnection({timeout: 5000});
+        await waitForConnection.waitUntil(1);
+        eq(connections[0].httpRequest.headers['sec-websocket-protocol'], 'chat.v2, chat.v1');
+        eq(connections[0].webSocket.protocol, 'chat.v2'); // ws.Server picks the first one by default
+        eq(rpc.protocol, 'chat.v2');
+    });
+
     it('Should keep reconnecting (until stop())', {timeout: 10000, slow: 4000}, async () => {
         rpc = new WebSocketClient({
             url: `ws://127.0.0.1:${port()}/my-test`,
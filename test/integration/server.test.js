@@ -0,0 +1,236 @@
+'use strict';
+const {describe, it, beforeEach, afterEach} = require('mocha-sugar-free');
+const chai = require('chai');
+const chaiAsPromised = require('chai-as-promised');
+const http = require('http');
+const WebSocket = require('ws');
+
+const Wait = require('../utilities/Wait');
+const {WebSocketClient, WebSocketServer, WebSocketPeer} = require('../../');
+
+chai.use(chaiAsPromised);
+const {assert: {deepEqual: deq, strictEqual: eq, lengthOf, isRejected, instanceOf, match}} = chai;
+
+describe('integration/WebSocketServer', () => {
+    let httpServer;
+    let wsServer;
+    let server;
+    let rpc;
+    let waitConnection;
+    let waitDisconnect;
+
+    const port = () => httpServer.address().port;
+
+    beforeEach(async () => {
+        httpServer = http.createServer((req, res) => {
+            res.writeHead(404, {'Content-Type': 'text/plain'});
+            res.end('Niet gevonden');
+        });
+        httpServer.on('connection', socket => socket.unref());
+        wsServer = new WebSocket.Server({server: httpServer, path: '/my-test'});
+        httpServer.listen(0, '127.0.0.1');
+        await new Promise(resolve => httpServer.once('listening', resolve));
+
+        server = new WebSocketServer({webSocketServer: wsServer});
+        waitConnection = new Wait();
+        waitDisconnect = new Wait();
+        server.on('connection', waitConnection.spy);
+        server.on('disconnect', waitDisconnect.spy);
+
+        rpc = new WebSocketClient({
+            url: `ws://127.0.0.1:${port()}/my-test`,
+            reconnect: false,
+        });
+    });
+
+    afterEach(() => {
+        rpc && rpc.stop();
+        rpc = null;
+        server && server.close();
+        server = null;
+        httpServer && httpServer.close();
+        httpServer = null;
+    });
+
+    it('Should handle method calls from the client using the methods registered on the server', async () => {
+        server.method('sum', async (a, b) => a + b);
+        server.methods({double: async x => x * 2});
+        rpc.start();
+        eq(await rpc.call('sum', 10, 3), 13);
+        eq(await rpc.call('double', 21), 42);
+
+        await waitConnection.waitUntil(1);
+        const [peer] = waitConnection.spy.args[0];
+        instanceOf(peer, WebSocketPeer);
+        eq(peer.isOpen, true);
+        eq(peer.httpRequest.url, '/my-test');
+        deq(server.peers, [peer]);
+    });
+
+    it('Should register methods for peers which are already connected', async () => {
+        rpc.start();
+        await waitConnection.waitUntil(1);
+        server.method('late', async () => 'registered after the connection');
+        eq(await rpc.call('late'), 'registered after the connection');
+    });
+
+    it('Should handle notifications from the client', async () => {
+        const wait = new Wait();
+        server.notification('log', wait.spy);
+        rpc.start();
+        await rpc.notify('log', 'hello', 'world');
+        await wait.waitUntil(1);
+        deq(wait.spy.args, [['hello', 'world']]);
+    });
+
+    it('Should answer pings from the client', async () => {
+        const waitPingSuccess = new Wait();
+        rpc.pingInterval = 10;
+        rpc.on('pingSuccess', waitPingSuccess.spy);
+        rpc.start();
+        await waitPingSuccess.waitUntil(2);
+    });
+
+    it('Should answer WebSocket ping control frames from the client', async () => {
+        const waitPingSuccess = new Wait();
+        rpc.heartbeat = 'websocket';
+        rpc.pingInterval = 10;
+        rpc.on('pingSuccess', waitPingSuccess.spy);
+        rpc.start();
+        await waitPingSuccess.waitUntil(2);
+    });
+
+    it('Should call methods and notifications on the client using the peer', async () => {
+        const wait = new Wait();
+        rpc.method('hello', async name => `Hello ${name}!`);
+        rpc.notification('bye', wait.spy);
+        rpc.start();
+        await waitConnection.waitUntil(1);
+        const [peer] = waitConnection.spy.args[0];
+
+        eq(await peer.call('hello', 'Joris'), 'Hello Joris!');
+        eq(await peer.bindCall('hello')('World'), 'Hello World!');
+        await peer.notify('bye', 1);
+        await peer.bindNotify('bye')(2);
+        await wait.waitUntil(2);
+        deq(wait.spy.args, [[1], [2]]);
+    });
+
+    it('Should emit "disconnect" and reject pending calls when the client closes the connection', async () => {
+        const waitWebSocketOpen = new Wait();
+        rpc.on('webSocketOpen', waitWebSocketOpen.spy);
+        rpc.method('never', () => new Promise(() => {}));
+        rpc.start();
+        await waitWebSocketOpen.waitUntil(1);
+        await waitConnection.waitUntil(1);
+        const [peer] = waitConnection.spy.args[0];
+        const pendingCall = peer.call('never');
+
+        rpc.stop(4321, 'Closed by the client in a unit test');
+        await waitDisconnect.waitUntil(1);
+        eq(waitDisconnect.spy.args[0][0], peer);
+        deq(waitDisconnect.spy.args[0][1], {code: 4321, reason: 'Closed by the client in a unit test', closedByRemote: true});
+        eq(peer.isOpen, false);
+        lengthOf(server.peers, 0);
+        await isRejected(pendingCall, /Writable side of this Duplex stream has finished/);
+    });
+
+    it('Should close the connection of all peers', async () => {
+        const waitWebSocketClose = new Wait();
+        rpc.on('webSocketClose', waitWebSocketClose.spy);
+        rpc.start();
+        await waitConnection.waitUntil(1);
+
+        server.close(4000, 'Closed by the server in a unit test');
+        lengthOf(server.peers, 0);
+        eq(waitDisconnect.spy.callCount, 1);
+        deq(waitDisconnect.spy.args[0][1], {code: 4000, reason: 'Closed by the server in a unit test', closedByRemote: false});
+
+        await waitWebSocketClose.waitUntil(1);
+        eq(waitWebSocketClose.spy.args[0][0].code, 4000);
+    });
+
+    it('Should negotiate a codec using the WebSocket subprotocol', async () => {
+        const reversedCodec = {
+            protocol: 'jsonrpc.reversed',
+            encode: object => Buffer.from(JSON.stringify(object)).reverse(),
+            decode: buffer => JSON.parse(Buffer.from(buffer).reverse().toString()),
+        };
+        const codecWsServer = new WebSocket.Server({
+            host: '127.0.0.1',
+            port: 0,
+            handleProtocols: protocols => server.handleProtocols(protocols),
+        });
+        try {
+            await new Promise(resolve => codecWsServer.once('listening', resolve));
+            server.detach();
+            server.attach(codecWsServer);
+            server.codecs = [reversedCodec];
+            server.method('sum', async (a, b) => a + b);
+
+            rpc.url = `ws://127.0.0.1:${codecWsServer.address().port}/`;
+            rpc.codec = reversedCodec;
+            rpc.start();
+            eq(await rpc.call('sum', 10, 3), 13);
+
+            await waitConnection.waitUntil(1);
+            const [peer] = waitConnection.spy.args[0];
+            eq(peer.codec, reversedCodec);
+            eq(peer.webSocket.protocol, 'jsonrpc.reversed');
+            eq(server.handleProtocols(['foo']), '');
+        }
+        finally {
+            rpc.stop();
+            server.close();
+            codecWsServer.close();
+        }
+    });
+
+    it('Should respond to a batch with a single message, including the errors for invalid requests', async () => {
+        const waitProtocolError = new Wait();
+        server.on('protocolError', waitProtocolError.spy);
+        server.method('double', async x => x * 2);
+        const webSocket = new WebSocket(`ws://127.0.0.1:${port()}/my-test`);
+        try {
+            await new Promise(resolve => webSocket.once('open', resolve));
+            const response = new Promise(resolve => webSocket.once('message', resolve));
+            webSocket.send(JSON.stringify([
+                {jsonrpc: '2.0', id: 1, method: 'double', params: [21]},
+                {jsonrpc: '2.0', id: 1, method: 'double', params: [5]},
+                {jsonrpc: '2.0', id: 2, method: 123},
+                {jsonrpc: '2.0', id: {}, method: 'double'},
+                42,
+                {jsonrpc: '2.0', method: 'double', params: [1]},
+            ]));
+
+            const responses = JSON.parse(await response);
+            deq(
+                responses.map(({id, result, error}) => [id, result, error && error.code]),
+                [[2, undefined, -32601], [null, undefined, -32600], [null, undefined, -32600], [1, 42, undefined], [1, 10, undefined]],
+            );
+            await waitProtocolError.waitUntil(3);
+        }
+        finally {
+            webSocket.close();
+        }
+    });
+
+    it('Should forward protocol errors with the peer', async () => {
+        const waitProtocolError = new Wait();
+        server.on('protocolError', waitProtocolError.spy);
+        const webSocket = new WebSocket(`ws://127.0.0.1:${port()}/my-test`);
+        try {
+            await new Promise(resolve => webSocket.once('open', resolve));
+            await waitConnection.waitUntil(1);
+            const [peer] = waitConnection.spy.args[0];
+
+            webSocket.send('{"jsonrpc": "1.5", "id": 1, "method": "foo"}');
+            await waitProtocolError.waitUntil(1);
+            match(waitProtocolError.spy.args[0][0].message, /version is not supported/);
+            eq(waitProtocolError.spy.args[0][1], peer);
+        }
+        finally {
+            webSocket.close();
+        }
+    });
+});
@@ -1,45 +1,39 @@
 'use strict';
 const sinon = require('sinon');
-const {EventEmitter} = require('events');
 
-const readyState = require('../../lib/readyState');
+const FakeWebSocket = require('../../lib/FakeWebSocket');
 const Wait = require('./Wait');
 
 const WS_MOCK_STATE = Symbol();
 
-class WebSocketMock {
-    constructor() {
+// the public FakeWebSocket, with sinon spies and shortcuts for the unit tests
+class WebSocketMock extends FakeWebSocket {
+    constructor(url, protocols, {controlFrames = false} = {}) {
+        // closeDelay: null, the tests decide when the connection closes
+        super(url, protocols, {closeDelay: null});
+
         const wsMockState = this[WS_MOCK_STATE] = {
-            mockEvents: new EventEmitter(),
             waitForSend: new Wait(),
-            open: () => {
-                this.readyState = readyState.OPEN;
-                wsMockState.mockEvents.emit('open');
-            },
-            close: (code, reason) => {
-                this.readyState = readyState.CLOSED;
-                wsMockState.mockEvents.emit('close', {
-                    type: 'close',
-                    wasClean: true,
-                    code,
-                    reason,
-                });
-            },
+            open: (protocol = '') => this.simulateOpen(protocol),
+            close: (code, reason) => this.simulateClose(code, reason),
+            pong: null,
         };
-        wsMockState.mockEvents.on('error', () => {}); // do not crash for errors during unit tests
-        this.close = sinon.spy();
-        this.send = sinon.spy(() => wsMockState.waitForSend.advance());
-        this.addEventListener = sinon.spy((name, func) => {
-            wsMockState.mockEvents.on(name, func);
-        });
-        this.binaryType = 'DEFAULT';
-        this.readyState = 0;
+        this.remote.on('message', () => wsMockState.waitForSend.advance());
+        sinon.spy(this, 'send');
+        sinon.spy(this, 'close');
+        sinon.spy(this, 'addEventListener');
+        if (controlFrames) {
+            // like the "ws" library
+            wsMockState.pong = () => this.dispatchEvent({type: 'pong'});
+            this.ping = sinon.spy();
+            this.on = sinon.spy((name, func) => this.addEventListener(name, func));
+        }
         Object.seal(this);
     }
 }
 
-const webSocketClientMock = () => {
-    return sinon.spy(() => new WebSocketMock());
+const webSocketClientMock = options => {
+    return sinon.spy(({url, protocols} = {}) => new WebSocketMock(url, protocols, options));
 };
 
 module.exports = {webSocketClientMock, WS_MOCK_STATE};